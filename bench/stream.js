@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Streaming benchmark - summarizes a generated multi-tool log of the given
+ * size (default 1 GiB) with createSummaryStream, and reports throughput and
+ * peak memory. The log is generated on the fly; --write <file> saves it
+ * instead, as a fixture for the CLI (`errsum --stream <file>`).
+ *
+ *   node bench/stream.js [size] [--write <file>]    size: 1g, 256m, 5000000
+ */
+
+const fs = require('node:fs');
+const { createSummaryStream } = require('../src/api.js');
+
+const CHUNK_SIZE = 64 * 1024;
+const UNITS = { k: 1024, m: 1024 ** 2, g: 1024 ** 3 };
+
+function parseSize(value = '1g') {
+  const match = /^(\d+(?:\.\d+)?)([kmg])?b?$/i.exec(value);
+  if (!match) {
+    throw new Error(`Invalid size '${value}' (expected e.g. 1g, 256m or a byte count)`);
+  }
+  return Math.round(Number(match[1]) * (match[2] ? UNITS[match[2].toLowerCase()] : 1));
+}
+
+/**
+ * Deterministic pseudo-random numbers, so that every run sees the same log
+ */
+function createRandom(seed = 42) {
+  // mulberry32
+  let state = seed;
+  return (n) => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) % n;
+  };
+}
+
+/**
+ * Lines of a nightly CI log: mostly build noise, with TypeScript, ESLint
+ * and Python errors in a few thousand files and about 400 patterns
+ */
+function createLogGenerator() {
+  const random = createRandom();
+  const file = (ext) => `src/module${random(400)}/file${random(10)}.${ext}`;
+  const name = () => `value${random(200)}`;
+
+  const lines = [
+    () => `[${random(100000)}ms] info compiling ${file('ts')}`,
+    () => `  ✓ test case ${random(10000)} passed`,
+    () => `Downloading dependency package-${random(5000)}@1.${random(20)}.0`,
+    () => `${file('ts')}(${random(500) + 1},${random(80) + 1}): error TS2304: Cannot find name '${name()}'.`,
+    () => `${file('ts')}(${random(500) + 1},${random(80) + 1}): error TS2322: Type '${name()}' is not assignable to type 'number'.`,
+    () => `${file('js')}:${random(500) + 1}:${random(80) + 1}  error  '${name()}' is defined but never used  no-unused-vars`,
+    () => `${file('js')}:${random(500) + 1}:${random(80) + 1}  warning  Unexpected console statement  no-console`,
+    () => [
+      'Traceback (most recent call last):',
+      `  File "src/jobs/task${random(40)}.py", line ${random(300) + 1}, in handler${random(5)}`,
+      '    process(item)',
+      `KeyError: '${name()}'`,
+    ].join('\n'),
+  ];
+  // Weights: one line in ten is an error
+  const weights = [40, 25, 25, 3, 2, 2, 2, 1];
+  const table = weights.flatMap((weight, i) => new Array(weight).fill(i));
+
+  return (size) => {
+    const parts = [];
+    let length = 0;
+    while (length < size) {
+      const line = lines[table[random(table.length)]]() + '\n';
+      parts.push(line);
+      length += line.length;
+    }
+    return parts.join('');
+  };
+}
+
+function formatBytes(bytes) {
+  return bytes >= UNITS.g ? `${(bytes / UNITS.g).toFixed(2)} GiB` : `${(bytes / UNITS.m).toFixed(1)} MiB`;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const writeIndex = args.indexOf('--write');
+  const output = writeIndex === -1 ? null : args.splice(writeIndex, 2)[1];
+  const size = parseSize(args[0]);
+  const generate = createLogGenerator();
+
+  if (output) {
+    const fd = fs.openSync(output, 'w');
+    for (let written = 0; written < size;) {
+      const chunk = generate(CHUNK_SIZE);
+      written += fs.writeSync(fd, chunk);
+    }
+    fs.closeSync(fd);
+    console.log(`Wrote ${formatBytes(fs.statSync(output).size)} to ${output}`);
+    return;
+  }
+
+  const stream = createSummaryStream({ top: 5 });
+  let peakRss = 0;
+  let peakHeap = 0;
+  let bytes = 0;
+  const started = process.hrtime.bigint();
+
+  while (bytes < size) {
+    const chunk = generate(CHUNK_SIZE);
+    stream.push(chunk);
+    bytes += Buffer.byteLength(chunk);
+
+    if (bytes % (64 * CHUNK_SIZE) < CHUNK_SIZE) {
+      const { rss, heapUsed } = process.memoryUsage();
+      peakRss = Math.max(peakRss, rss);
+      peakHeap = Math.max(peakHeap, heapUsed);
+    }
+  }
+  const result = stream.end();
+  const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+  const { rss, heapUsed } = process.memoryUsage();
+  peakRss = Math.max(peakRss, rss);
+  peakHeap = Math.max(peakHeap, heapUsed);
+
+  console.log(`Input:      ${formatBytes(bytes)} (generated)`);
+  console.log(`Errors:     ${result.tally.totalErrors} in ${result.allGroups.length} patterns`);
+  console.log(`Time:       ${seconds.toFixed(1)}s`);
+  console.log(`Throughput: ${(bytes / UNITS.m / seconds).toFixed(1)} MiB/s`);
+  console.log(`Peak RSS:   ${formatBytes(peakRss)} (heap ${formatBytes(peakHeap)})`);
+}
+
+main();
@@ -0,0 +1,139 @@
+'use strict';
+
+const crypto = require('node:crypto');
+const { getErrorSignature } = require('./parser.js');
+const { signatureGroups, formatLocation } = require('./grouper.js');
+
+/**
+ * CI annotation formatters - GitHub Actions workflow commands and
+ * GitLab Code Quality reports
+ */
+
+// errsum severities -> GitHub workflow command
+const GITHUB_COMMANDS = {
+  error: 'error',
+  err: 'error',
+  fatal: 'error',
+  warning: 'warning',
+  warn: 'warning',
+  info: 'notice',
+  note: 'notice',
+  hint: 'notice',
+};
+
+// errsum severities -> GitLab Code Quality severity
+const GITLAB_SEVERITIES = {
+  error: 'major',
+  err: 'major',
+  fatal: 'critical',
+  warning: 'minor',
+  warn: 'minor',
+  info: 'info',
+  note: 'info',
+  hint: 'info',
+};
+
+// Annotations list at most this many extra locations in their message
+const MAX_EXTRA_LOCATIONS = 10;
+
+function severityOf(error, group) {
+  return (error.severity || group.severity || 'error').toLowerCase();
+}
+
+function escapeData(text) {
+  return String(text)
+    .replace(/%/g, '%25')
+    .replace(/\r/g, '%0D')
+    .replace(/\n/g, '%0A');
+}
+
+function escapeProperty(text) {
+  return escapeData(text)
+    .replace(/:/g, '%3A')
+    .replace(/,/g, '%2C');
+}
+
+/**
+ * Format as GitHub Actions workflow commands, one annotation per group
+ * placed at its first location. With --group-by, one per kind of error in
+ * each group, titled with the group.
+ */
+function formatGithub(groups, _allErrors, _opts = {}) {
+  const lines = [];
+
+  for (const { group, path: nesting } of signatureGroups(groups)) {
+    const located = group.errors.filter((e) => e.file && e.file !== 'unknown');
+    const anchor = located[0] || group.representative;
+    const command = GITHUB_COMMANDS[severityOf(anchor, group)] || 'error';
+
+    const props = [];
+    if (anchor.file && anchor.file !== 'unknown') {
+      props.push(`file=${escapeProperty(anchor.file)}`);
+      if (anchor.line) props.push(`line=${anchor.line}`);
+      if (anchor.column) props.push(`col=${anchor.column}`);
+    }
+    let title = `${group.code || 'errsum'} (${group.count}×)`;
+    // Leave out a code group's label, the title starts with the code anyway
+    const labels = nesting.filter((label) => label !== group.code);
+    if (labels.length > 0) title = `${labels.join(' › ')}: ${title}`;
+    props.push(`title=${escapeProperty(title)}`);
+
+    let message = anchor.message || group.representative.message || 'Unknown error';
+    const others = [...new Set(located.slice(1).map(formatLocation))];
+    if (others.length > 0) {
+      message += '\nAlso at:';
+      for (const loc of others.slice(0, MAX_EXTRA_LOCATIONS)) {
+        message += `\n  ${loc}`;
+      }
+      if (others.length > MAX_EXTRA_LOCATIONS) {
+        message += `\n  ... and ${others.length - MAX_EXTRA_LOCATIONS} more`;
+      }
+    }
+
+    lines.push(`::${command} ${props.join(',')}::${escapeData(message)}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Format as a GitLab Code Quality report, one issue per located error.
+ * Fingerprints hash the error signature, file and occurrence index, so they
+ * stay stable when code moves between lines. An error in several groups
+ * (--group-by owner) is reported once.
+ */
+function formatGitlab(groups, _allErrors, _opts = {}) {
+  const issues = [];
+  const occurrences = new Map();
+  const seen = new Set();
+
+  for (const group of groups) {
+    for (const error of group.errors) {
+      if (!error.file || error.file === 'unknown' || seen.has(error)) continue;
+      seen.add(error);
+
+      const signature = getErrorSignature(error);
+      const key = `${signature}\0${error.file}`;
+      const occurrence = occurrences.get(key) || 0;
+      occurrences.set(key, occurrence + 1);
+
+      issues.push({
+        description: error.message || group.representative.message || 'Unknown error',
+        check_name: error.code || group.code || error.type || 'errsum',
+        fingerprint: crypto.createHash('md5').update(`${key}\0${occurrence}`).digest('hex'),
+        severity: GITLAB_SEVERITIES[severityOf(error, group)] || 'major',
+        location: {
+          path: error.file.replace(/\\/g, '/'),
+          lines: { begin: error.line || 1 },
+        },
+      });
+    }
+  }
+
+  return JSON.stringify(issues, null, 2);
+}
+
+module.exports = {
+  formatGithub,
+  formatGitlab,
+};
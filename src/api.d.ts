@@ -0,0 +1,490 @@
+/**
+ * Type definitions for the errsum library API
+ */
+
+/** Built-in parser types */
+export type BuiltinType = 'typescript' | 'eslint' | 'jest' | 'python' | 'rust' | 'go' | 'gcc' | 'generic';
+
+/** Output formats understood by formatOutput */
+export type OutputFormat = 'text' | 'json' | 'markdown' | 'md' | 'sarif' | 'junit' | 'github' | 'gitlab' | 'html';
+
+/** N lines of the original log around an error */
+export interface LogContext {
+  /** 1-based line number of lines[0] */
+  startLine: number;
+  errorLine: number;
+  errorEndLine: number;
+  lines: string[];
+}
+
+/** Lines of the referenced source file around an error */
+export interface CodeFrame {
+  file: string;
+  line: number;
+  column: number | null;
+  startLine: number;
+  lines: string[];
+}
+
+/** A frame of a Python traceback */
+export interface PythonFrame {
+  file: string;
+  line: number;
+  function?: string;
+}
+
+/** An exception that led to a later one in a Python traceback chain */
+export interface ChainedException {
+  code: string;
+  message: string;
+  /** 'cause': raise ... from; 'context': raised while handling it */
+  relation: 'cause' | 'context';
+}
+
+/** A single parsed error */
+export interface ParsedError {
+  message: string;
+  /** Parser that produced the error: a BuiltinType or a custom parser name */
+  type: BuiltinType | string;
+  file?: string;
+  line?: number | null;
+  column?: number;
+  code?: string;
+  severity?: string;
+  /** Python: function of the frame the error is attributed to */
+  function?: string;
+  /** Python: traceback frames, outermost first */
+  frames?: PythonFrame[];
+  /** Python: earlier exceptions in a chained traceback, in order */
+  chain?: ChainedException[];
+  /** Jest/Vitest: test file */
+  suite?: string;
+  /** Jest/Vitest: full test name as printed */
+  test?: string;
+  /** Jest/Vitest: describe blocks and test name */
+  testPath?: string[];
+  /** Jest/Vitest: failed assertion matcher, e.g. 'toBe' or 'not.toEqual' */
+  matcher?: string;
+  /** Jest/Vitest: stack frames outside node_modules, innermost first */
+  stack?: Array<{ file: string; line: number; column: number }>;
+  /** Monorepo package or service whose task-runner prefix the line carried */
+  package?: string;
+  /** CODEOWNERS owners of the file */
+  owners?: string[];
+  /** Command whose output the error is from (--run) */
+  command?: string;
+  /** Input file the error is from, when there are several */
+  source?: string;
+  /** Matched text */
+  raw?: string;
+  /** Continuation lines after the match: notes, diffs, compiler context */
+  body?: string[];
+  /** Character offset of the match in the input */
+  position?: number;
+  context?: LogContext;
+  codeFrame?: CodeFrame;
+}
+
+/** Baseline status of a group */
+export interface GroupBaseline {
+  status: 'new' | 'fixed' | 'unchanged';
+  previousCount: number;
+  delta: number;
+}
+
+export type GroupDimension = 'signature' | 'code' | 'file' | 'directory' | 'rule' | 'package' | 'owner' | 'command' | 'source';
+
+/** Errors sharing a signature, or a key of another --group-by dimension */
+export interface ErrorGroup {
+  signature: string;
+  /** Dimension of a group that is not by signature */
+  by?: Exclude<GroupDimension, 'signature'>;
+  /** The errors' value for that dimension; null when they have none */
+  key?: string | null;
+  count: number;
+  errors: ParsedError[];
+  files: Set<string>;
+  /** Monorepo packages the errors occur in */
+  packages: Set<string>;
+  /** CODEOWNERS owners of the files */
+  owners: Set<string>;
+  /** Number of errors per severity */
+  severities: Record<string, number>;
+  /** First occurrence */
+  representative: ParsedError;
+  code?: string;
+  type?: string;
+  severity?: string;
+  /** Signatures absorbed by fuzzy grouping */
+  mergedSignatures?: string[];
+  baseline?: GroupBaseline;
+  /** Groups by the secondary dimension, e.g. codes within a file */
+  groups?: ErrorGroup[];
+}
+
+export interface TypeTotals {
+  errors: number;
+  patterns: number;
+  files: number;
+}
+
+export interface Stats {
+  totalErrors: number;
+  uniquePatterns: number;
+  filesAffected: number;
+  byType: Record<string, number>;
+  typeTotals: Record<string, TypeTotals>;
+  bySeverity: Record<string, number>;
+  /** Totals per monorepo package, for errors that have one */
+  byPackage: Record<string, TypeTotals>;
+  /** Totals per CODEOWNERS owner; an error counts for each of its owners */
+  byOwner: Record<string, TypeTotals>;
+  topCode: { code: string; count: number } | null;
+}
+
+/** Error count and files of one type, package or owner in a Tally */
+export interface TallyTotals {
+  errors: number;
+  files: Set<string>;
+}
+
+/** Totals over every error, kept by a grouper once errors are dropped */
+export interface Tally {
+  totalErrors: number;
+  files: Set<string>;
+  byType: Record<string, number>;
+  typeTotals: Record<string, TallyTotals>;
+  bySeverity: Record<string, number>;
+  byPackage: Record<string, TallyTotals>;
+  byOwner: Record<string, TallyTotals>;
+  byCommand: Record<string, number>;
+  codeCounts: Record<string, number>;
+}
+
+/** Groups errors as they are added, keeping a sample of each group */
+export interface Grouper {
+  add(error: ParsedError): void;
+  /** Every group so far, most frequent first */
+  groups(): ErrorGroup[];
+  /** Add the errors of another grouper with the same options */
+  merge(other: Grouper): void;
+  tally: Tally;
+}
+
+/** Result of comparing groups against a baseline */
+export interface BaselineComparison {
+  summary: { new: number; fixed: number; unchanged: number };
+  /** Baseline groups that no longer occur */
+  fixed: ErrorGroup[];
+  /** Number of new groups */
+  regressions: number;
+}
+
+/** A previous `formatJson` output */
+export interface BaselineData {
+  groups: Array<{ signature: string; count: number; code?: string | null; type?: string; message?: string; files?: string[] }>;
+  /** Every pattern, compared with instead of `groups` for signature groups */
+  patterns?: Array<{ signature: string; count: number; code?: string | null; type?: string; message?: string; files?: string[] }>;
+  [key: string]: unknown;
+}
+
+/** User-defined parser, as declared under `parsers` in a config file */
+export interface ParserDefinition {
+  regex: string;
+  detect?: string;
+  flags?: string;
+  fields?: Partial<Record<'file' | 'line' | 'column' | 'code' | 'severity' | 'message', string>>;
+}
+
+/** A compiled parser pattern */
+export interface Pattern {
+  regex: RegExp;
+  extract(match: RegExpExecArray): ParsedError;
+  detect?(input: string): boolean;
+  blockStart?: RegExp;
+  /** Whether a line after the match ends the error's body */
+  blockEnd?(line: string, error: ParsedError): boolean;
+  maxBodyLines?: number;
+  /** Grouping signature overriding the message-based one */
+  signature?(error: ParsedError): string | null;
+  /** Rework all parsed errors at once, e.g. to merge related matches */
+  finalize?(errors: ParsedError[]): ParsedError[];
+  maxBlockLines?: number;
+}
+
+/** How a command ended; duration in ms */
+export interface CommandResult {
+  command: string;
+  status: number | null;
+  signal?: string | null;
+  duration?: number;
+}
+
+/** A finished command with its output */
+export interface CommandOutput extends CommandResult {
+  /** stdout and stderr, decoded, in the order they arrived */
+  text: string;
+  stdout: Uint8Array;
+  stderr: Uint8Array;
+}
+
+export interface FormatOptions {
+  format?: OutputFormat;
+  locations?: boolean;
+  stats?: boolean;
+  quiet?: boolean;
+  /** Show each group's error body in text output */
+  verbose?: boolean;
+  noColor?: boolean;
+  baseline?: BaselineComparison | null;
+  /** Explain a failing run (text, Markdown, JSON) */
+  policy?: PolicyResult;
+  /** How each command ended, listed with its error count (text, Markdown, JSON, HTML) */
+  commands?: CommandResult[] | null;
+  /** Directory relative paths are resolved against (SARIF, CODEOWNERS) */
+  cwd?: string;
+  /** Every error's signature groups, for JSON `patterns` when given a tally */
+  signatures?: ErrorGroup[];
+  /** Set false to leave `patterns` out of JSON output */
+  patterns?: boolean;
+}
+
+export interface PolicyOptions {
+  /** Severities that fail the run (default 'error') */
+  failOn?: 'error' | 'warning' | 'never';
+  /** Fail only with more counted errors than this */
+  maxErrors?: number | null;
+  /** With a baseline, fail only with more new errors than this */
+  maxNew?: number | null;
+  /** Exit with the wrapped command's status instead of applying the rules */
+  exitStatus?: boolean;
+  /** How the wrapped command ended */
+  command?: { status: number | null; signal?: string | null } | null;
+  /** How each of several commands ended; exitStatus uses the first that failed */
+  commands?: CommandResult[] | null;
+}
+
+export interface PolicyResult {
+  failed: boolean;
+  exitCode: number;
+  /** Why the run fails, one sentence per rule */
+  reasons: string[];
+}
+
+export interface SummarizeOptions extends Omit<FormatOptions, 'baseline' | 'policy'>, PolicyOptions {
+  /** Parser type, 'auto' (default) or 'mixed' */
+  type?: 'auto' | 'mixed' | BuiltinType | string;
+  /** Number of groups to keep, 0 for all (default 10) */
+  top?: number;
+  /** Merge near-identical groups; a number sets the similarity threshold */
+  fuzzy?: boolean | number;
+  /** Grouping dimension, optionally with a second one: 'file,code' (default 'signature') */
+  groupBy?: string | GroupDimension[];
+  /** Lines of log context and source frame for each group (default 0) */
+  context?: number;
+  /** Previous JSON output, or the path of a file holding it */
+  baseline?: BaselineData | string;
+  /** Custom parsers by name */
+  parsers?: Record<string, ParserDefinition | Pattern>;
+  /** CODEOWNERS file, or one loaded with loadCodeowners, to attribute errors to owners */
+  codeowners?: string | Codeowners | null;
+  /** Keep only errors owned by these owners */
+  owner?: string | string[] | null;
+  /** Errors kept per group by createSummaryStream (default 100) */
+  samples?: number;
+}
+
+export interface SummaryResult {
+  errors: ParsedError[];
+  /** Groups after the top-N cut */
+  groups: ErrorGroup[];
+  /** Every group */
+  allGroups: ErrorGroup[];
+  stats: Stats;
+  baseline: BaselineComparison | null;
+  /** Whether the run fails, and why */
+  policy: PolicyResult;
+  /** Formatted output in the requested format */
+  output: string;
+}
+
+/** A summary of streamed input: totals over every error in place of `errors` */
+export interface StreamSummaryResult extends Omit<SummaryResult, 'errors'> {
+  tally: Tally;
+}
+
+export interface SummaryStream {
+  /** Add a chunk of input, a string or raw bytes */
+  push(chunk: string | Uint8Array): void;
+  end(): StreamSummaryResult;
+}
+
+export interface StreamParser {
+  /** Add a chunk of input; returns the matches it committed, before finalizing */
+  push(chunk: string): ParsedError[];
+  /** Finish parsing and return every error */
+  end(): ParsedError[];
+  /** Errors committed so far */
+  errors(): ParsedError[];
+}
+
+export function summarize(input: string | Uint8Array, options?: SummarizeOptions): SummaryResult;
+export function summarizeErrors(errors: ParsedError[], options?: SummarizeOptions, input?: string): SummaryResult;
+export function summarizeGroups(
+  allGroups: ErrorGroup[],
+  errors: ParsedError[] | Tally,
+  options?: SummarizeOptions,
+  input?: string,
+): Omit<SummaryResult, 'errors'>;
+/** Summarize input that arrives in chunks, in memory bounded by the number of groups */
+export function createSummaryStream(options?: SummarizeOptions): SummaryStream;
+
+export function parseErrors(input: string, forcedType?: string, opts?: { parsers?: Record<string, Pattern> }): ParsedError[];
+export function parseMixed(input: string, patterns?: Record<string, Pattern>): ParsedError[];
+export function detectType(input: string, patterns?: Record<string, Pattern>): string;
+export function detectTypes(input: string, patterns?: Record<string, Pattern>): string[];
+export function getErrorSignature(error: Partial<ParsedError>): string;
+export function createCustomPattern(name: string, def: ParserDefinition): Pattern;
+/** Strip ANSI escapes, CI timestamps, CRs and BOMs; lines are kept 1:1 */
+export function normalizeInput(input: string): string;
+/** Decode log bytes as UTF-8 or UTF-16, from the BOM */
+export function decodeInput(bytes: Uint8Array): string;
+export function createStreamParser(
+  forcedType?: string,
+  opts?: {
+    parsers?: Record<string, Pattern>;
+    /** Receive each error once committed instead of keeping it; `fallback` marks generic matches */
+    onError?: (error: ParsedError, fallback: boolean) => void;
+  },
+): StreamParser;
+export const PATTERNS: Record<BuiltinType, Pattern>;
+
+export function groupErrors(
+  errors: ParsedError[],
+  opts?: { top?: number; fuzzy?: boolean | number; groupBy?: string | GroupDimension[] },
+): ErrorGroup[];
+export function createGrouper(opts?: { fuzzy?: boolean | number; groupBy?: string | GroupDimension[]; samples?: number }): Grouper;
+export function tallyErrors(errors: ParsedError[] | Tally): Tally;
+export function parseGroupBy(value?: string | GroupDimension[]): GroupDimension[];
+export function groupLabel(group: ErrorGroup): string;
+export function similarity(str1: string, str2: string): number;
+export function mergeSimilarGroups(groups: ErrorGroup[], threshold?: number): ErrorGroup[];
+export function getStats(groups: ErrorGroup[], allErrors: ParsedError[] | Tally): Stats;
+export function compareBaseline(groups: ErrorGroup[], baseline: BaselineData): BaselineComparison;
+export function evaluatePolicy(
+  groups: ErrorGroup[],
+  errors: ParsedError[] | Tally,
+  opts?: PolicyOptions & { baseline?: BaselineComparison | null },
+): PolicyResult;
+
+export interface CodeownersRule {
+  pattern: string;
+  owners: string[];
+  /** GitLab section, lowercased; null outside sections */
+  section: string | null;
+  line: number;
+  regex: RegExp;
+}
+
+export interface Codeowners {
+  file?: string;
+  /** Directory the patterns are relative to */
+  root: string;
+  rules: CodeownersRule[];
+}
+
+export function findCodeowners(cwd?: string): string | null;
+export function loadCodeowners(file: string): Codeowners;
+export function assignOwners(errors: ParsedError[], codeowners: Codeowners, cwd?: string): ParsedError[];
+
+/** Run shell commands concurrently; results are in the order given */
+export function runCommands(commands: string[], opts?: { onExit?: (result: CommandOutput) => void }): Promise<CommandOutput[]>;
+/** Parse each command's output separately, tagging errors with their command */
+export function parseCommandOutputs(
+  results: Array<{ command: string; text: string }>,
+  type?: string,
+  opts?: { parsers?: Record<string, Pattern> },
+): { input: string; errors: ParsedError[] };
+
+/** Expand files, directories and glob patterns into the files to read; throws when one matches nothing */
+export function expandInputs(args: string[]): string[];
+/** Read a file's bytes, decompressed if it is gzip or brotli */
+export function readInputFile(file: string): Uint8Array;
+/** Parse inputs each on its own, tagging errors with their source and command */
+export function parseInputs(
+  inputs: Array<{ text: string; source?: string; command?: string }>,
+  type?: string,
+  opts?: { parsers?: Record<string, Pattern> },
+): { input: string; errors: ParsedError[] };
+
+/** One run in the history file */
+export interface HistoryEntry {
+  /** ISO timestamp */
+  time: string;
+  total: number;
+  groups: Array<{ signature: string; count: number; code: string | null; type?: string; message?: string }>;
+}
+
+export interface PatternTrend {
+  signature: string;
+  code?: string | null;
+  type?: string;
+  message?: string;
+  /** Count in each run of the window, oldest first */
+  counts: number[];
+  current: number;
+  /** Change over the window */
+  change: number;
+  /** Change since the previous run */
+  delta: number;
+  growing: boolean;
+}
+
+export interface Trend {
+  runs: Array<{ time: string; total: number }>;
+  totals: number[];
+  patterns: PatternTrend[];
+  growing: PatternTrend[];
+}
+
+export function historyEntry(groups: ErrorGroup[], allErrors: ParsedError[] | Tally, opts?: { time?: Date }): HistoryEntry;
+export function appendHistory(file: string, entry: HistoryEntry): void;
+export function readHistory(file: string): HistoryEntry[];
+export function computeTrend(entries: HistoryEntry[], opts?: { last?: number }): Trend;
+export function formatTrend(trend: Trend, opts?: { top?: number }): string;
+
+/** A `formatJson` output, with every error by signature in `patterns` */
+export interface SummaryData {
+  summary: { totalErrors: number; uniquePatterns: number; filesAffected: number };
+  groups: Array<Record<string, unknown>>;
+  patterns: Array<{
+    signature: string;
+    count: number;
+    code?: string | null;
+    type?: string;
+    message?: string;
+    files?: string[];
+    packages?: string[];
+    owners?: string[];
+    severities?: Record<string, number>;
+    mergedSignatures?: string[];
+    /** Each error's location, message, code and severity */
+    occurrences: Array<Partial<ParsedError>>;
+  }>;
+  [key: string]: unknown;
+}
+
+/** Read and check a JSON output to merge; it may be gzip or brotli compressed */
+export function loadSummary(file: string): SummaryData;
+/** Combine JSON outputs by signature, with the totals over their errors */
+export function mergeSummaries(summaries: SummaryData[], opts?: { fuzzy?: boolean | number }): { groups: ErrorGroup[]; tally: Tally };
+
+export function formatOutput(groups: ErrorGroup[], allErrors: ParsedError[] | Tally, opts?: FormatOptions): string;
+export function formatText(groups: ErrorGroup[], allErrors: ParsedError[] | Tally, opts?: FormatOptions): string;
+export function formatJson(groups: ErrorGroup[], allErrors: ParsedError[] | Tally, opts?: FormatOptions): string;
+export function formatMarkdown(groups: ErrorGroup[], allErrors: ParsedError[] | Tally, opts?: FormatOptions): string;
+export function formatSarif(groups: ErrorGroup[], allErrors: ParsedError[] | Tally, opts?: FormatOptions): string;
+export function formatJunit(groups: ErrorGroup[], allErrors: ParsedError[] | Tally, opts?: FormatOptions): string;
+export function formatGithub(groups: ErrorGroup[], allErrors: ParsedError[] | Tally, opts?: FormatOptions): string;
+export function formatGitlab(groups: ErrorGroup[], allErrors: ParsedError[] | Tally, opts?: FormatOptions): string;
+export function formatHtml(groups: ErrorGroup[], allErrors: ParsedError[] | Tally, opts?: FormatOptions): string;
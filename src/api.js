@@ -0,0 +1,227 @@
+'use strict';
+
+/**
+ * Library entry point - summarize error output without touching the
+ * process (no console output, no exit codes), and the building blocks the
+ * CLI is made of
+ */
+
+const {
+  parseErrors,
+  parseMixed,
+  detectType,
+  detectTypes,
+  getErrorSignature,
+  createCustomPattern,
+  PATTERNS,
+} = require('./parser.js');
+const {
+  groupErrors,
+  createGrouper,
+  tallyErrors,
+  parseGroupBy,
+  groupLabel,
+  similarity,
+  mergeSimilarGroups,
+  getStats,
+} = require('./grouper.js');
+const {
+  formatOutput,
+  formatText,
+  formatJson,
+  formatMarkdown,
+} = require('./formatter.js');
+const { formatSarif } = require('./sarif.js');
+const { formatJunit } = require('./junit.js');
+const { formatGithub, formatGitlab } = require('./annotations.js');
+const { formatHtml } = require('./html.js');
+const { addContext } = require('./context.js');
+const { loadBaseline, compareBaseline } = require('./baseline.js');
+const { createStreamParser } = require('./stream.js');
+const { normalizeInput, decodeInput, createDecoder } = require('./normalize.js');
+const { evaluatePolicy } = require('./policy.js');
+const { findCodeowners, loadCodeowners, assignOwners, applyOwners } = require('./owners.js');
+const { historyEntry, appendHistory, readHistory, computeTrend, formatTrend } = require('./history.js');
+const { loadSummary, mergeSummaries } = require('./merge.js');
+const { runCommands, parseCommandOutputs } = require('./runner.js');
+const { expandInputs, readInputFile, parseInputs } = require('./inputs.js');
+const { createPipeline } = require('./pipeline.js');
+
+// Formats that list every error: `top` does not apply to them
+const COMPLETE_FORMATS = ['sarif'];
+
+// Library defaults; unlike the CLI, output is never colored unless asked
+const DEFAULTS = {
+  type: 'auto',
+  format: 'text',
+  top: 10,
+  fuzzy: false,
+  groupBy: 'signature',
+  context: 0,
+  locations: false,
+  stats: false,
+  quiet: false,
+  verbose: false,
+  noColor: true,
+  failOn: 'error',
+  maxErrors: null,
+  maxNew: null,
+  codeowners: null,
+  owner: null,
+};
+
+/**
+ * Compile parser definitions (the config file's `parsers` shape);
+ * already compiled patterns are passed through
+ */
+function compileParsers(parsers = {}) {
+  const compiled = {};
+  for (const [name, def] of Object.entries(parsers)) {
+    compiled[name] = def && typeof def.extract === 'function' ? def : createCustomPattern(name, def);
+  }
+  return compiled;
+}
+
+/**
+ * Group, compare and format errors that were already parsed.
+ * `input` is the original log, used for --context. The result's `policy`
+ * tells whether the run fails under failOn, maxErrors and maxNew (see
+ * evaluatePolicy). With `codeowners`, errors are attributed to owners and
+ * `owner` keeps only theirs.
+ */
+function summarizeErrors(parsed, options = {}, input = '') {
+  const opts = { ...DEFAULTS, ...options };
+  const errors = applyOwners(parsed, opts);
+
+  // Group everything first so baseline comparison sees groups outside the top N
+  const allGroups = groupErrors(errors, { ...opts, top: 0 });
+  return { errors, ...summarizeGroups(allGroups, errors, opts, input) };
+}
+
+/**
+ * Compare and format groups that were already made, e.g. by a grouper.
+ * `errors` is every error, or their tally (see tallyErrors); with a tally,
+ * `signatures` are the groups by signature that JSON output lists as its
+ * `patterns`.
+ */
+function summarizeGroups(allGroups, errors, options = {}, input = '') {
+  const opts = { ...DEFAULTS, ...options };
+  const limited = opts.top > 0 && !COMPLETE_FORMATS.includes(opts.format);
+  const groups = limited ? allGroups.slice(0, opts.top) : allGroups;
+  addContext(groups, input, opts.context, { cwd: opts.cwd });
+
+  let baseline = null;
+  if (opts.baseline) {
+    const data = typeof opts.baseline === 'string' ? loadBaseline(opts.baseline) : opts.baseline;
+    baseline = compareBaseline(allGroups, data);
+  }
+  const policy = evaluatePolicy(allGroups, errors, { ...opts, baseline });
+
+  return {
+    groups,
+    allGroups,
+    stats: getStats(groups, errors),
+    baseline,
+    policy,
+    output: formatOutput(groups, errors, { ...opts, baseline, policy }),
+  };
+}
+
+/**
+ * Summarize input that arrives in chunks, in bounded memory (see
+ * createPipeline): push() decoded chunks, and end() returns the summary.
+ * Each group keeps a sample of its errors, and the result has the totals
+ * over every error as `tally` in place of `errors`. Log context
+ * (`context`) keeps the whole log in memory.
+ */
+function createSummaryStream(options = {}) {
+  const opts = { ...DEFAULTS, ...options, parsers: compileParsers(options.parsers) };
+  const pipeline = createPipeline(opts);
+  const decoder = createDecoder();
+
+  return {
+    /**
+     * Add a chunk of input, a string or raw bytes
+     */
+    push(chunk) {
+      pipeline.push(typeof chunk === 'string' ? chunk : decoder.write(chunk));
+    },
+
+    end() {
+      pipeline.push(decoder.end());
+      const { groups, tally, signatures, input } = pipeline.end();
+      return { tally, ...summarizeGroups(groups, tally, { ...opts, signatures }, input) };
+    },
+  };
+}
+
+/**
+ * Parse, group and format error output. `input` is a string or raw bytes
+ * (decoded per its BOM), and is normalized before parsing.
+ */
+function summarize(input, options = {}) {
+  let text = input == null ? '' : input;
+  text = normalizeInput(text instanceof Uint8Array ? decodeInput(text) : text);
+  const type = options.type || DEFAULTS.type;
+  const errors = parseErrors(text, type, { parsers: compileParsers(options.parsers) });
+  return summarizeErrors(errors, options, text);
+}
+
+module.exports = {
+  summarize,
+  summarizeErrors,
+  summarizeGroups,
+  createSummaryStream,
+  // Parsing
+  parseErrors,
+  parseMixed,
+  detectType,
+  detectTypes,
+  getErrorSignature,
+  createCustomPattern,
+  createStreamParser,
+  normalizeInput,
+  decodeInput,
+  PATTERNS,
+  // Grouping
+  groupErrors,
+  createGrouper,
+  tallyErrors,
+  parseGroupBy,
+  groupLabel,
+  similarity,
+  mergeSimilarGroups,
+  getStats,
+  compareBaseline,
+  evaluatePolicy,
+  // Ownership
+  findCodeowners,
+  loadCodeowners,
+  assignOwners,
+  // Commands
+  runCommands,
+  parseCommandOutputs,
+  // Inputs
+  expandInputs,
+  readInputFile,
+  parseInputs,
+  // History
+  historyEntry,
+  appendHistory,
+  readHistory,
+  computeTrend,
+  formatTrend,
+  // Merging
+  loadSummary,
+  mergeSummaries,
+  // Formatting
+  formatOutput,
+  formatText,
+  formatJson,
+  formatMarkdown,
+  formatSarif,
+  formatJunit,
+  formatGithub,
+  formatGitlab,
+  formatHtml,
+};
@@ -0,0 +1,55 @@
+// ESM entry point - re-exports the CommonJS library API
+import api from './api.js';
+
+export const {
+  summarize,
+  summarizeErrors,
+  summarizeGroups,
+  createSummaryStream,
+  parseErrors,
+  parseMixed,
+  detectType,
+  detectTypes,
+  getErrorSignature,
+  createCustomPattern,
+  createStreamParser,
+  normalizeInput,
+  decodeInput,
+  PATTERNS,
+  groupErrors,
+  createGrouper,
+  tallyErrors,
+  parseGroupBy,
+  groupLabel,
+  similarity,
+  mergeSimilarGroups,
+  getStats,
+  compareBaseline,
+  evaluatePolicy,
+  findCodeowners,
+  loadCodeowners,
+  assignOwners,
+  runCommands,
+  parseCommandOutputs,
+  expandInputs,
+  readInputFile,
+  parseInputs,
+  historyEntry,
+  appendHistory,
+  readHistory,
+  computeTrend,
+  formatTrend,
+  loadSummary,
+  mergeSummaries,
+  formatOutput,
+  formatText,
+  formatJson,
+  formatMarkdown,
+  formatSarif,
+  formatJunit,
+  formatGithub,
+  formatGitlab,
+  formatHtml,
+} = api;
+
+export default api;
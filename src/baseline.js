@@ -0,0 +1,115 @@
+'use strict';
+
+const fs = require('node:fs');
+const { formatJson } = require('./formatter.js');
+
+/**
+ * Baseline module - compare current error groups against a previous JSON run
+ */
+
+/**
+ * Read and validate a baseline written by `formatJson`
+ */
+function loadBaseline(file) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Invalid baseline file ${file}: ${err.message}`);
+  }
+
+  if (!data || !Array.isArray(data.groups)) {
+    throw new Error(`Invalid baseline file ${file}: expected errsum JSON output with a "groups" array`);
+  }
+
+  for (const group of data.groups) {
+    if (typeof group.signature !== 'string' || typeof group.count !== 'number') {
+      throw new Error(`Invalid baseline file ${file}: every group needs a signature and a count`);
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Baseline entries to compare groups with: every pattern for signature
+ * groups, when the baseline has them, else its groups. Plain JSON output
+ * lists only its top groups, so such groups cannot serve as a baseline.
+ */
+function baselineEntries(groups, baseline) {
+  if (Array.isArray(baseline.patterns) && groups.every((group) => !group.by)) {
+    return baseline.patterns;
+  }
+
+  const total = baseline.summary && baseline.summary.totalErrors;
+  const listed = baseline.groups.reduce((sum, group) => sum + group.count, 0);
+  if (typeof total === 'number' && listed < total) {
+    throw new Error(`Baseline lists ${listed} of its ${total} errors; write it with --write-baseline, or -f json -n 0`);
+  }
+  return baseline.groups;
+}
+
+/**
+ * Tag each group as new or unchanged relative to the baseline, with count
+ * deltas, and collect the baseline groups that no longer occur as fixed.
+ * A fuzzy group also matches the signatures it absorbed.
+ */
+function compareBaseline(groups, baseline) {
+  const entries = baselineEntries(groups, baseline);
+  const previous = new Map();
+  for (const entry of entries) {
+    previous.set(entry.signature, entry);
+  }
+
+  const summary = { new: 0, fixed: 0, unchanged: 0 };
+  const seen = new Set();
+
+  for (const group of groups) {
+    const signatures = [group.signature, ...(group.mergedSignatures || [])];
+    const matched = signatures.filter((signature) => previous.has(signature));
+    const previousCount = matched.reduce((sum, signature) => sum + previous.get(signature).count, 0);
+    const status = matched.length > 0 ? 'unchanged' : 'new';
+
+    group.baseline = { status, previousCount, delta: group.count - previousCount };
+    summary[status]++;
+    for (const signature of signatures) {
+      seen.add(signature);
+    }
+  }
+
+  const fixed = entries
+    .filter((group) => !seen.has(group.signature))
+    .map((group) => ({
+      signature: group.signature,
+      count: 0,
+      code: group.code || undefined,
+      type: group.type,
+      representative: { message: group.message },
+      files: new Set(group.files || []),
+      packages: new Set(group.packages || []),
+      owners: new Set(group.owners || []),
+      errors: [],
+      baseline: { status: 'fixed', previousCount: group.count, delta: -group.count },
+    }));
+  summary.fixed = fixed.length;
+
+  return {
+    summary,
+    fixed,
+    regressions: summary.new,
+  };
+}
+
+/**
+ * Write the current groups as the new baseline, without each error's
+ * details
+ */
+function writeBaseline(file, groups, allErrors) {
+  fs.writeFileSync(file, formatJson(groups, allErrors, { patterns: false }) + '\n');
+}
+
+module.exports = {
+  loadBaseline,
+  compareBaseline,
+  writeBaseline,
+};
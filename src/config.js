@@ -0,0 +1,301 @@
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { createCustomPattern } = require('./parser.js');
+const { FAIL_ON } = require('./policy.js');
+const { parseGroupBy, GROUP_KEYS } = require('./grouper.js');
+const { HISTORY_FILE } = require('./history.js');
+
+/**
+ * Config module - loads project configuration files
+ */
+
+// Config file names looked up in each directory, in order
+const CONFIG_FILES = ['.errsumrc', '.errsumrc.json'];
+
+// package.json key holding errsum config
+const PACKAGE_KEY = 'errsum';
+
+// CLI options a config file can set, with their value kinds and defaults.
+// `option` names the resolved option when it differs from the config key,
+// and `choices` lists the values of a 'choice' option. 'path' values set in
+// a config file are relative to its directory.
+const OPTIONS = {
+  top: { kind: 'count', default: 10 },
+  format: { kind: 'string', default: 'text' },
+  type: { kind: 'string', default: 'auto' },
+  locations: { kind: 'boolean', default: false },
+  fuzzy: { kind: 'threshold', default: false },
+  groupBy: { kind: 'grouping', default: 'signature' },
+  context: { kind: 'count', default: 0 },
+  stats: { kind: 'boolean', default: false },
+  quiet: { kind: 'boolean', default: false },
+  verbose: { kind: 'boolean', default: false },
+  live: { kind: 'boolean', default: false },
+  stream: { kind: 'boolean', default: false },
+  noColor: { kind: 'boolean', default: false },
+  baseline: { kind: 'path', default: null, option: 'baselineFile' },
+  codeowners: { kind: 'path', default: null },
+  history: { kind: 'boolean', default: false },
+  historyFile: { kind: 'path', default: HISTORY_FILE },
+  failOn: { kind: 'choice', default: 'error', choices: FAIL_ON },
+  maxErrors: { kind: 'count', default: null },
+  maxNew: { kind: 'count', default: null },
+  exitStatus: { kind: 'boolean', default: false },
+};
+
+// Alternate format names accepted by -f
+const FORMAT_ALIASES = { md: 'markdown' };
+
+function hasPackageConfig(file) {
+  try {
+    const pkg = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return Boolean(pkg && typeof pkg === 'object' && pkg[PACKAGE_KEY] !== undefined);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Find a config file by walking up from cwd: .errsumrc, .errsumrc.json, or a
+ * package.json with an "errsum" key. The walk ends at stopDir, if given.
+ */
+function findConfigFile(cwd = process.cwd(), stopDir = null) {
+  let dir = path.resolve(cwd);
+
+  for (;;) {
+    for (const name of CONFIG_FILES) {
+      const file = path.join(dir, name);
+      if (fs.existsSync(file)) {
+        return file;
+      }
+    }
+
+    const pkg = path.join(dir, 'package.json');
+    if (fs.existsSync(pkg) && hasPackageConfig(pkg)) {
+      return pkg;
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir || (stopDir && dir === path.resolve(stopDir))) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Check a config value against the kind of its option
+ */
+function validateOption(key, value, where) {
+  const spec = OPTIONS[key];
+  if (!spec) {
+    throw new Error(`unknown option "${key}"${where}`);
+  }
+
+  let valid;
+  switch (spec.kind) {
+  case 'count':
+    valid = Number.isInteger(value) && value >= 0;
+    break;
+  case 'threshold':
+    valid = typeof value === 'boolean' || (typeof value === 'number' && value >= 0 && value <= 1);
+    break;
+  case 'string':
+  case 'path':
+    valid = typeof value === 'string' && value.length > 0;
+    break;
+  case 'choice':
+    valid = spec.choices.includes(value);
+    break;
+  case 'grouping':
+    try {
+      valid = (typeof value === 'string' || Array.isArray(value)) && Boolean(parseGroupBy(value));
+    } catch {
+      valid = false;
+    }
+    break;
+  default:
+    valid = typeof value === 'boolean';
+  }
+
+  if (!valid) {
+    const expected = {
+      count: 'a non-negative integer',
+      threshold: 'true, false or a number between 0 and 1',
+      string: 'a non-empty string',
+      path: 'a non-empty path',
+      choice: spec.choices && `one of ${spec.choices.join(', ')}`,
+      grouping: `one or two of ${Object.keys(GROUP_KEYS).join(', ')}`,
+      boolean: 'true or false',
+    }[spec.kind];
+    throw new Error(`"${key}"${where} must be ${expected}, got ${JSON.stringify(value)}`);
+  }
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validate a parsed config object and compile its custom parsers.
+ * Returns option defaults, per-format overrides and parsers.
+ */
+function validateConfig(data) {
+  if (!isPlainObject(data)) {
+    throw new Error('config must be a JSON object');
+  }
+
+  const options = {};
+  const formats = {};
+  const parsers = {};
+
+  for (const [key, value] of Object.entries(data)) {
+    if (key === 'parsers') {
+      if (!isPlainObject(value)) {
+        throw new Error('"parsers" must be an object mapping parser names to definitions');
+      }
+      for (const [name, def] of Object.entries(value)) {
+        parsers[name] = createCustomPattern(name, def);
+      }
+    } else if (key === 'formats') {
+      if (!isPlainObject(value)) {
+        throw new Error('"formats" must be an object mapping format names to options');
+      }
+      for (const [format, overrides] of Object.entries(value)) {
+        if (!isPlainObject(overrides)) {
+          throw new Error(`"formats.${format}" must be an object of options`);
+        }
+        for (const [optKey, optValue] of Object.entries(overrides)) {
+          if (optKey === 'format') {
+            throw new Error(`"format" cannot be set inside "formats.${format}"`);
+          }
+          validateOption(optKey, optValue, ` in "formats.${format}"`);
+        }
+        formats[format] = { ...overrides };
+      }
+    } else {
+      validateOption(key, value, '');
+      options[key] = value;
+    }
+  }
+
+  return { options, formats, parsers };
+}
+
+/**
+ * Merge defaults, config options, the chosen format's overrides and command
+ * line values (highest precedence). Returns the resolved options keyed by
+ * option name, and the source of each value keyed by config key.
+ */
+function resolveOptions(cli = {}, config = {}) {
+  const values = {};
+  const sources = {};
+  const origin = config.file ? describeFile(config.file) : 'config';
+
+  const set = (key, value, source) => {
+    values[key] = value;
+    sources[key] = source;
+  };
+  const fromConfig = (key, value) => (
+    config.file && OPTIONS[key].kind === 'path' ? path.resolve(path.dirname(config.file), value) : value
+  );
+
+  for (const [key, spec] of Object.entries(OPTIONS)) {
+    set(key, spec.default, 'default');
+  }
+  for (const [key, value] of Object.entries(config.options || {})) {
+    set(key, fromConfig(key, value), origin);
+  }
+
+  let format = cli.format !== undefined ? cli.format : values.format;
+  format = FORMAT_ALIASES[format] || format;
+  for (const [key, value] of Object.entries((config.formats || {})[format] || {})) {
+    set(key, fromConfig(key, value), `${origin} (formats.${format})`);
+  }
+
+  for (const [key, value] of Object.entries(cli)) {
+    if (value !== undefined) {
+      set(key, value, 'command line');
+    }
+  }
+
+  const options = {};
+  for (const [key, value] of Object.entries(values)) {
+    options[OPTIONS[key].option || key] = value;
+  }
+
+  return { options, sources, values };
+}
+
+/**
+ * Config file path relative to the cwd, naming the package.json key
+ */
+function describeFile(file) {
+  const relative = path.relative(process.cwd(), file) || file;
+  return path.basename(file) === 'package.json' ? `${relative} ("${PACKAGE_KEY}" key)` : relative;
+}
+
+/**
+ * Render the resolved configuration and where each value came from
+ */
+function formatConfig(resolved, config = {}) {
+  const lines = [];
+  lines.push(`Config file: ${config.file ? describeFile(config.file) : '(none)'}`);
+  lines.push('');
+
+  const width = Math.max(...Object.keys(resolved.values).map((key) => key.length));
+  for (const [key, value] of Object.entries(resolved.values)) {
+    lines.push(`  ${key.padEnd(width)}  ${JSON.stringify(value).padEnd(10)}  (${resolved.sources[key]})`);
+  }
+
+  const parserNames = Object.keys(config.parsers || {});
+  if (parserNames.length > 0) {
+    lines.push('');
+    lines.push(`  ${'parsers'.padEnd(width)}  ${parserNames.join(', ')}  (${describeFile(config.file)})`);
+  }
+
+  const formats = Object.entries(config.formats || {});
+  if (formats.length > 0) {
+    lines.push('');
+    lines.push('  Per-format settings:');
+    for (const [format, overrides] of formats) {
+      lines.push(`    ${format}: ${JSON.stringify(overrides)}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Read, validate and compile a config file
+ */
+function loadConfig(file) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Invalid config file ${file}: ${err.message}`);
+  }
+
+  if (path.basename(file) === 'package.json') {
+    data = data && data[PACKAGE_KEY];
+  }
+
+  try {
+    return { file, ...validateConfig(data) };
+  } catch (err) {
+    throw new Error(`Invalid config file ${file}: ${err.message}`);
+  }
+}
+
+module.exports = {
+  CONFIG_FILES,
+  OPTIONS,
+  findConfigFile,
+  validateConfig,
+  resolveOptions,
+  formatConfig,
+  loadConfig,
+};
@@ -0,0 +1,145 @@
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { buildLineIndex, lineOf } = require('./parser.js');
+
+/**
+ * Context module - surrounding log lines and source code frames for errors
+ */
+
+/**
+ * Get N lines of the original log around an error's position
+ */
+function getLogContext(input, error, size, lineIndex = buildLineIndex(input)) {
+  if (typeof error.position !== 'number' || size <= 0) {
+    return null;
+  }
+
+  const first = lineOf(lineIndex, error.position);
+  const last = lineOf(lineIndex, error.position + Math.max((error.raw || '').length - 1, 0));
+  // A trailing newline ends the last line rather than starting another
+  const lineCount = lineIndex.length > 1 && lineIndex[lineIndex.length - 1] === input.length
+    ? lineIndex.length - 1
+    : lineIndex.length;
+  const start = Math.max(0, first - size);
+  const end = Math.min(lineCount - 1, last + size);
+
+  const lines = [];
+  for (let i = start; i <= end; i++) {
+    const lineEnd = i + 1 < lineIndex.length ? lineIndex[i + 1] - 1 : input.length;
+    lines.push(input.slice(lineIndex[i], lineEnd).replace(/\r$/, ''));
+  }
+
+  return {
+    startLine: start + 1,
+    errorLine: first + 1,
+    errorEndLine: last + 1,
+    lines,
+  };
+}
+
+/**
+ * Get a code frame from the referenced source file, if it exists on disk
+ */
+function getCodeFrame(error, size, opts = {}) {
+  if (!error.file || !error.line || size <= 0) {
+    return null;
+  }
+
+  const file = path.resolve(opts.cwd || process.cwd(), error.file);
+  let source;
+  try {
+    if (!fs.statSync(file).isFile()) return null;
+    source = fs.readFileSync(file, 'utf8');
+  } catch {
+    return null;
+  }
+
+  const sourceLines = source.split(/\r?\n/);
+  if (sourceLines.length > 1 && sourceLines[sourceLines.length - 1] === '') {
+    sourceLines.pop();
+  }
+  if (error.line > sourceLines.length) {
+    return null;
+  }
+
+  const start = Math.max(1, error.line - size);
+  const end = Math.min(sourceLines.length, error.line + size);
+
+  return {
+    file: error.file,
+    line: error.line,
+    column: error.column || null,
+    startLine: start,
+    lines: sourceLines.slice(start - 1, end),
+  };
+}
+
+/**
+ * Attach log context and code frames to each group's representative error
+ */
+function addContext(groups, input, size, opts = {}) {
+  if (!size || size <= 0) {
+    return groups;
+  }
+
+  const lineIndex = buildLineIndex(input);
+
+  for (const group of groups) {
+    const error = group.representative;
+    const logContext = getLogContext(input, error, size, lineIndex);
+    if (logContext) {
+      error.context = logContext;
+    }
+    const codeFrame = getCodeFrame(error, size, opts);
+    if (codeFrame) {
+      error.codeFrame = codeFrame;
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * Render log context lines with a line-number gutter, marking the error lines
+ */
+function renderLogContext(context) {
+  const width = String(context.startLine + context.lines.length - 1).length;
+
+  return context.lines.map((text, i) => {
+    const num = context.startLine + i;
+    const marker = num >= context.errorLine && num <= context.errorEndLine ? '>' : ' ';
+    return `${marker} ${String(num).padStart(width)} | ${text}`;
+  });
+}
+
+/**
+ * Render a code frame with a caret under line:column
+ */
+function renderCodeFrame(frame) {
+  const width = String(frame.startLine + frame.lines.length - 1).length;
+  const out = [];
+
+  frame.lines.forEach((text, i) => {
+    const num = frame.startLine + i;
+    const isErrorLine = num === frame.line;
+    out.push(`${isErrorLine ? '>' : ' '} ${String(num).padStart(width)} | ${text}`);
+
+    if (isErrorLine && frame.column) {
+      // Keep tabs so the caret lines up with the source
+      const pad = text.slice(0, frame.column - 1).replace(/[^\t]/g, ' ');
+      out.push(`  ${' '.repeat(width)} | ${pad}^`);
+    }
+  });
+
+  return out;
+}
+
+module.exports = {
+  getLogContext,
+  getCodeFrame,
+  addContext,
+  renderLogContext,
+  renderCodeFrame,
+};
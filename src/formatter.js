@@ -1,6 +1,12 @@
 'use strict';
 
-const { getStats } = require('./grouper.js');
+const { getStats, groupLabel, groupErrors, formatDelta } = require('./grouper.js');
+const { renderLogContext, renderCodeFrame } = require('./context.js');
+const { formatSarif } = require('./sarif.js');
+const { formatJunit } = require('./junit.js');
+const { formatGithub, formatGitlab } = require('./annotations.js');
+const { formatHtml } = require('./html.js');
+const { commandSummaries, formatDuration, formatExit } = require('./runner.js');
 
 // ANSI color codes
 const COLORS = {
@@ -30,6 +36,16 @@ function formatOutput(groups, allErrors, opts = {}) {
   case 'markdown':
   case 'md':
     return formatMarkdown(groups, allErrors, opts);
+  case 'sarif':
+    return formatSarif(groups, allErrors, opts);
+  case 'junit':
+    return formatJunit(groups, allErrors, opts);
+  case 'github':
+    return formatGithub(groups, allErrors, opts);
+  case 'gitlab':
+    return formatGitlab(groups, allErrors, opts);
+  case 'html':
+    return formatHtml(groups, allErrors, opts);
   default:
     return formatText(groups, allErrors, opts);
   }
@@ -45,8 +61,12 @@ function formatText(groups, allErrors, opts) {
     const stats = getStats(groups, allErrors);
     lines.push(c('═'.repeat(60), 'dim', opts));
     lines.push(c(`  ${stats.totalErrors} errors`, 'red', opts) +
-               c(` in ${stats.uniquePatterns} patterns`, 'dim', opts) +
+               c(` in ${stats.uniquePatterns} ${groupNoun(groups)}`, 'dim', opts) +
                c(` across ${stats.filesAffected} files`, 'dim', opts));
+    if (opts.baseline) {
+      const { summary } = opts.baseline;
+      lines.push(c(`  Baseline: ${summary.new} new, ${summary.fixed} fixed, ${summary.unchanged} unchanged`, 'dim', opts));
+    }
     lines.push(c('═'.repeat(60), 'dim', opts));
     lines.push('');
   }
@@ -60,7 +80,8 @@ function formatText(groups, allErrors, opts) {
     lines.push(
       c(`[${num}]`, 'cyan', opts) + ' ' +
       c(countStr, 'bold', opts) + ' ' +
-      formatErrorMessage(group.representative, opts)
+      (opts.baseline && group.baseline ? formatBaselineTag(group.baseline, opts) + ' ' : '') +
+      formatGroupName(group, opts)
     );
 
     // Error code if present
@@ -68,6 +89,33 @@ function formatText(groups, allErrors, opts) {
       lines.push(c(`    Code: ${group.code}`, 'gray', opts));
     }
 
+    // Monorepo packages the error occurs in
+    if (group.packages && group.packages.size > 0 && group.by !== 'package' && !opts.quiet) {
+      lines.push(c(`    Packages: ${Array.from(group.packages).join(', ')}`, 'gray', opts));
+    }
+
+    // CODEOWNERS owners of the files
+    if (group.owners && group.owners.size > 0 && group.by !== 'owner' && !opts.quiet) {
+      lines.push(c(`    Owners: ${Array.from(group.owners).join(', ')}`, 'gray', opts));
+    }
+
+    // Signatures absorbed by --fuzzy
+    if (group.mergedSignatures && group.mergedSignatures.length > 0 && !opts.quiet) {
+      lines.push(c(`    Merged: ${group.mergedSignatures.length} similar patterns`, 'gray', opts));
+    }
+
+    // Second-level groups (--group-by a,b)
+    if (group.groups) {
+      const shown = opts.top > 0 ? group.groups.slice(0, opts.top) : group.groups;
+      for (const sub of shown) {
+        const code = sub.code && !sub.by ? c(`[${sub.code}] `, 'gray', opts) : '';
+        lines.push(`    ${c(`${sub.count}×`, 'bold', opts)} ${code}${formatGroupName(sub, opts)}`);
+      }
+      if (group.groups.length > shown.length) {
+        lines.push(c(`    ... and ${group.groups.length - shown.length} more`, 'dim', opts));
+      }
+    }
+
     // Show locations if requested
     if (opts.locations && group.files.size > 0) {
       const locations = group.errors
@@ -77,6 +125,9 @@ function formatText(groups, allErrors, opts) {
           let loc = e.file;
           if (e.line) loc += `:${e.line}`;
           if (e.column) loc += `:${e.column}`;
+          if (e.test) loc += ` (${e.test})`;
+          if (e.package) loc += ` [${e.package}]`;
+          if (e.source) loc += ` in ${e.source}`;
           return loc;
         });
 
@@ -84,14 +135,46 @@ function formatText(groups, allErrors, opts) {
       for (const loc of locations) {
         lines.push(c(`      → ${loc}`, 'dim', opts));
       }
-      if (group.errors.length > 5) {
-        lines.push(c(`      ... and ${group.errors.length - 5} more`, 'dim', opts));
+      if (group.count > 5) {
+        lines.push(c(`      ... and ${group.count - 5} more`, 'dim', opts));
+      }
+    }
+
+    // Continuation lines of the error itself (--verbose)
+    const { body, context, codeFrame } = group.representative;
+    if (opts.verbose && body) {
+      lines.push(c('    Details:', 'gray', opts));
+      for (const line of dedent(body)) {
+        lines.push(c(`      ${line}`, 'dim', opts));
+      }
+    }
+
+    // Surrounding log lines and source frame (--context)
+    if (context) {
+      lines.push(c('    Context:', 'gray', opts));
+      for (const line of renderLogContext(context)) {
+        lines.push(c(`      ${line}`, line.startsWith('>') ? 'reset' : 'dim', opts));
+      }
+    }
+    if (codeFrame) {
+      lines.push(c(`    Source (${formatFrameLocation(codeFrame)}):`, 'gray', opts));
+      for (const line of renderCodeFrame(codeFrame)) {
+        lines.push(c(`      ${line}`, line.startsWith('>') ? 'reset' : /^\s+\|/.test(line) ? 'red' : 'dim', opts));
       }
     }
 
     lines.push('');
   }
 
+  // Patterns from the baseline that no longer occur
+  if (opts.baseline && opts.baseline.fixed.length > 0) {
+    lines.push(c('Fixed since baseline:', 'green', opts));
+    for (const group of opts.baseline.fixed) {
+      lines.push(c(`  ✓ ${group.baseline.previousCount}× `, 'green', opts) + formatErrorMessage(group.representative, opts));
+    }
+    lines.push('');
+  }
+
   // Stats summary
   if (opts.stats && !opts.quiet) {
     const stats = getStats(groups, allErrors);
@@ -103,8 +186,8 @@ function formatText(groups, allErrors, opts) {
 
     if (Object.keys(stats.byType).length > 1) {
       lines.push('  By type:');
-      for (const [type, count] of Object.entries(stats.byType)) {
-        lines.push(`    ${type}: ${count}`);
+      for (const [type, totals] of Object.entries(stats.typeTotals)) {
+        lines.push(`    ${type}: ${totals.errors} (${totals.patterns} patterns, ${totals.files} files)`);
       }
     }
 
@@ -116,14 +199,107 @@ function formatText(groups, allErrors, opts) {
       }
     }
 
+    if (Object.keys(stats.byPackage).length > 0) {
+      lines.push('  By package:');
+      for (const [name, totals] of Object.entries(stats.byPackage)) {
+        lines.push(`    ${name}: ${totals.errors} (${totals.patterns} patterns, ${totals.files} files)`);
+      }
+    }
+
+    if (Object.keys(stats.byOwner).length > 0) {
+      lines.push('  By owner:');
+      for (const [owner, totals] of Object.entries(stats.byOwner)) {
+        lines.push(`    ${owner}: ${totals.errors} (${totals.patterns} patterns, ${totals.files} files)`);
+      }
+    }
+
     if (stats.topCode) {
       lines.push(`  Most common code: ${stats.topCode.code} (${stats.topCode.count}×)`);
     }
   }
 
+  // How each --run command ended
+  if (opts.commands && !opts.quiet) {
+    if (lines.length > 0 && lines[lines.length - 1] !== '') lines.push('');
+    lines.push(formatCommands(opts.commands, allErrors, opts));
+  }
+
+  // Why the run fails (see evaluatePolicy)
+  if (opts.policy && opts.policy.failed && !opts.quiet) {
+    if (lines[lines.length - 1] !== '') lines.push('');
+    for (const reason of opts.policy.reasons) {
+      lines.push(c(`✗ Failed: ${reason}`, 'red', opts));
+    }
+  }
+
   return lines.join('\n');
 }
 
+/**
+ * Format how each --run command ended, with the errors found in its output
+ */
+function formatCommands(commands, allErrors, opts = {}) {
+  const summaries = commandSummaries(commands, allErrors);
+  const width = Math.max(...summaries.map((s) => s.command.length));
+  const lines = [c('Commands:', 'bold', opts)];
+  for (const summary of summaries) {
+    const mark = summary.exitCode === 0 ? c('✓', 'green', opts) : c('✗', 'red', opts);
+    const errors = `${summary.errors} error${summary.errors === 1 ? '' : 's'}`;
+    lines.push(`  ${mark} ${summary.command.padEnd(width)}  ${errors.padEnd(10)} ` +
+               c(`${formatExit(summary)}, ${formatDuration(summary.duration)}`, 'dim', opts));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Format a group's baseline status: [NEW], or the count delta when it persists
+ */
+function formatBaselineTag(baseline, opts) {
+  if (baseline.status === 'new') {
+    return c('[NEW]', 'red', opts);
+  }
+  const color = baseline.delta > 0 ? 'yellow' : baseline.delta < 0 ? 'green' : 'dim';
+  return c(`(${formatDelta(baseline.delta)})`, color, opts);
+}
+
+/**
+ * Format a code frame's file:line:column
+ */
+function formatFrameLocation(frame) {
+  let loc = `${frame.file}:${frame.line}`;
+  if (frame.column) loc += `:${frame.column}`;
+  return loc;
+}
+
+/**
+ * Strip the indentation shared by all non-blank lines
+ */
+function dedent(lines) {
+  const indents = lines
+    .filter((line) => line.trim() !== '')
+    .map((line) => line.match(/^\s*/)[0].length);
+  const indent = Math.min(...indents);
+  return lines.map((line) => line.slice(indent).trimEnd());
+}
+
+/**
+ * What the groups are called in summaries: patterns, unless grouped by
+ * another --group-by dimension
+ */
+function groupNoun(groups) {
+  return groups.length > 0 && groups[0].by ? 'groups' : 'patterns';
+}
+
+/**
+ * Format a group's name: its key for --group-by dimensions, or its message
+ */
+function formatGroupName(group, opts) {
+  if (group.by) {
+    return groupLabel(group);
+  }
+  return formatErrorMessage(group.representative, opts);
+}
+
 /**
  * Format the error message with highlighting
  */
@@ -141,7 +317,87 @@ function formatErrorMessage(error, opts) {
 }
 
 /**
- * Format as JSON
+ * JSON shape of a group, with its second-level groups nested
+ */
+function jsonGroup(g, opts) {
+  return {
+    count: g.count,
+    groupBy: g.by,
+    key: g.by ? g.key : undefined,
+    signature: g.signature,
+    code: g.code || null,
+    type: g.type,
+    message: g.by ? groupLabel(g) : g.representative.message,
+    mergedSignatures: g.mergedSignatures && g.mergedSignatures.length > 0
+      ? g.mergedSignatures
+      : undefined,
+    files: Array.from(g.files),
+    packages: g.packages && g.packages.size > 0 ? Array.from(g.packages) : undefined,
+    owners: g.owners && g.owners.size > 0 ? Array.from(g.owners) : undefined,
+    severities: g.severities,
+    locations: opts.locations
+      ? g.errors.map((e) => ({
+        file: e.file,
+        line: e.line,
+        column: e.column,
+        test: e.test,
+        package: e.package,
+        command: e.command,
+        source: e.source,
+      }))
+      : undefined,
+    body: g.representative.body,
+    frames: g.representative.frames,
+    chain: g.representative.chain,
+    context: g.representative.context,
+    codeFrame: g.representative.codeFrame,
+    baseline: opts.baseline ? g.baseline : undefined,
+    groups: g.groups ? g.groups.map((sub) => jsonGroup(sub, { ...opts, baseline: null })) : undefined,
+  };
+}
+
+/**
+ * JSON shape of a signature group for `patterns`: what errsum merge needs
+ * to combine it with other runs, down to each error
+ */
+function jsonPattern(g) {
+  return {
+    signature: g.signature,
+    count: g.count,
+    code: g.code || null,
+    type: g.type,
+    message: g.representative.message,
+    mergedSignatures: g.mergedSignatures && g.mergedSignatures.length > 0
+      ? g.mergedSignatures
+      : undefined,
+    files: Array.from(g.files),
+    packages: g.packages && g.packages.size > 0 ? Array.from(g.packages) : undefined,
+    owners: g.owners && g.owners.size > 0 ? Array.from(g.owners) : undefined,
+    severities: g.severities,
+    body: g.representative.body,
+    frames: g.representative.frames,
+    chain: g.representative.chain,
+    occurrences: g.errors.map((e) => ({
+      file: e.file,
+      line: e.line,
+      column: e.column,
+      message: e.message,
+      code: e.code,
+      severity: e.severity,
+      owners: e.owners && e.owners.length > 0 ? e.owners : undefined,
+      test: e.test,
+      package: e.package,
+      command: e.command,
+      source: e.source,
+    })),
+  };
+}
+
+/**
+ * Format as JSON. Besides the top groups, `patterns` holds every error by
+ * signature whatever the grouping and `top` (see jsonPattern), from
+ * `allErrors` or, when that is a tally, from opts.signatures; it is left
+ * out with opts.patterns false.
  */
 function formatJson(groups, allErrors, opts) {
   const stats = getStats(groups, allErrors);
@@ -152,27 +408,39 @@ function formatJson(groups, allErrors, opts) {
       uniquePatterns: stats.uniquePatterns,
       filesAffected: stats.filesAffected,
     },
-    groups: groups.map((g) => ({
-      count: g.count,
-      signature: g.signature,
-      code: g.code || null,
-      type: g.type,
-      message: g.representative.message,
-      files: Array.from(g.files),
-      locations: opts.locations
-        ? g.errors.map((e) => ({
-          file: e.file,
-          line: e.line,
-          column: e.column,
-        }))
-        : undefined,
-    })),
+    groups: groups.map((g) => jsonGroup(g, opts)),
   };
 
+  if (opts.baseline) {
+    output.baseline = {
+      ...opts.baseline.summary,
+      fixedGroups: opts.baseline.fixed.map((g) => ({
+        signature: g.signature,
+        code: g.code || null,
+        type: g.type,
+        message: g.representative.message,
+        previousCount: g.baseline.previousCount,
+      })),
+    };
+  }
+
   if (opts.stats) {
     output.stats = stats;
   }
 
+  if (opts.commands) {
+    output.commands = commandSummaries(opts.commands, allErrors);
+  }
+
+  if (opts.policy) {
+    output.policy = opts.policy;
+  }
+
+  const patterns = Array.isArray(allErrors) ? groupErrors(allErrors, { top: 0 }) : opts.signatures;
+  if (patterns && opts.patterns !== false) {
+    output.patterns = patterns.map(jsonPattern);
+  }
+
   return JSON.stringify(output, null, 2);
 }
 
@@ -185,8 +453,14 @@ function formatMarkdown(groups, allErrors, opts) {
 
   lines.push('# Error Summary');
   lines.push('');
-  lines.push(`**${stats.totalErrors} errors** in ${stats.uniquePatterns} patterns across ${stats.filesAffected} files`);
+  lines.push(`**${stats.totalErrors} errors** in ${stats.uniquePatterns} ${groupNoun(groups)} across ${stats.filesAffected} files`);
   lines.push('');
+
+  if (opts.baseline) {
+    const { summary } = opts.baseline;
+    lines.push(`Baseline: **${summary.new} new**, ${summary.fixed} fixed, ${summary.unchanged} unchanged`);
+    lines.push('');
+  }
   lines.push('## Error Groups');
   lines.push('');
 
@@ -194,10 +468,50 @@ function formatMarkdown(groups, allErrors, opts) {
     const group = groups[i];
     const num = i + 1;
 
-    lines.push(`### ${num}. \`${group.code || 'Error'}\` (${group.count}×)`);
-    lines.push('');
-    lines.push(`> ${group.representative.message}`);
+    let heading = group.by
+      ? `### ${num}. \`${groupLabel(group)}\` (${group.count}×)`
+      : `### ${num}. \`${group.code || 'Error'}\` (${group.count}×)`;
+    if (opts.baseline && group.baseline) {
+      heading += group.baseline.status === 'new' ? ' — new' : ` — ${formatDelta(group.baseline.delta)}`;
+    }
+    lines.push(heading);
     lines.push('');
+    if (!group.by) {
+      lines.push(`> ${group.representative.message}`);
+      lines.push('');
+    }
+
+    // Second-level groups (--group-by a,b)
+    if (group.groups) {
+      const shown = opts.top > 0 ? group.groups.slice(0, opts.top) : group.groups;
+      for (const sub of shown) {
+        lines.push(sub.by
+          ? `- ${sub.count}× \`${groupLabel(sub)}\``
+          : `- ${sub.count}× \`${sub.code || 'Error'}\` ${sub.representative.message}`);
+      }
+      if (group.groups.length > shown.length) {
+        lines.push(`- ... and ${group.groups.length - shown.length} more`);
+      }
+      lines.push('');
+    }
+
+    if (group.packages && group.packages.size > 0 && group.by !== 'package') {
+      lines.push(`**Packages:** ${Array.from(group.packages, (name) => `\`${name}\``).join(', ')}`);
+      lines.push('');
+    }
+
+    if (group.owners && group.owners.size > 0 && group.by !== 'owner') {
+      lines.push(`**Owners:** ${Array.from(group.owners, (owner) => `\`${owner}\``).join(', ')}`);
+      lines.push('');
+    }
+
+    if (group.mergedSignatures && group.mergedSignatures.length > 0) {
+      lines.push('**Merged patterns:**');
+      for (const sig of group.mergedSignatures) {
+        lines.push(`- \`${sig}\``);
+      }
+      lines.push('');
+    }
 
     if (opts.locations && group.files.size > 0) {
       lines.push('**Locations:**');
@@ -207,13 +521,43 @@ function formatMarkdown(groups, allErrors, opts) {
         if (e.line) loc += `:${e.line}`;
         if (e.column) loc += `:${e.column}`;
         loc += '`';
+        if (e.test) loc += ` — ${e.test}`;
+        if (e.package) loc += ` (${e.package})`;
+        if (e.source) loc += ` in \`${e.source}\``;
         lines.push(loc);
       }
-      if (group.errors.length > 10) {
-        lines.push(`- ... and ${group.errors.length - 10} more`);
+      if (group.count > 10) {
+        lines.push(`- ... and ${group.count - 10} more`);
       }
       lines.push('');
     }
+
+    const { context, codeFrame } = group.representative;
+    if (context) {
+      lines.push('**Context:**');
+      lines.push('');
+      lines.push('```text');
+      lines.push(...renderLogContext(context));
+      lines.push('```');
+      lines.push('');
+    }
+    if (codeFrame) {
+      lines.push(`**Source** (\`${formatFrameLocation(codeFrame)}\`):`);
+      lines.push('');
+      lines.push('```text');
+      lines.push(...renderCodeFrame(codeFrame));
+      lines.push('```');
+      lines.push('');
+    }
+  }
+
+  if (opts.baseline && opts.baseline.fixed.length > 0) {
+    lines.push('## Fixed Since Baseline');
+    lines.push('');
+    for (const group of opts.baseline.fixed) {
+      lines.push(`- \`${group.code || 'Error'}\` (${group.baseline.previousCount}×) ${group.representative.message}`);
+    }
+    lines.push('');
   }
 
   if (opts.stats) {
@@ -228,6 +572,55 @@ function formatMarkdown(groups, allErrors, opts) {
     if (stats.topCode) {
       lines.push(`| Most common code | ${stats.topCode.code} (${stats.topCode.count}×) |`);
     }
+
+    if (Object.keys(stats.typeTotals).length > 1) {
+      lines.push('');
+      lines.push('| Type | Errors | Patterns | Files |');
+      lines.push('|------|--------|----------|-------|');
+      for (const [type, totals] of Object.entries(stats.typeTotals)) {
+        lines.push(`| ${type} | ${totals.errors} | ${totals.patterns} | ${totals.files} |`);
+      }
+    }
+
+    if (Object.keys(stats.byPackage).length > 0) {
+      lines.push('');
+      lines.push('| Package | Errors | Patterns | Files |');
+      lines.push('|---------|--------|----------|-------|');
+      for (const [name, totals] of Object.entries(stats.byPackage)) {
+        lines.push(`| ${name} | ${totals.errors} | ${totals.patterns} | ${totals.files} |`);
+      }
+    }
+
+    if (Object.keys(stats.byOwner).length > 0) {
+      lines.push('');
+      lines.push('| Owner | Errors | Patterns | Files |');
+      lines.push('|-------|--------|----------|-------|');
+      for (const [owner, totals] of Object.entries(stats.byOwner)) {
+        lines.push(`| ${owner} | ${totals.errors} | ${totals.patterns} | ${totals.files} |`);
+      }
+    }
+  }
+
+  if (opts.commands) {
+    if (lines[lines.length - 1] !== '') lines.push('');
+    lines.push('## Commands');
+    lines.push('');
+    lines.push('| Command | Errors | Exit | Duration |');
+    lines.push('|---------|--------|------|----------|');
+    for (const summary of commandSummaries(opts.commands, allErrors)) {
+      const mark = summary.exitCode === 0 ? '✓' : '✗';
+      lines.push(`| ${mark} \`${summary.command.replace(/\|/g, '\\|')}\` | ${summary.errors} | ${formatExit(summary)} | ${formatDuration(summary.duration)} |`);
+    }
+  }
+
+  if (opts.policy && opts.policy.failed) {
+    if (lines[lines.length - 1] !== '') lines.push('');
+    lines.push('## Result');
+    lines.push('');
+    lines.push('**Failed:**');
+    for (const reason of opts.policy.reasons) {
+      lines.push(`- ${reason}`);
+    }
   }
 
   return lines.join('\n');
@@ -238,5 +631,6 @@ module.exports = {
   formatText,
   formatJson,
   formatMarkdown,
+  formatCommands,
   COLORS,
 };
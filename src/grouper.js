@@ -1,150 +1,632 @@
 'use strict';
 
+const path = require('node:path');
 const { getErrorSignature } = require('./parser.js');
 
+// Dimensions errors can be grouped by (--group-by). Each returns the
+// error's key, or null when the error has none; an error with several
+// owners is counted in the group of each.
+const GROUP_KEYS = {
+  signature: (error) => getErrorSignature(error),
+  code: (error) => error.code || null,
+  file: (error) => error.file || null,
+  directory: (error) => (error.file ? path.posix.dirname(error.file.replace(/\\/g, '/')) : null),
+  rule: (error) => (error.code ? `${error.type || 'unknown'}/${error.code}` : null),
+  package: (error) => error.package || null,
+  owner: (error) => (error.owners && error.owners.length > 0 ? error.owners : null),
+  command: (error) => error.command || null,
+  source: (error) => error.source || null,
+};
+
+/**
+ * Parse a grouping such as 'file,code' (code within file) into its
+ * dimensions; at most two levels
+ */
+function parseGroupBy(value = 'signature') {
+  const keys = Array.isArray(value) ? value : String(value).split(',').map((key) => key.trim());
+  if (keys.length === 0 || keys.length > 2) {
+    throw new Error(`group-by takes one or two dimensions, got '${keys.join(',')}'`);
+  }
+  for (const key of keys) {
+    if (!GROUP_KEYS[key]) {
+      throw new Error(`Unknown group-by dimension '${key}' (expected ${Object.keys(GROUP_KEYS).join(', ')})`);
+    }
+  }
+  return keys;
+}
+
+// Errors kept per group when grouping with a sample limit (streamed input)
+const LOCATION_SAMPLES = 100;
+
 /**
- * Group similar errors together using signature matching
+ * Group errors, by default on their signature. opts.groupBy picks another
+ * dimension, and a second one groups each group's errors again
+ * (`group.groups`).
  */
 function groupErrors(errors, opts = {}) {
+  const grouper = createGrouper(opts);
+  for (const error of errors) {
+    grouper.add(error);
+  }
+  const result = grouper.groups();
+
+  // Limit to top N if specified
+  return opts.top && opts.top > 0 ? result.slice(0, opts.top) : result;
+}
+
+/**
+ * Group errors one at a time, as groupErrors does. With opts.samples, each
+ * group keeps only its first `samples` errors; counts, files, severities
+ * and the totals for getStats (`tally`) still cover every error, so memory
+ * stays bounded by the number of groups.
+ */
+function createGrouper(opts = {}) {
+  const [by, then] = parseGroupBy(opts.groupBy);
+  const limit = opts.samples > 0 ? opts.samples : Infinity;
   const groups = new Map();
+  const nested = new Map();
+  const tally = createTally();
 
-  for (const error of errors) {
-    const signature = getErrorSignature(error);
+  function add(error) {
+    tallyError(tally, error);
+    const keys = by === 'signature' ? [getErrorSignature(error)] : [].concat(GROUP_KEYS[by](error));
+    for (const key of keys) {
+      if (!groups.has(key)) {
+        groups.set(key, createGroup(by, key, error));
+        if (then) nested.set(key, createGrouper({ ...opts, groupBy: then }));
+      }
+      addToGroup(groups.get(key), error, limit);
+      if (then) nested.get(key).add(error);
+    }
+  }
 
-    if (groups.has(signature)) {
-      const group = groups.get(signature);
-      group.count++;
-      group.errors.push(error);
+  /**
+   * Every group so far, most frequent first; the grouper can keep going
+   */
+  function results() {
+    let result = Array.from(groups, ([key, group]) => {
+      const copy = copyGroup(group);
+      if (then) copy.groups = nested.get(key).groups();
+      return copy;
+    }).sort((a, b) => b.count - a.count);
 
-      // Track unique files
-      if (error.file && !group.files.has(error.file)) {
-        group.files.add(error.file);
+    // Optional fuzzy pass merging near-identical signatures
+    if (by === 'signature' && opts.fuzzy) {
+      result = mergeSimilarGroups(result, typeof opts.fuzzy === 'number' ? opts.fuzzy : undefined);
+      for (const group of result) {
+        if (group.errors.length > limit) group.errors.length = limit;
       }
-    } else {
-      groups.set(signature, {
-        signature,
-        count: 1,
-        errors: [error],
-        files: new Set(error.file ? [error.file] : []),
-        representative: error, // First occurrence as representative
-        code: error.code,
-        type: error.type,
-        severity: error.severity,
-      });
     }
+
+    return result;
   }
 
-  // Convert to array and sort by count (descending)
-  let result = Array.from(groups.values()).sort((a, b) => b.count - a.count);
+  /**
+   * Add the errors of another grouper with the same options, which is
+   * left as it was
+   */
+  function merge(other) {
+    for (const [key, group] of other.entries()) {
+      if (groups.has(key)) {
+        absorb(groups.get(key), group, limit);
+      } else {
+        groups.set(key, copyGroup(group, limit));
+      }
+      if (!then) continue;
+      if (!nested.has(key)) {
+        nested.set(key, createGrouper({ ...opts, groupBy: then }));
+      }
+      nested.get(key).merge(other.nestedOf(key));
+    }
+    mergeTally(tally, other.tally);
+  }
 
-  // Limit to top N if specified
-  if (opts.top && opts.top > 0) {
-    result = result.slice(0, opts.top);
+  return {
+    add,
+    groups: results,
+    merge,
+    entries: () => groups.entries(),
+    nestedOf: (key) => nested.get(key),
+    tally,
+  };
+}
+
+/**
+ * A group for the first error with `key`. Signature groups describe their
+ * first error; groups of another dimension are identified by `by` and
+ * `key`, and have a code, type and severity only while all errors agree.
+ */
+function createGroup(by, key, error) {
+  const group = by === 'signature'
+    ? { signature: key }
+    : { by, key, signature: `${by}:${key === null ? '' : key}` };
+  return Object.assign(group, {
+    count: 0,
+    errors: [],
+    files: new Set(),
+    packages: new Set(),
+    owners: new Set(),
+    severities: {},
+    representative: error, // First occurrence as representative
+    code: error.code,
+    type: error.type,
+    severity: error.severity,
+  });
+}
+
+/**
+ * Copy a group, so that adding to the copy leaves the original as it was
+ */
+function copyGroup(group, limit = Infinity) {
+  return {
+    ...group,
+    errors: group.errors.slice(0, limit),
+    files: new Set(group.files),
+    packages: new Set(group.packages || []),
+    owners: new Set(group.owners || []),
+    severities: { ...group.severities },
+  };
+}
+
+function addToGroup(group, error, limit) {
+  group.count++;
+  if (group.errors.length < limit) group.errors.push(error);
+  if (error.file) group.files.add(error.file);
+  if (error.package) group.packages.add(error.package);
+  for (const owner of error.owners || []) group.owners.add(owner);
+
+  const severity = error.severity || 'error';
+  group.severities[severity] = (group.severities[severity] || 0) + 1;
+
+  if (group.by) {
+    for (const field of ['code', 'type', 'severity']) {
+      if (group[field] !== error[field]) group[field] = undefined;
+    }
   }
+}
 
+/**
+ * Add the errors of `source` to `group`, keeping at most `limit` of them
+ */
+function absorb(group, source, limit = Infinity) {
+  group.count += source.count;
+  group.errors.push(...source.errors.slice(0, Math.max(limit - group.errors.length, 0)));
+  for (const file of source.files) {
+    group.files.add(file);
+  }
+  for (const name of source.packages || []) {
+    group.packages.add(name);
+  }
+  for (const owner of source.owners || []) {
+    group.owners.add(owner);
+  }
+  for (const [severity, count] of Object.entries(source.severities || {})) {
+    group.severities[severity] = (group.severities[severity] || 0) + count;
+  }
+  if (group.by) {
+    for (const field of ['code', 'type', 'severity']) {
+      if (group[field] !== source[field]) group[field] = undefined;
+    }
+  }
+
+  // Second-level groups with the same key are combined
+  if (group.groups && source.groups) {
+    const byKey = new Map(group.groups.map((sub) => [sub.signature, sub]));
+    for (const sub of source.groups) {
+      if (byKey.has(sub.signature)) {
+        absorb(byKey.get(sub.signature), sub, limit);
+      } else {
+        const copy = copyGroup(sub, limit);
+        group.groups.push(copy);
+        byKey.set(sub.signature, copy);
+      }
+    }
+    group.groups.sort((a, b) => b.count - a.count);
+  }
+}
+
+/**
+ * Combine signature groups made separately, e.g. by runs over shards of a
+ * log: groups with the same signature become one, with their counts
+ * summed and their files, errors and merged signatures joined. Most
+ * frequent first.
+ */
+function combineGroups(groups) {
+  const bySignature = new Map();
+  for (const group of groups) {
+    const existing = bySignature.get(group.signature);
+    if (!existing) {
+      const copy = copyGroup(group);
+      if (group.mergedSignatures) copy.mergedSignatures = [...group.mergedSignatures];
+      bySignature.set(group.signature, copy);
+      continue;
+    }
+    absorb(existing, group);
+    for (const signature of group.mergedSignatures || []) {
+      existing.mergedSignatures = existing.mergedSignatures || [];
+      if (!existing.mergedSignatures.includes(signature)) existing.mergedSignatures.push(signature);
+    }
+  }
+  return Array.from(bySignature.values()).sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Display name of a group: its key for --group-by dimensions, the
+ * representative message for signature groups
+ */
+function groupLabel(group) {
+  if (!group.by) {
+    return group.representative.message || 'Unknown error';
+  }
+  return group.key === null ? `(no ${group.by})` : group.key;
+}
+
+/**
+ * Format an error's file:line:column
+ */
+function formatLocation(error) {
+  let loc = error.file;
+  if (error.line) loc += `:${error.line}`;
+  if (error.column) loc += `:${error.column}`;
+  return loc;
+}
+
+/**
+ * Format a count delta with an explicit sign
+ */
+function formatDelta(delta) {
+  return delta > 0 ? `+${delta}` : delta < 0 ? `${delta}` : '±0';
+}
+
+/**
+ * Flatten groups to signature groups, for outputs that report one entry per
+ * kind of error. Each comes with the labels of the groups it was nested in.
+ */
+function signatureGroups(groups, path = []) {
+  const result = [];
+  for (const group of groups) {
+    if (!group.by) {
+      result.push({ group, path });
+    } else {
+      result.push(...signatureGroups(group.groups || groupErrors(group.errors), [...path, groupLabel(group)]));
+    }
+  }
   return result;
 }
 
 /**
- * Calculate similarity between two strings (Levenshtein-based)
+ * Split a signature into lowercase word tokens
+ */
+function tokenize(str) {
+  return str.toLowerCase().split(/\W+/).filter(Boolean);
+}
+
+// Rows of tokenDistance's table, reused across calls
+let prevRow = [];
+let currRow = [];
+
+/**
+ * Token-level Levenshtein distance with an early exit.
+ * Returns maxDistance + 1 as soon as the distance is known to exceed it.
+ */
+function tokenDistance(tokens1, tokens2, maxDistance = Infinity) {
+  const len1 = tokens1.length;
+  const len2 = tokens2.length;
+
+  if (Math.abs(len1 - len2) > maxDistance) {
+    return maxDistance + 1;
+  }
+
+  let prev = prevRow;
+  let curr = currRow;
+  for (let j = 0; j <= len2; j++) {
+    prev[j] = j;
+  }
+
+  for (let i = 1; i <= len1; i++) {
+    curr[0] = i;
+    let rowMin = curr[0];
+
+    for (let j = 1; j <= len2; j++) {
+      const cost = tokens1[i - 1] === tokens2[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+      if (curr[j] < rowMin) rowMin = curr[j];
+    }
+
+    if (rowMin > maxDistance) {
+      return maxDistance + 1;
+    }
+    [prev, curr] = [curr, prev];
+  }
+
+  return prev[len2];
+}
+
+/**
+ * Calculate similarity between two strings (token-level Levenshtein)
  * Returns a value between 0 and 1
  */
 function similarity(str1, str2) {
   if (str1 === str2) return 1;
   if (!str1 || !str2) return 0;
 
-  const len1 = str1.length;
-  const len2 = str2.length;
+  const tokens1 = tokenize(str1);
+  const tokens2 = tokenize(str2);
+  const maxLen = Math.max(tokens1.length, tokens2.length);
+  if (maxLen === 0) return 0;
 
-  // Quick check: if lengths differ by more than 50%, likely different
-  if (Math.abs(len1 - len2) > Math.max(len1, len2) * 0.5) {
-    return 0;
-  }
+  return 1 - tokenDistance(tokens1, tokens2) / maxLen;
+}
+
+/**
+ * Leaders of one tool and code that may be within `threshold` of `tokens`,
+ * in the order they were made. Only lengths within reach are looked at,
+ * and within a length only leaders sharing a token with the source: with
+ * at most d edits, one of any d + 1 of the source's tokens is kept, so
+ * the d + 1 tokens with the fewest leaders are enough to find them all.
+ */
+function candidateLeaders(bucket, signature, tokens, threshold) {
+  const candidates = new Set();
+  const n = tokens.length;
+
+  for (const [m, { leaders, postings }] of bucket.byLength) {
+    const maxDistance = Math.floor(Math.max(n, m) * (1 - threshold) + 1e-9);
+    if (Math.abs(n - m) > maxDistance) continue;
 
-  // Use simple token-based similarity for speed
-  const tokens1 = new Set(str1.toLowerCase().split(/\W+/).filter(Boolean));
-  const tokens2 = new Set(str2.toLowerCase().split(/\W+/).filter(Boolean));
+    // Every token may change: no token has to be shared
+    if (maxDistance >= n) {
+      for (const leader of leaders) candidates.add(leader);
+      continue;
+    }
 
-  let intersection = 0;
-  for (const token of tokens1) {
-    if (tokens2.has(token)) {
-      intersection++;
+    const rarest = tokens
+      .map((token) => postings.get(token) || [])
+      .sort((a, b) => a.length - b.length)
+      .slice(0, maxDistance + 1);
+    for (const posting of rarest) {
+      for (const leader of posting) candidates.add(leader);
     }
   }
 
-  const union = tokens1.size + tokens2.size - intersection;
-  return union === 0 ? 0 : intersection / union;
+  const exact = bucket.bySignature.get(signature);
+  if (exact) candidates.add(exact);
+  return Array.from(candidates).sort((a, b) => a.index - b.index);
 }
 
 /**
  * Merge similar groups (for fuzzy grouping)
+ * Only groups of the same tool and code are compared. Each merged group keeps
+ * the signatures it absorbed in `mergedSignatures`.
  */
 function mergeSimilarGroups(groups, threshold = 0.8) {
-  const merged = [];
-  const used = new Set();
-
-  for (let i = 0; i < groups.length; i++) {
-    if (used.has(i)) continue;
-
-    const group = { ...groups[i] };
-    group.errors = [...group.errors];
-    group.files = new Set(group.files);
-
-    // Find similar groups to merge
-    for (let j = i + 1; j < groups.length; j++) {
-      if (used.has(j)) continue;
-
-      const sim = similarity(group.signature, groups[j].signature);
-      if (sim >= threshold) {
-        group.count += groups[j].count;
-        group.errors.push(...groups[j].errors);
-        for (const file of groups[j].files) {
-          group.files.add(file);
-        }
-        used.add(j);
+  const buckets = new Map();
+
+  // Largest groups first so they become the cluster leaders
+  const sorted = [...groups].sort((a, b) => b.count - a.count);
+
+  for (const source of sorted) {
+    const key = `${source.type || ''}\0${source.code || ''}`;
+    if (!buckets.has(key)) {
+      buckets.set(key, { leaders: [], byLength: new Map(), bySignature: new Map() });
+    }
+    const bucket = buckets.get(key);
+    const tokens = tokenize(source.signature || '');
+
+    // The first leader within reach, as if each were compared in turn
+    let target = null;
+    for (const leader of candidateLeaders(bucket, source.signature, tokens, threshold)) {
+      if (leader.signature === source.signature) {
+        target = leader;
+        break;
       }
+      const maxLen = Math.max(leader.tokens.length, tokens.length);
+      if (maxLen === 0) continue;
+
+      // Largest distance that still meets the threshold
+      const maxDistance = Math.floor(maxLen * (1 - threshold) + 1e-9);
+      if (tokenDistance(leader.tokens, tokens, maxDistance) <= maxDistance) {
+        target = leader;
+        break;
+      }
+    }
+
+    if (target) {
+      absorb(target.group, source);
+      target.group.mergedSignatures.push(source.signature, ...(source.mergedSignatures || []));
+      continue;
+    }
+
+    const group = copyGroup(source);
+    if (source.groups) {
+      group.groups = source.groups.map((sub) => copyGroup(sub));
     }
+    group.mergedSignatures = [...(source.mergedSignatures || [])];
+    const leader = { index: bucket.leaders.length, signature: source.signature, tokens, group };
+    bucket.leaders.push(leader);
 
-    merged.push(group);
-    used.add(i);
+    if (!bucket.byLength.has(tokens.length)) {
+      bucket.byLength.set(tokens.length, { leaders: [], postings: new Map() });
+    }
+    const { leaders, postings } = bucket.byLength.get(tokens.length);
+    leaders.push(leader);
+    for (const token of new Set(tokens)) {
+      if (!postings.has(token)) postings.set(token, []);
+      postings.get(token).push(leader);
+    }
+    if (!bucket.bySignature.has(source.signature)) {
+      bucket.bySignature.set(source.signature, leader);
+    }
+  }
+
+  const merged = [];
+  for (const bucket of buckets.values()) {
+    for (const leader of bucket.leaders) {
+      merged.push(leader.group);
+    }
   }
 
   return merged.sort((a, b) => b.count - a.count);
 }
 
 /**
- * Get statistics about error groups
+ * Running totals over errors, the part of getStats that needs every error
  */
-function getStats(groups, allErrors) {
-  const stats = {
-    totalErrors: allErrors.length,
-    uniquePatterns: groups.length,
-    filesAffected: new Set(),
+function createTally() {
+  return {
+    totalErrors: 0,
+    files: new Set(),
     byType: {},
+    typeTotals: {},
     bySeverity: {},
-    topCode: null,
+    byPackage: {},
+    byOwner: {},
+    byCommand: {},
+    codeCounts: {},
   };
+}
 
-  const codeCounts = {};
+function countIn(totals, name, file) {
+  if (!totals[name]) {
+    totals[name] = { errors: 0, files: new Set() };
+  }
+  totals[name].errors++;
+  if (file) {
+    totals[name].files.add(file);
+  }
+}
 
-  for (const error of allErrors) {
-    if (error.file) {
-      stats.filesAffected.add(error.file);
-    }
+function tallyError(tally, error) {
+  tally.totalErrors++;
+  if (error.file) {
+    tally.files.add(error.file);
+  }
 
-    const type = error.type || 'unknown';
-    stats.byType[type] = (stats.byType[type] || 0) + 1;
+  const type = error.type || 'unknown';
+  tally.byType[type] = (tally.byType[type] || 0) + 1;
+  countIn(tally.typeTotals, type, error.file);
 
-    const severity = error.severity || 'error';
-    stats.bySeverity[severity] = (stats.bySeverity[severity] || 0) + 1;
+  const severity = error.severity || 'error';
+  tally.bySeverity[severity] = (tally.bySeverity[severity] || 0) + 1;
 
-    if (error.code) {
-      codeCounts[error.code] = (codeCounts[error.code] || 0) + 1;
+  if (error.code) {
+    tally.codeCounts[error.code] = (tally.codeCounts[error.code] || 0) + 1;
+  }
+
+  // Per-package totals for monorepo logs
+  if (error.package) {
+    countIn(tally.byPackage, error.package, error.file);
+  }
+
+  // Per-owner totals, with CODEOWNERS
+  for (const owner of error.owners || []) {
+    countIn(tally.byOwner, owner, error.file);
+  }
+
+  if (error.command) {
+    tally.byCommand[error.command] = (tally.byCommand[error.command] || 0) + 1;
+  }
+}
+
+/**
+ * Add the totals of `from` to `tally`
+ */
+function mergeTally(tally, from) {
+  tally.totalErrors += from.totalErrors;
+  for (const file of from.files) {
+    tally.files.add(file);
+  }
+  for (const key of ['byType', 'bySeverity', 'byCommand', 'codeCounts']) {
+    for (const [name, count] of Object.entries(from[key])) {
+      tally[key][name] = (tally[key][name] || 0) + count;
     }
   }
+  for (const key of ['typeTotals', 'byPackage', 'byOwner']) {
+    for (const [name, totals] of Object.entries(from[key])) {
+      if (!tally[key][name]) {
+        tally[key][name] = { errors: 0, files: new Set() };
+      }
+      tally[key][name].errors += totals.errors;
+      for (const file of totals.files) {
+        tally[key][name].files.add(file);
+      }
+    }
+  }
+  return tally;
+}
+
+/**
+ * Totals over a list of errors. Totals kept while grouping (a grouper's
+ * `tally`) are returned as they are, so callers take either.
+ */
+function tallyErrors(errors) {
+  if (!Array.isArray(errors)) return errors;
+  const tally = createTally();
+  for (const error of errors) {
+    tallyError(tally, error);
+  }
+  return tally;
+}
+
+/**
+ * Get statistics about error groups. `allErrors` is every error, or their
+ * tally (see tallyErrors).
+ */
+function getStats(groups, allErrors) {
+  const tally = tallyErrors(allErrors);
+  const copyTotals = (totals) => {
+    const copy = {};
+    for (const [name, { errors, files }] of Object.entries(totals)) {
+      copy[name] = { errors, patterns: 0, files };
+    }
+    return copy;
+  };
+
+  const stats = {
+    totalErrors: tally.totalErrors,
+    uniquePatterns: groups.length,
+    filesAffected: tally.files,
+    byType: { ...tally.byType },
+    typeTotals: copyTotals(tally.typeTotals),
+    bySeverity: { ...tally.bySeverity },
+    byPackage: copyTotals(tally.byPackage),
+    byOwner: copyTotals(tally.byOwner),
+    topCode: null,
+  };
+  const { codeCounts } = tally;
 
   stats.filesAffected = stats.filesAffected.size;
 
+  // Per-type totals for mixed-tool logs
+  for (const group of groups) {
+    const totals = stats.typeTotals[group.type || 'unknown'];
+    if (totals) {
+      totals.patterns++;
+    }
+  }
+  for (const totals of Object.values(stats.typeTotals)) {
+    totals.files = totals.files.size;
+  }
+  for (const group of groups) {
+    for (const name of group.packages || []) {
+      if (stats.byPackage[name]) {
+        stats.byPackage[name].patterns++;
+      }
+    }
+  }
+  for (const totals of Object.values(stats.byPackage)) {
+    totals.files = totals.files.size;
+  }
+  for (const group of groups) {
+    for (const owner of group.owners || []) {
+      if (stats.byOwner[owner]) {
+        stats.byOwner[owner].patterns++;
+      }
+    }
+  }
+  for (const totals of Object.values(stats.byOwner)) {
+    totals.files = totals.files.size;
+  }
+
   // Find most common error code
   let maxCount = 0;
   for (const [code, count] of Object.entries(codeCounts)) {
@@ -159,6 +641,16 @@ function getStats(groups, allErrors) {
 
 module.exports = {
   groupErrors,
+  createGrouper,
+  combineGroups,
+  tallyErrors,
+  LOCATION_SAMPLES,
+  parseGroupBy,
+  groupLabel,
+  formatLocation,
+  formatDelta,
+  signatureGroups,
+  GROUP_KEYS,
   similarity,
   mergeSimilarGroups,
   getStats,
@@ -0,0 +1,204 @@
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { formatDelta } = require('./grouper.js');
+
+/**
+ * History module - records each run's error groups in a local JSONL file
+ * and reports per-pattern trends across runs (`errsum trend`)
+ */
+
+const HISTORY_FILE = path.join('.errsum', 'history.jsonl');
+
+// Runs shown by `errsum trend` unless --last says otherwise
+const DEFAULT_TREND_RUNS = 20;
+
+const SPARKS = '▁▂▃▄▅▆▇█';
+
+/**
+ * Build the history entry of a run from its signature groups; `allErrors`
+ * is every error, or their tally
+ */
+function historyEntry(groups, allErrors, opts = {}) {
+  return {
+    time: (opts.time || new Date()).toISOString(),
+    total: Array.isArray(allErrors) ? allErrors.length : allErrors.totalErrors,
+    groups: groups.map((group) => ({
+      signature: group.signature,
+      count: group.count,
+      code: group.code || null,
+      type: group.type,
+      message: group.representative.message,
+    })),
+  };
+}
+
+/**
+ * Append a run to the history file, creating it (and .errsum/) if needed
+ */
+function appendHistory(file, entry) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+}
+
+/**
+ * Read the runs recorded in a history file, oldest first
+ */
+function readHistory(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    throw new Error(`Cannot read history file ${file}: ${err.message}`);
+  }
+
+  const entries = [];
+  const lines = text.split('\n');
+  lines.forEach((line, index) => {
+    if (line.trim() === '') return;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (err) {
+      // A run interrupted while writing leaves a partial last line
+      if (index === lines.length - 1) return;
+      throw new Error(`Invalid history file ${file}, line ${index + 1}: ${err.message}`);
+    }
+    if (!entry || typeof entry.time !== 'string' || !Array.isArray(entry.groups)) {
+      throw new Error(`Invalid history file ${file}, line ${index + 1}: expected a recorded errsum run`);
+    }
+    entries.push(entry);
+  });
+
+  return entries;
+}
+
+/**
+ * Per-pattern counts over the last `last` runs. Each pattern has its
+ * counts per run (0 where it did not occur), the change over the window
+ * and since the previous run, and whether it is growing. Patterns are
+ * sorted by their latest count.
+ */
+function computeTrend(entries, opts = {}) {
+  const last = opts.last > 0 ? opts.last : DEFAULT_TREND_RUNS;
+  const runs = entries.slice(-last);
+
+  const patterns = new Map();
+  runs.forEach((run, i) => {
+    for (const group of run.groups) {
+      if (!patterns.has(group.signature)) {
+        patterns.set(group.signature, {
+          signature: group.signature,
+          counts: new Array(runs.length).fill(0),
+        });
+      }
+      const pattern = patterns.get(group.signature);
+      pattern.counts[i] += group.count;
+      // Describe patterns as they were last seen
+      pattern.code = group.code;
+      pattern.type = group.type;
+      pattern.message = group.message;
+    }
+  });
+
+  const result = Array.from(patterns.values(), (pattern) => {
+    const { counts } = pattern;
+    const current = counts[counts.length - 1];
+    const previous = counts.length > 1 ? counts[counts.length - 2] : current;
+    return {
+      ...pattern,
+      current,
+      change: current - counts[0],
+      delta: current - previous,
+      growing: current > counts[0],
+    };
+  }).sort((a, b) => b.current - a.current || b.change - a.change);
+
+  return {
+    runs: runs.map((run) => ({ time: run.time, total: run.total })),
+    totals: runs.map((run) => run.total),
+    patterns: result,
+    growing: result.filter((pattern) => pattern.growing).sort((a, b) => b.change - a.change),
+  };
+}
+
+/**
+ * Render counts as a sparkline scaled to the largest value
+ */
+function sparkline(values) {
+  const max = Math.max(0, ...values);
+  return values.map((value) => {
+    if (value <= 0 || max === 0) return SPARKS[0];
+    return SPARKS[Math.max(1, Math.ceil((value / max) * (SPARKS.length - 1)))];
+  }).join('');
+}
+
+function describePattern(pattern) {
+  const code = pattern.code ? `[${pattern.code}] ` : '';
+  return `${code}${pattern.message || pattern.signature}`;
+}
+
+/**
+ * Format a trend as text; opts.top limits the patterns listed
+ */
+function formatTrend(trend, opts = {}) {
+  const lines = [];
+  const { runs, totals } = trend;
+
+  if (runs.length === 0) {
+    return 'No runs recorded yet. Record runs with --history.';
+  }
+
+  const span = runs.length > 1 ? `${runs[0].time.slice(0, 10)} → ${runs[runs.length - 1].time.slice(0, 10)}` : runs[0].time.slice(0, 10);
+  lines.push(`Trend over ${runs.length} run${runs.length === 1 ? '' : 's'} (${span})`);
+  lines.push(`  Total: ${sparkline(totals)}  ${totals[0]} → ${totals[totals.length - 1]} (${formatDelta(totals[totals.length - 1] - totals[0])})`);
+  lines.push('');
+
+  const top = opts.top > 0 ? opts.top : trend.patterns.length;
+  const rows = (list) => {
+    const width = Math.max(...list.map((p) => String(p.current).length), 3);
+    for (const pattern of list) {
+      const change = formatDelta(pattern.change).padStart(6);
+      lines.push(`  ${String(pattern.current).padStart(width)} ${change}  ${sparkline(pattern.counts)}  ${describePattern(pattern)}`);
+    }
+  };
+
+  const current = trend.patterns.filter((pattern) => pattern.current > 0);
+  if (current.length > 0) {
+    lines.push('Patterns:');
+    rows(current.slice(0, top));
+    if (current.length > top) {
+      lines.push(`  ... and ${current.length - top} more`);
+    }
+    lines.push('');
+  }
+
+  if (trend.growing.length > 0) {
+    lines.push('Growing:');
+    rows(trend.growing.slice(0, top));
+    lines.push('');
+  }
+
+  // Patterns seen earlier in the window that no longer occur
+  const fixed = trend.patterns.filter((pattern) => pattern.current === 0).sort((a, b) => a.change - b.change);
+  if (fixed.length > 0) {
+    lines.push('Fixed:');
+    rows(fixed.slice(0, top));
+    if (fixed.length > top) {
+      lines.push(`  ... and ${fixed.length - top} more`);
+    }
+  }
+
+  return lines.join('\n').trimEnd();
+}
+
+module.exports = {
+  historyEntry,
+  appendHistory,
+  readHistory,
+  computeTrend,
+  formatTrend,
+  sparkline,
+  HISTORY_FILE,
+};
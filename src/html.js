@@ -0,0 +1,377 @@
+'use strict';
+
+const { getStats, groupLabel, formatLocation, formatDelta } = require('./grouper.js');
+const { renderLogContext, renderCodeFrame } = require('./context.js');
+const { ANSI_ESCAPES } = require('./normalize.js');
+const { commandSummaries, formatDuration, formatExit } = require('./runner.js');
+
+/**
+ * HTML formatter - a single self-contained report (inline styles and
+ * script, no external assets) to keep as a CI artifact
+ */
+
+// Heatmap columns: the most frequent codes, the rest counted as "other"
+const MAX_HEATMAP_CODES = 12;
+
+const STYLE = `
+body { font: 14px/1.45 -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2rem; color: #1f2328; }
+h1 { margin: 0 0 .25rem; font-size: 1.6rem; }
+h2 { margin: 2rem 0 .75rem; font-size: 1.2rem; }
+code, pre, .mono { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; font-size: 12.5px; }
+pre { background: #f6f8fa; padding: .5rem .75rem; overflow-x: auto; margin: .5rem 0; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border-bottom: 1px solid #d0d7de; padding: .35rem .6rem; text-align: left; vertical-align: top; }
+th[data-sort] { cursor: pointer; user-select: none; white-space: nowrap; }
+th[data-sort]::after { content: " \\2195"; color: #8c959f; }
+td.num, th.num { text-align: right; }
+details summary { cursor: pointer; }
+ul.locations { margin: .5rem 0; padding-left: 1.25rem; max-height: 24rem; overflow-y: auto; }
+.summary { color: #59636e; }
+.failed { background: #ffebe9; border: 1px solid #ff8182; padding: .5rem .75rem; margin: 1rem 0; }
+.filters { display: flex; flex-wrap: wrap; gap: .5rem; margin: 1rem 0; }
+.filters input, .filters select { font: inherit; padding: .2rem .4rem; }
+.badge { display: inline-block; padding: 0 .45rem; border-radius: 1rem; font-size: 12px; background: #eaeef2; }
+.badge.error, .badge.fatal, .badge.err { background: #ffebe9; color: #a40e26; }
+.badge.warning, .badge.warn { background: #fff8c5; color: #7d4e00; }
+.badge.new { background: #a40e26; color: #fff; }
+.muted { color: #8c959f; }
+.heatmap td.cell { text-align: center; min-width: 2.5rem; }
+`;
+
+// Sorting and filtering; the report stays readable without it
+const SCRIPT = `
+(function () {
+  function sortTable(th) {
+    var table = th.closest('table');
+    var body = table.tBodies[0];
+    var key = th.getAttribute('data-sort');
+    var numeric = th.classList.contains('num');
+    var dir = th.getAttribute('data-dir') === 'desc' ? 'asc' : 'desc';
+    table.querySelectorAll('th').forEach(function (h) { h.removeAttribute('data-dir'); });
+    th.setAttribute('data-dir', dir);
+    var rows = Array.prototype.slice.call(body.rows);
+    rows.sort(function (a, b) {
+      var x = a.getAttribute('data-' + key) || '';
+      var y = b.getAttribute('data-' + key) || '';
+      var order = numeric ? Number(x) - Number(y) : x.localeCompare(y);
+      return dir === 'asc' ? order : -order;
+    });
+    rows.forEach(function (row) { body.appendChild(row); });
+  }
+
+  document.querySelectorAll('th[data-sort]').forEach(function (th) {
+    th.addEventListener('click', function () { sortTable(th); });
+  });
+
+  var filters = document.querySelectorAll('[data-filter]');
+  function applyFilters() {
+    var values = {};
+    filters.forEach(function (f) { values[f.getAttribute('data-filter')] = f.value.toLowerCase(); });
+    document.querySelectorAll('#groups tbody tr').forEach(function (row) {
+      var shown = ['type', 'severity', 'code'].every(function (key) {
+        return !values[key] || (row.getAttribute('data-' + key) || '').toLowerCase() === values[key];
+      });
+      if (values.file) shown = shown && (row.getAttribute('data-files') || '').toLowerCase().indexOf(values.file) !== -1;
+      if (values.text) shown = shown && row.textContent.toLowerCase().indexOf(values.text) !== -1;
+      row.hidden = !shown;
+    });
+    document.querySelectorAll('#heatmap tbody tr').forEach(function (row) {
+      row.hidden = Boolean(values.file) && (row.getAttribute('data-file') || '').toLowerCase().indexOf(values.file) === -1;
+    });
+  }
+  filters.forEach(function (f) { f.addEventListener('input', applyFilters); });
+})();
+`;
+
+function escapeHtml(text) {
+  return String(text == null ? '' : text)
+    .replace(ANSI_ESCAPES, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Severity shown for a group; groups of another --group-by dimension can
+ * mix severities
+ */
+function severityOf(group) {
+  const severities = new Set(group.severities
+    ? Object.keys(group.severities).map((severity) => severity.toLowerCase())
+    : group.errors.map((e) => (e.severity || group.severity || 'error').toLowerCase()));
+  if (severities.size > 1) return 'mixed';
+  return severities.size === 1 ? [...severities][0] : (group.severity || 'error').toLowerCase();
+}
+
+function option(value) {
+  return `<option value="${escapeHtml(value)}">${escapeHtml(value)}</option>`;
+}
+
+function select(name, label, values) {
+  const options = [...new Set(values)].filter(Boolean).sort().map(option).join('');
+  return `<select data-filter="${name}" aria-label="${label}"><option value="">All ${label}</option>${options}</select>`;
+}
+
+/**
+ * Everything shown when a group is expanded: full locations, error body,
+ * log context, owners, packages and nested groups
+ */
+function groupDetails(group) {
+  const parts = [];
+
+  if (group.groups && group.groups.length > 0) {
+    parts.push('<ul>');
+    for (const sub of group.groups) {
+      const code = sub.by || !sub.code ? '' : `<code>${escapeHtml(sub.code)}</code> `;
+      parts.push(`<li>${sub.count}× ${code}${escapeHtml(groupLabel(sub))}</li>`);
+    }
+    parts.push('</ul>');
+  }
+  if (group.owners && group.owners.size > 0) {
+    parts.push(`<div>Owners: ${Array.from(group.owners, (o) => `<code>${escapeHtml(o)}</code>`).join(', ')}</div>`);
+  }
+  if (group.packages && group.packages.size > 0) {
+    parts.push(`<div>Packages: ${Array.from(group.packages, (p) => `<code>${escapeHtml(p)}</code>`).join(', ')}</div>`);
+  }
+
+  const located = group.errors.filter((e) => e.file);
+  if (located.length > 0) {
+    parts.push(`<div>Locations (${located.length}):</div>`);
+    parts.push('<ul class="locations mono">');
+    for (const error of located) {
+      let item = escapeHtml(formatLocation(error));
+      if (error.package) item += ` <span class="muted">[${escapeHtml(error.package)}]</span>`;
+      if (error.test) item += ` <span class="muted">${escapeHtml(error.test)}</span>`;
+      if (error.source) item += ` <span class="muted">in ${escapeHtml(error.source)}</span>`;
+      parts.push(`<li>${item}</li>`);
+    }
+    parts.push('</ul>');
+  }
+
+  const { body, context, codeFrame } = group.representative;
+  if (body && body.length > 0) {
+    parts.push(`<pre>${escapeHtml(body.join('\n'))}</pre>`);
+  }
+  if (context) {
+    parts.push(`<pre>${escapeHtml(renderLogContext(context).join('\n'))}</pre>`);
+  }
+  if (codeFrame) {
+    parts.push(`<pre>${escapeHtml(renderCodeFrame(codeFrame).join('\n'))}</pre>`);
+  }
+
+  return parts.join('\n');
+}
+
+function groupRow(group, index, opts) {
+  const type = group.type || '';
+  const severity = severityOf(group);
+  const code = group.code || '';
+  const files = Array.from(group.files);
+  const label = groupLabel(group);
+
+  let status = '';
+  if (opts.baseline && group.baseline) {
+    status = group.baseline.status === 'new'
+      ? ' <span class="badge new">new</span>'
+      : ` <span class="badge">${formatDelta(group.baseline.delta)}</span>`;
+  }
+
+  const attrs = [
+    `data-rank="${index + 1}"`,
+    `data-count="${group.count}"`,
+    `data-type="${escapeHtml(type)}"`,
+    `data-severity="${escapeHtml(severity)}"`,
+    `data-code="${escapeHtml(code)}"`,
+    `data-message="${escapeHtml(label)}"`,
+    `data-filecount="${files.length}"`,
+    `data-files="${escapeHtml(files.join('\n'))}"`,
+  ].join(' ');
+
+  return [
+    `<tr ${attrs}>`,
+    `<td class="num">${index + 1}</td>`,
+    `<td class="num">${group.count}×${status}</td>`,
+    `<td>${escapeHtml(type)}</td>`,
+    `<td><span class="badge ${escapeHtml(severity)}">${escapeHtml(severity)}</span></td>`,
+    `<td>${code ? `<code>${escapeHtml(code)}</code>` : ''}</td>`,
+    `<td><details><summary>${escapeHtml(label)}</summary>\n${groupDetails(group)}\n</details></td>`,
+    `<td class="num">${files.length}</td>`,
+    '</tr>',
+  ].join('\n');
+}
+
+/**
+ * Files by error count, against the most frequent codes
+ */
+function heatmap(groups) {
+  const errors = new Set();
+  for (const group of groups) {
+    for (const error of group.errors) {
+      if (error.file) errors.add(error);
+    }
+  }
+  if (errors.size === 0) return [];
+
+  const codeCounts = new Map();
+  const files = new Map();
+  for (const error of errors) {
+    const code = error.code || error.type || 'unknown';
+    codeCounts.set(code, (codeCounts.get(code) || 0) + 1);
+    if (!files.has(error.file)) files.set(error.file, new Map());
+    const counts = files.get(error.file);
+    counts.set(code, (counts.get(code) || 0) + 1);
+  }
+
+  const codes = Array.from(codeCounts.keys())
+    .sort((a, b) => codeCounts.get(b) - codeCounts.get(a))
+    .slice(0, MAX_HEATMAP_CODES);
+  const other = codeCounts.size > codes.length;
+  const rows = Array.from(files, ([file, counts]) => {
+    const total = Array.from(counts.values()).reduce((sum, n) => sum + n, 0);
+    const cells = codes.map((code) => counts.get(code) || 0);
+    if (other) cells.push(total - cells.reduce((sum, n) => sum + n, 0));
+    return { file, total, cells };
+  }).sort((a, b) => b.total - a.total);
+  const max = Math.max(...rows.flatMap((row) => row.cells));
+
+  const lines = [];
+  lines.push('<h2>Files</h2>');
+  lines.push('<table id="heatmap" class="heatmap">');
+  const headers = codes.map((code, i) => `<th class="num" data-sort="c${i}"><code>${escapeHtml(code)}</code></th>`);
+  if (other) headers.push(`<th class="num" data-sort="c${codes.length}">other</th>`);
+  lines.push(`<thead><tr><th data-sort="file">File</th><th class="num" data-sort="total">Errors</th>${headers.join('')}</tr></thead>`);
+  lines.push('<tbody>');
+  for (const row of rows) {
+    const data = row.cells.map((n, i) => `data-c${i}="${n}"`).join(' ');
+    const cells = row.cells.map((n) => {
+      if (n === 0) return '<td class="cell muted">·</td>';
+      const alpha = (0.15 + 0.75 * (n / max)).toFixed(2);
+      return `<td class="cell" style="background: rgba(207, 34, 46, ${alpha})">${n}</td>`;
+    });
+    lines.push(`<tr data-file="${escapeHtml(row.file)}" data-total="${row.total}" ${data}><td class="mono">${escapeHtml(row.file)}</td><td class="num">${row.total}</td>${cells.join('')}</tr>`);
+  }
+  lines.push('</tbody>');
+  lines.push('</table>');
+  return lines;
+}
+
+/**
+ * Per-type, severity, package and owner totals
+ */
+function statsTables(stats) {
+  const lines = [];
+  const table = (title, entries) => {
+    if (entries.length === 0) return;
+    lines.push(`<h2>${title}</h2>`);
+    lines.push('<table>');
+    lines.push('<thead><tr><th>Name</th><th class="num">Errors</th></tr></thead>');
+    lines.push('<tbody>');
+    for (const [name, count] of entries) {
+      lines.push(`<tr><td>${escapeHtml(name)}</td><td class="num">${count}</td></tr>`);
+    }
+    lines.push('</tbody>');
+    lines.push('</table>');
+  };
+
+  table('By type', Object.entries(stats.byType));
+  table('By severity', Object.entries(stats.bySeverity));
+  table('By package', Object.entries(stats.byPackage).map(([name, totals]) => [name, totals.errors]));
+  table('By owner', Object.entries(stats.byOwner).map(([name, totals]) => [name, totals.errors]));
+  return lines;
+}
+
+/**
+ * Format as a self-contained HTML report
+ */
+function formatHtml(groups, allErrors, opts = {}) {
+  const stats = getStats(groups, allErrors);
+  const noun = groups.length > 0 && groups[0].by ? 'groups' : 'patterns';
+  const lines = [];
+
+  lines.push('<!DOCTYPE html>');
+  lines.push('<html lang="en">');
+  lines.push('<head>');
+  lines.push('<meta charset="utf-8">');
+  lines.push('<meta name="viewport" content="width=device-width, initial-scale=1">');
+  lines.push('<title>errsum report</title>');
+  lines.push(`<style>${STYLE}</style>`);
+  lines.push('</head>');
+  lines.push('<body>');
+  lines.push('<h1>Error Summary</h1>');
+  lines.push(`<p class="summary"><strong>${stats.totalErrors} errors</strong> in ${stats.uniquePatterns} ${noun} across ${stats.filesAffected} files</p>`);
+
+  if (opts.baseline) {
+    const { summary } = opts.baseline;
+    lines.push(`<p class="summary">Baseline: ${summary.new} new, ${summary.fixed} fixed, ${summary.unchanged} unchanged</p>`);
+  }
+  if (opts.policy && opts.policy.failed) {
+    lines.push('<div class="failed"><strong>Failed:</strong><ul>');
+    for (const reason of opts.policy.reasons) {
+      lines.push(`<li>${escapeHtml(reason)}</li>`);
+    }
+    lines.push('</ul></div>');
+  }
+
+  if (opts.commands) {
+    lines.push('<h2>Commands</h2>');
+    lines.push('<table id="commands">');
+    lines.push('<thead><tr><th>Command</th><th class="num">Errors</th><th>Exit</th><th class="num">Duration</th></tr></thead>');
+    lines.push('<tbody>');
+    for (const summary of commandSummaries(opts.commands, allErrors)) {
+      const exit = escapeHtml(formatExit(summary));
+      const status = summary.exitCode === 0 ? exit : `<span class="badge error">${exit}</span>`;
+      lines.push(`<tr><td class="mono">${escapeHtml(summary.command)}</td><td class="num">${summary.errors}</td><td>${status}</td><td class="num">${formatDuration(summary.duration)}</td></tr>`);
+    }
+    lines.push('</tbody>');
+    lines.push('</table>');
+  }
+
+  lines.push('<h2>Error Groups</h2>');
+  lines.push('<div class="filters">');
+  lines.push('<input type="search" data-filter="text" placeholder="Search messages" aria-label="Search">');
+  lines.push('<input type="search" data-filter="file" placeholder="Filter by file" aria-label="File">');
+  lines.push(select('type', 'types', groups.map((g) => g.type)));
+  lines.push(select('severity', 'severities', groups.map(severityOf)));
+  lines.push(select('code', 'codes', groups.map((g) => g.code)));
+  lines.push('</div>');
+
+  lines.push('<table id="groups">');
+  lines.push('<thead><tr>' + [
+    '<th class="num" data-sort="rank">#</th>',
+    '<th class="num" data-sort="count">Count</th>',
+    '<th data-sort="type">Type</th>',
+    '<th data-sort="severity">Severity</th>',
+    '<th data-sort="code">Code</th>',
+    `<th data-sort="message">${groups.length > 0 && groups[0].by ? escapeHtml(groups[0].by[0].toUpperCase() + groups[0].by.slice(1)) : 'Message'}</th>`,
+    '<th class="num" data-sort="filecount">Files</th>',
+  ].join('') + '</tr></thead>');
+  lines.push('<tbody>');
+  groups.forEach((group, index) => lines.push(groupRow(group, index, opts)));
+  lines.push('</tbody>');
+  lines.push('</table>');
+
+  if (opts.baseline && opts.baseline.fixed.length > 0) {
+    lines.push('<h2>Fixed Since Baseline</h2>');
+    lines.push('<ul>');
+    for (const group of opts.baseline.fixed) {
+      const code = group.code ? `<code>${escapeHtml(group.code)}</code> ` : '';
+      lines.push(`<li>${group.baseline.previousCount}× ${code}${escapeHtml(group.representative.message)}</li>`);
+    }
+    lines.push('</ul>');
+  }
+
+  lines.push(...heatmap(groups));
+  lines.push(...statsTables(stats));
+
+  lines.push(`<script>${SCRIPT}</script>`);
+  lines.push('</body>');
+  lines.push('</html>');
+  return lines.join('\n');
+}
+
+module.exports = {
+  formatHtml,
+  escapeHtml,
+};
@@ -3,30 +3,108 @@
 
 const { parseArgs } = require('node:util');
 const fs = require('node:fs');
-const { parseErrors } = require('./parser.js');
-const { groupErrors } = require('./grouper.js');
-const { formatOutput } = require('./formatter.js');
+const { groupErrors, parseGroupBy } = require('./grouper.js');
+const { formatOutput, formatText, formatCommands } = require('./formatter.js');
+const { findConfigFile, loadConfig, resolveOptions, formatConfig } = require('./config.js');
+const { loadBaseline, writeBaseline } = require('./baseline.js');
+const { summarizeErrors, summarizeGroups } = require('./api.js');
+const { createDecoder, decodeInput } = require('./normalize.js');
+const { evaluatePolicy, FAIL_ON } = require('./policy.js');
+const { findCodeowners, loadCodeowners, applyOwners, compilePattern } = require('./owners.js');
+const { historyEntry, appendHistory, readHistory, computeTrend, formatTrend } = require('./history.js');
+const { runCommands, parseCommandOutputs, formatDuration, formatExit } = require('./runner.js');
+const { createPipeline } = require('./pipeline.js');
+const { expandInputs, readInputFile, openInput, inputSize, parseInputs } = require('./inputs.js');
+const { loadSummary, mergeSummaries } = require('./merge.js');
 
 const VERSION = '1.0.0';
+const DEFAULT_FUZZY_THRESHOLD = 0.8;
+const LIVE_REDRAW_MS = 250;
+
+// Input files larger than this are streamed (--stream); V8 strings cannot
+// hold much more than 512 MiB anyway
+const STREAM_THRESHOLD = 128 * 1024 * 1024;
+
+// Formats that explain a failing run in their own output; for the others
+// the reasons go to stderr
+const EXPLAINED_FORMATS = ['text', 'json', 'markdown', 'md', 'html'];
+
+// Formats whose output is a document for other tools, printed even when
+// there is nothing to report
+const DOCUMENT_FORMATS = ['sarif', 'junit', 'gitlab'];
 
 const HELP = `
 errsum v${VERSION} - Error output summarizer
 
 Usage:
-  errsum [options] [file]        Read from file
+  errsum [options] [file...]     Read from files, directories of files or
+                                 quoted glob patterns; .gz and .br files
+                                 are decompressed
   command | errsum [options]     Read from stdin
   errsum [options] -- command    Run command and analyze output
+  errsum [options] --run <cmd> --run <cmd> ...
+                                 Run commands concurrently and analyze
+                                 their combined output
+  errsum trend [options]         Show error patterns over the recorded runs
+  errsum merge [options] <file...>
+                                 Merge the outputs of 'errsum -f json', e.g.
+                                 from sharded CI jobs
 
 Options:
   -n, --top <n>      Show top N error groups (default: 10, 0 = all)
-  -f, --format <fmt> Output format: text, json, markdown (default: text)
-  -t, --type <type>  Force error type: auto, typescript, eslint, jest,
-                     python, rust, go, generic (default: auto)
+  -f, --format <fmt> Output format: text, json, markdown, sarif, junit,
+                     github, gitlab, html (default: text)
+  -t, --type <type>  Force error type: auto, mixed, typescript, eslint,
+                     jest, python, rust, go, gcc, generic, or a parser from
+                     the config file (default: auto)
+                     'mixed' runs every detected parser over the input
+  --run <cmd>        Run a shell command; repeat to run several at once,
+                     each error tagged with its command
   -l, --locations    Show file:line locations for each error
-  -c, --context <n>  Show N lines of context around errors (default: 0)
+  --fuzzy [0-1]      Merge near-identical patterns of the same tool and code
+                     (similarity threshold, default: ${DEFAULT_FUZZY_THRESHOLD})
+  --group-by <dims>  Group by signature, code, file, directory, rule,
+                     package, owner, command or source (input file);
+                     'file,code' groups codes within each file
+                     (default: signature)
+  --owner <owner>    Only report errors owned by OWNER in CODEOWNERS
+                     (repeatable)
+  --codeowners <file>
+                     CODEOWNERS file (default: the repo's, found from the cwd)
+  --source <pattern> With several input files, only read those matching
+                     PATTERN, e.g. 'shard-1*' (repeatable)
+  --history          Record this run's error patterns in the history file
+  --history-file <file>
+                     History file (default: .errsum/history.jsonl)
+  --last <n>         With trend, show the last N runs (default: 20)
+  --baseline <file>  Compare against a previous 'errsum -f json' output;
+                     exit 1 only when new error patterns appear
+  --write-baseline   Write the current results to the --baseline file
+  --fail-on <level>  Severities that fail the run: error, warning or never
+                     (default: error)
+  --max-errors <n>   Fail only with more than N errors
+  --max-new <n>      With --baseline, fail only with more than N new errors
+  --exit-status      Exit with the status of the command after -- (with
+                     --run, of the first that failed), whatever errors
+                     were found
+  -c, --context <n>  Show N lines of log context around errors, plus a
+                     source code frame when the file exists (default: 0)
   -s, --stats        Show statistics summary
   -q, --quiet        Only show error patterns, no decoration
+  --verbose          Show each error's full block: notes, help, diffs and
+                     compiler context
+  -w, --watch, --live
+                     Parse output as it arrives; in a terminal, redraw a
+                     live top-N summary until the input ends
+  --stream           Parse and group the input line by line in bounded
+                     memory, keeping a sample of each group's locations
+                     (automatic for files over 128 MiB)
   --no-color         Disable colored output
+  --config <file>    Config file with option defaults and custom parsers
+                     (default: nearest .errsumrc, .errsumrc.json or
+                     package.json "errsum" key, searching up from the cwd)
+  --print-config     Show the resolved configuration and where each value
+                     came from
   -h, --help         Show this help
   -v, --version      Show version
 
@@ -34,8 +112,25 @@ Examples:
   npm run build 2>&1 | errsum
   errsum build.log
   errsum -n 5 --stats build.log
+  errsum --group-by source 'logs/shard-*.log.gz'
+  errsum -c 2 build.log
+  errsum --fuzzy 0.7 build.log
+  errsum --group-by file,code build.log
+  errsum --owner @acme/frontend -- npm run build
+  errsum --history -- npx tsc --noEmit && errsum trend
+  errsum merge -f markdown 'shards/*.json'
+  errsum --baseline errsum-baseline.json build.log
+  errsum --fail-on warning --max-errors 20 build.log
   errsum -f json -- tsc --noEmit
+  errsum --run "tsc --noEmit" --run "eslint ." --run "vitest run"
+  errsum --live -- cargo build
+  zcat nightly.log.gz | errsum --stream -n 20
+  errsum -f sarif build.log > errsum.sarif
+  errsum -n 0 -f junit build.log > errsum-junit.xml
+  errsum -n 0 -f html build.log > errsum.html
+  errsum -n 0 -f github -- npx tsc --noEmit
   eslint . 2>&1 | errsum -t eslint --locations
+  npm run ci 2>&1 | errsum -t mixed --stats
 
 Supported error formats:
   • TypeScript (tsc)     • ESLint
@@ -44,33 +139,141 @@ Supported error formats:
   • GCC/Clang            • Generic (fallback)
 `;
 
+/**
+ * Give value-optional flags their default when used bare (`--fuzzy`)
+ */
+function normalizeArgs(args) {
+  const result = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--') {
+      result.push(...args.slice(i));
+      break;
+    }
+
+    if (arg === '--fuzzy') {
+      const next = args[i + 1];
+      if (next !== undefined && /^(?:0?\.\d+|[01](?:\.0*)?)$/.test(next)) {
+        result.push(`--fuzzy=${next}`);
+        i++;
+      } else {
+        result.push(`--fuzzy=${DEFAULT_FUZZY_THRESHOLD}`);
+      }
+      continue;
+    }
+
+    result.push(arg);
+  }
+
+  return result;
+}
+
+/**
+ * Parse a non-negative integer option value
+ */
+function parseCount(name, value) {
+  if (value === undefined) return undefined;
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`--${name} must be a non-negative integer, got '${value}'`);
+  }
+  return Number(value);
+}
+
+/**
+ * Parse the fuzzy threshold, exiting on values outside 0-1
+ */
+function parseFuzzy(value) {
+  const threshold = Number(value);
+  if (!Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
+    console.error(`Error: --fuzzy threshold must be between 0 and 1, got '${value}'`);
+    process.exit(1);
+  }
+  return threshold;
+}
+
 function parseCliArgs() {
   try {
+    // Configurable options have no defaults here, so that values from the
+    // config file apply when a flag is not given
     const { values, positionals } = parseArgs({
+      args: normalizeArgs(process.argv.slice(2)),
       allowPositionals: true,
       options: {
-        top: { type: 'string', short: 'n', default: '10' },
-        format: { type: 'string', short: 'f', default: 'text' },
-        type: { type: 'string', short: 't', default: 'auto' },
-        locations: { type: 'boolean', short: 'l', default: false },
-        context: { type: 'string', short: 'c', default: '0' },
-        stats: { type: 'boolean', short: 's', default: false },
-        quiet: { type: 'boolean', short: 'q', default: false },
-        'no-color': { type: 'boolean', default: false },
+        top: { type: 'string', short: 'n' },
+        format: { type: 'string', short: 'f' },
+        type: { type: 'string', short: 't' },
+        run: { type: 'string', multiple: true },
+        locations: { type: 'boolean', short: 'l' },
+        fuzzy: { type: 'string' },
+        'group-by': { type: 'string' },
+        owner: { type: 'string', multiple: true },
+        codeowners: { type: 'string' },
+        source: { type: 'string', multiple: true },
+        history: { type: 'boolean' },
+        'history-file': { type: 'string' },
+        last: { type: 'string' },
+        baseline: { type: 'string' },
+        'write-baseline': { type: 'boolean', default: false },
+        'fail-on': { type: 'string' },
+        'max-errors': { type: 'string' },
+        'max-new': { type: 'string' },
+        'exit-status': { type: 'boolean' },
+        context: { type: 'string', short: 'c' },
+        stats: { type: 'boolean', short: 's' },
+        quiet: { type: 'boolean', short: 'q' },
+        verbose: { type: 'boolean' },
+        watch: { type: 'boolean', short: 'w' },
+        live: { type: 'boolean' },
+        stream: { type: 'boolean' },
+        'no-color': { type: 'boolean' },
+        config: { type: 'string' },
+        'print-config': { type: 'boolean', default: false },
         help: { type: 'boolean', short: 'h', default: false },
         version: { type: 'boolean', short: 'v', default: false },
       },
     });
 
+    const top = parseInt(values.top, 10);
+    const context = parseInt(values.context, 10);
+    if (values['fail-on'] !== undefined && !FAIL_ON.includes(values['fail-on'])) {
+      throw new Error(`--fail-on must be one of ${FAIL_ON.join(', ')}, got '${values['fail-on']}'`);
+    }
+    if (values['group-by'] !== undefined) {
+      parseGroupBy(values['group-by']);
+    }
+
     return {
-      top: parseInt(values.top, 10) || 10,
-      format: values.format,
-      type: values.type,
-      locations: values.locations,
-      context: parseInt(values.context, 10) || 0,
-      stats: values.stats,
-      quiet: values.quiet,
-      noColor: values['no-color'] || !process.stdout.isTTY,
+      cli: {
+        top: Number.isNaN(top) ? undefined : top,
+        format: values.format,
+        type: values.type,
+        locations: values.locations,
+        fuzzy: values.fuzzy === undefined ? undefined : parseFuzzy(values.fuzzy),
+        groupBy: values['group-by'],
+        codeowners: values.codeowners,
+        history: values.history,
+        historyFile: values['history-file'],
+        baseline: values.baseline,
+        context: values.context === undefined ? undefined : context || 0,
+        stats: values.stats,
+        quiet: values.quiet,
+        verbose: values.verbose,
+        live: values.watch || values.live,
+        stream: values.stream,
+        noColor: values['no-color'],
+        failOn: values['fail-on'],
+        maxErrors: parseCount('max-errors', values['max-errors']),
+        maxNew: parseCount('max-new', values['max-new']),
+        exitStatus: values['exit-status'],
+      },
+      writeBaseline: values['write-baseline'],
+      owners: values.owner || [],
+      sources: values.source || [],
+      run: values.run || [],
+      last: parseCount('last', values.last),
+      configFile: values.config,
+      printConfig: values['print-config'],
       help: values.help,
       version: values.version,
       positionals,
@@ -81,27 +284,36 @@ function parseCliArgs() {
   }
 }
 
-async function readInput(positionals) {
-  // Check if reading from stdin
-  if (!process.stdin.isTTY && positionals.length === 0) {
-    return readStdin();
+/**
+ * Read the whole input. Returns the inputs to parse ({ text, source }) and
+ * for a command after `--` how the command ended ({ status, signal }).
+ * With several files, each one is an input named by its path.
+ */
+async function readInput(files) {
+  // Check for -- command execution
+  const command = getCommand();
+  if (command) {
+    const { text, command: ended } = await runCommand(command);
+    return { inputs: [{ text }], command: ended };
   }
 
-  // Check for -- command execution
-  const dashIndex = process.argv.indexOf('--');
-  if (dashIndex !== -1 && dashIndex < process.argv.length - 1) {
-    const command = process.argv.slice(dashIndex + 1).join(' ');
-    return runCommand(command);
+  // Check if reading from stdin
+  if (!process.stdin.isTTY && files.length === 0) {
+    return { inputs: [{ text: await readStdin() }], command: null };
   }
 
-  // Read from file
-  if (positionals.length > 0) {
-    const file = positionals[0];
-    if (!fs.existsSync(file)) {
-      console.error(`Error: File not found: ${file}`);
+  // Read from files
+  if (files.length > 0) {
+    try {
+      const inputs = files.map((file) => ({
+        text: decodeInput(readInputFile(file)),
+        source: files.length > 1 ? file : undefined,
+      }));
+      return { inputs, command: null };
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
       process.exit(1);
     }
-    return fs.readFileSync(file, 'utf8');
   }
 
   // No input
@@ -109,12 +321,22 @@ async function readInput(positionals) {
   process.exit(1);
 }
 
+/**
+ * The command to run after `--`, if any
+ */
+function getCommand() {
+  const dashIndex = process.argv.indexOf('--');
+  if (dashIndex !== -1 && dashIndex < process.argv.length - 1) {
+    return process.argv.slice(dashIndex + 1).join(' ');
+  }
+  return null;
+}
+
 function readStdin() {
   return new Promise((resolve) => {
-    let data = '';
-    process.stdin.setEncoding('utf8');
-    process.stdin.on('data', (chunk) => (data += chunk));
-    process.stdin.on('end', () => resolve(data));
+    const chunks = [];
+    process.stdin.on('data', (chunk) => chunks.push(chunk));
+    process.stdin.on('end', () => resolve(decodeInput(Buffer.concat(chunks))));
   });
 }
 
@@ -124,63 +346,530 @@ function runCommand(command) {
     const proc = spawn(command, { shell: true, stdio: ['inherit', 'pipe', 'pipe'] });
 
     let output = '';
+    const stdout = createDecoder();
+    const stderr = createDecoder();
     proc.stdout.on('data', (data) => {
-      output += data.toString();
+      output += stdout.write(data);
       process.stdout.write(data);
     });
     proc.stderr.on('data', (data) => {
-      output += data.toString();
+      output += stderr.write(data);
       process.stderr.write(data);
     });
 
-    proc.on('close', () => {
+    proc.on('close', (status, signal) => {
+      output += stdout.end() + stderr.end();
       console.log('\n--- errsum analysis ---\n');
-      resolve(output);
+      resolve({ text: output, command: { status, signal } });
     });
   });
 }
 
+/**
+ * Run the --run commands concurrently. Each command's output is echoed in
+ * one piece when it ends, so that outputs do not interleave.
+ */
+async function runAll(commands) {
+  const results = await runCommands(commands, {
+    onExit(result) {
+      console.log(`--- ${result.command} (${formatExit(result)}, ${formatDuration(result.duration)}) ---`);
+      process.stdout.write(result.stdout);
+      process.stderr.write(result.stderr);
+    },
+  });
+  console.log('\n--- errsum analysis ---\n');
+  return results;
+}
+
+/**
+ * Redraws a top-N summary in place on a terminal
+ */
+function createLiveDisplay(opts) {
+  const ansi = /\x1b\[[0-9;]*m/g;
+  let drawn = 0;
+
+  function clear() {
+    if (drawn > 0) {
+      process.stdout.write(`\x1b[${drawn}A\r\x1b[J`);
+      drawn = 0;
+    }
+  }
+
+  function draw({ groups, tally }, linesRead) {
+    const columns = process.stdout.columns || 80;
+    const rows = process.stdout.rows || 24;
+
+    let lines = [`errsum: watching... ${linesRead} lines read`];
+    if (tally.totalErrors > 0) {
+      const shown = opts.top > 0 ? groups.slice(0, opts.top) : groups;
+      lines.push(...formatText(shown, tally, { ...opts, stats: false, locations: false }).split('\n'));
+    }
+
+    // Keep every line on one terminal row so the redraw stays aligned
+    lines = lines.slice(0, rows - 1).map((line) => {
+      const plain = line.replace(ansi, '');
+      return plain.length < columns ? line : plain.slice(0, columns - 2) + '…';
+    });
+
+    clear();
+    process.stdout.write(lines.join('\n') + '\n');
+    drawn = lines.length;
+  }
+
+  return { draw, clear };
+}
+
+/**
+ * Read input as a stream, parsing and grouping lines as they arrive (see
+ * createPipeline). With --live on a terminal, a top-N summary is redrawn
+ * as it goes.
+ */
+function readStream(opts) {
+  return new Promise((resolve, reject) => {
+    const pipeline = createPipeline(opts);
+    const display = opts.live && process.stdout.isTTY ? createLiveDisplay(opts) : null;
+    let linesRead = 0;
+    let dirty = true;
+
+    const timer = display && setInterval(() => {
+      if (dirty) {
+        display.draw(pipeline.snapshot(), linesRead);
+        dirty = false;
+      }
+    }, LIVE_REDRAW_MS);
+
+    const onData = (chunk) => {
+      for (let i = chunk.indexOf('\n'); i !== -1; i = chunk.indexOf('\n', i + 1)) {
+        linesRead++;
+      }
+      pipeline.push(chunk);
+      dirty = true;
+    };
+
+    const onEnd = (command = null) => {
+      if (timer) clearInterval(timer);
+      if (display) display.clear();
+      resolve({ ...pipeline.end(), command });
+    };
+
+    const command = getCommand();
+    if (command) {
+      const { spawn } = require('node:child_process');
+      const proc = spawn(command, { shell: true, stdio: ['inherit', 'pipe', 'pipe'] });
+      const stdout = createDecoder();
+      const stderr = createDecoder();
+
+      // On a terminal the live summary replaces the command's own output
+      proc.stdout.on('data', (data) => {
+        onData(stdout.write(data));
+        if (!display) process.stdout.write(data);
+      });
+      proc.stderr.on('data', (data) => {
+        onData(stderr.write(data));
+        if (!display) process.stderr.write(data);
+      });
+      proc.on('error', reject);
+      proc.on('close', (status, signal) => {
+        onData(stdout.end() + stderr.end());
+        if (!display) console.log('\n--- errsum analysis ---\n');
+        onEnd({ status, signal });
+      });
+      return;
+    }
+
+    const { files } = opts;
+    if (files.length === 0 && process.stdin.isTTY) {
+      console.error('Error: No input provided. Use --help for usage.');
+      process.exit(1);
+    }
+
+    // Files are read one after the other, each parsed on its own
+    const read = (index) => {
+      if (files.length > 0 && index === files.length) {
+        onEnd(null);
+        return;
+      }
+      if (files.length > 1) pipeline.source(files[index]);
+
+      let stream = process.stdin;
+      if (files.length > 0) {
+        try {
+          stream = openInput(files[index]);
+        } catch (err) {
+          console.error(`Error: Cannot read ${files[index]}: ${err.message}`);
+          process.exit(1);
+        }
+      }
+      const decoder = createDecoder();
+      stream.on('data', (data) => onData(decoder.write(data)));
+      stream.on('error', (err) => {
+        if (files.length === 0) return reject(err);
+        console.error(`Error: Cannot read ${files[index]}: ${err.message}`);
+        process.exit(1);
+      });
+      stream.on('end', () => {
+        onData(decoder.end());
+        if (files.length === 0) onEnd(null);
+        else read(index + 1);
+      });
+    };
+    read(0);
+  });
+}
+
+/**
+ * Whether the input files are too large to read whole
+ */
+function isLargeInput(files) {
+  return files.length > 0 && inputSize(files) > STREAM_THRESHOLD;
+}
+
+/**
+ * The input files named on the command line, narrowed down by --source
+ */
+function selectFiles(positionals, sources) {
+  const files = getCommand() ? [] : expandInputs(positionals);
+  if (sources.length === 0) return files;
+  if (files.length === 0) {
+    throw new Error('--source requires input files');
+  }
+
+  const patterns = sources.map((source) => compilePattern(source.replace(/\\/g, '/')));
+  const selected = files.filter((file) => patterns.some((pattern) => pattern.test(file.replace(/\\/g, '/'))));
+  if (selected.length === 0) {
+    throw new Error(`--source ${sources.join(', ')} matches none of the input files`);
+  }
+  return selected;
+}
+
 async function main() {
-  const opts = parseCliArgs();
+  const args = parseCliArgs();
 
-  if (opts.help) {
+  if (args.help) {
     console.log(HELP);
     process.exit(0);
   }
 
-  if (opts.version) {
+  if (args.version) {
     console.log(`errsum v${VERSION}`);
     process.exit(0);
   }
 
-  const input = await readInput(opts.positionals);
+  // Config file values are defaults; command line flags override them
+  const config = readConfig(args.configFile);
+  const resolved = resolveOptions(args.cli, config);
 
-  if (!input || input.trim().length === 0) {
-    if (!opts.quiet) {
-      console.log('No input to analyze.');
-    }
+  if (args.printConfig) {
+    console.log(formatConfig(resolved, config));
     process.exit(0);
   }
 
-  const errors = parseErrors(input, opts.type);
+  const opts = {
+    ...resolved.options,
+    noColor: resolved.options.noColor || !process.stdout.isTTY,
+    parsers: config.parsers,
+    writeBaseline: args.writeBaseline,
+    positionals: args.positionals,
+    codeowners: readCodeowners(resolved.options.codeowners),
+    owner: args.owners,
+    run: args.run,
+  };
+
+  if (opts.owner.length > 0 && !opts.codeowners) {
+    console.error('Error: --owner requires a CODEOWNERS file; none was found, use --codeowners <file>');
+    process.exit(1);
+  }
+
+  if (opts.writeBaseline && !opts.baselineFile) {
+    console.error('Error: --write-baseline requires --baseline <file>');
+    process.exit(1);
+  }
+
+  if (opts.maxNew != null && !opts.baselineFile) {
+    console.error('Error: --max-new requires --baseline <file>');
+    process.exit(1);
+  }
+
+  if (opts.positionals[0] === 'trend' && !getCommand()) {
+    return trend({ ...opts, last: args.last });
+  }
+
+  if (opts.positionals[0] === 'merge' && !getCommand()) {
+    return merge(opts);
+  }
+
+  if (opts.run.length > 0) {
+    if (getCommand() || opts.positionals.length > 0) {
+      console.error('Error: --run cannot be combined with an input file or a command after --');
+      process.exit(1);
+    }
+    if (opts.live || opts.stream) {
+      console.error(`Error: --${opts.live ? 'live' : 'stream'} does not support --run`);
+      process.exit(1);
+    }
+
+    const results = await runAll(opts.run);
+    const commands = results.map((result) => ({
+      command: result.command,
+      status: result.status,
+      signal: result.signal,
+      duration: result.duration,
+    }));
+    const { input, errors } = parseCommandOutputs(results, opts.type, { parsers: opts.parsers });
+    if (input.trim().length === 0) {
+      return finish('No input to analyze.', { ...opts, commands });
+    }
+    return report(input, errors, { ...opts, commands });
+  }
+
+  try {
+    opts.files = selectFiles(opts.positionals, args.sources);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+
+  if (opts.live || opts.stream || isLargeInput(opts.files)) {
+    const { command, ...result } = await readStream(opts);
+    return reportStream(result, { ...opts, command });
+  }
+
+  const { inputs, command } = await readInput(opts.files);
+  const { input, errors } = parseInputs(inputs, opts.type, { parsers: opts.parsers });
+
+  if (input.trim().length === 0) {
+    return finish('No input to analyze.', { ...opts, command });
+  }
+
+  return report(input, errors, { ...opts, command });
+}
+
+/**
+ * Exit when there is nothing to summarize; only --exit-status can fail.
+ * Document formats get an empty document in place of the message.
+ */
+function finish(message, opts) {
+  const policy = evaluatePolicy([], [], opts);
+  if (DOCUMENT_FORMATS.includes(opts.format)) {
+    console.log(formatOutput([], [], { ...opts, policy }));
+    for (const reason of opts.quiet ? [] : policy.reasons) {
+      console.error(`errsum: failed: ${reason}`);
+    }
+  } else if (!opts.quiet) {
+    console.log(message);
+    if (opts.commands) {
+      console.log(`\n${formatCommands(opts.commands, [], opts)}`);
+    }
+    for (const reason of policy.reasons) {
+      console.log(`✗ Failed: ${reason}`);
+    }
+  }
+  process.exit(policy.exitCode);
+}
+
+/**
+ * Group, format and print parsed errors, then exit
+ */
+function report(input, parsed, opts) {
+  const errors = applyOwners(parsed, opts);
+  recordRun(errors, opts);
+  if (errors.length === 0 && !opts.baselineFile) {
+    const message = parsed.length > 0 ? `No errors owned by ${opts.owner.join(', ')}.` : 'No errors found in input.';
+    return finish(message, opts);
+  }
+
+  // Owners are assigned and filtered by now
+  const baseline = opts.baselineFile ? readBaseline(opts.baselineFile, opts.writeBaseline) : null;
+  const result = compareWith(baseline, opts, (data) => summarizeErrors(errors, { ...opts, baseline: data, codeowners: null, owner: null }, input));
+  return conclude(result, errors, opts);
+}
+
+/**
+ * report() for streamed input, already grouped by createPipeline
+ */
+function reportStream({ groups, tally, signatures, parsed, input }, opts) {
+  recordRun(tally, opts, signatures);
+  if (tally.totalErrors === 0 && !opts.baselineFile) {
+    const message = parsed > 0 ? `No errors owned by ${opts.owner.join(', ')}.` : 'No errors found in input.';
+    return finish(message, opts);
+  }
+
+  const baseline = opts.baselineFile ? readBaseline(opts.baselineFile, opts.writeBaseline) : null;
+  const result = compareWith(baseline, opts, (data) => summarizeGroups(groups, tally, { ...opts, baseline: data, signatures }, input));
+  return conclude(result, tally, opts);
+}
+
+/**
+ * Summarize against the baseline. One that cannot be compared with, such
+ * as plain JSON output listing only its top groups, is an error unless
+ * --write-baseline is about to replace it.
+ */
+function compareWith(baseline, opts, summarize) {
+  try {
+    return summarize(baseline);
+  } catch (err) {
+    if (!baseline || !opts.writeBaseline) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+    return summarize(null);
+  }
+}
+
+/**
+ * Print a summary, write the baseline if asked, and exit per the policy
+ */
+function conclude(result, errors, opts) {
+  console.log(result.output);
 
-  if (errors.length === 0) {
+  if (opts.writeBaseline) {
+    writeBaseline(opts.baselineFile, result.allGroups, errors);
     if (!opts.quiet) {
-      console.log('No errors found in input.');
+      console.error(`Baseline written to ${opts.baselineFile}`);
     }
     process.exit(0);
   }
 
-  const groups = groupErrors(errors, opts);
-  const output = formatOutput(groups, errors, opts);
+  const { policy } = result;
+  if (policy.failed && !EXPLAINED_FORMATS.includes(opts.format) && !opts.quiet) {
+    for (const reason of policy.reasons) {
+      console.error(`errsum: failed: ${reason}`);
+    }
+  }
+  process.exit(policy.exitCode);
+}
 
-  console.log(output);
+/**
+ * Append the run to the history file (--history). Patterns are recorded by
+ * signature whatever --group-by is, so that runs stay comparable; streamed
+ * input passes its signature groups along with the tally of its errors.
+ */
+function recordRun(errors, opts, signatures = null) {
+  if (!opts.history) return;
+  try {
+    const groups = signatures || groupErrors(errors, { fuzzy: opts.fuzzy, top: 0 });
+    appendHistory(opts.historyFile, historyEntry(groups, errors));
+  } catch (err) {
+    console.error(`errsum: could not record history: ${err.message}`);
+  }
+}
+
+/**
+ * `errsum trend`: per-pattern counts over the recorded runs
+ */
+function trend(opts) {
+  if (!fs.existsSync(opts.historyFile)) {
+    console.error(`Error: No history at ${opts.historyFile}; record runs with --history`);
+    process.exit(1);
+  }
+
+  let result;
+  try {
+    result = computeTrend(readHistory(opts.historyFile), { last: opts.last });
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
 
-  // Exit with error code if errors were found
-  process.exit(errors.length > 0 ? 1 : 0);
+  console.log(opts.format === 'json' ? JSON.stringify(result, null, 2) : formatTrend(result, opts));
+  process.exit(0);
 }
 
-main().catch((err) => {
-  console.error(`Fatal: ${err.message}`);
-  process.exit(1);
-});
+/**
+ * `errsum merge`: combine the JSON outputs of several runs by signature and
+ * summarize them like one run
+ */
+function merge(opts) {
+  if (parseGroupBy(opts.groupBy).join(',') !== 'signature') {
+    console.error('Error: merge groups by signature; --group-by is not supported');
+    process.exit(1);
+  }
+  if (opts.owner.length > 0) {
+    console.error('Error: merge does not support --owner; owners come from the merged outputs');
+    process.exit(1);
+  }
+
+  let summaries;
+  try {
+    const files = expandInputs(opts.positionals.slice(1));
+    if (files.length === 0) {
+      throw new Error('merge needs the JSON outputs to combine, e.g. errsum merge a.json b.json');
+    }
+    summaries = files.map(loadSummary);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+
+  const { groups, tally } = mergeSummaries(summaries, { fuzzy: opts.fuzzy });
+  return reportStream({ groups, tally, signatures: groups, parsed: tally.totalErrors, input: '' }, opts);
+}
+
+/**
+ * Load the --config file, or the nearest project config file if there is one
+ */
+function readConfig(file) {
+  if (file && !fs.existsSync(file)) {
+    console.error(`Error: Config file not found: ${file}`);
+    process.exit(1);
+  }
+
+  const configFile = file || findConfigFile();
+  if (!configFile) {
+    return { options: {}, formats: {}, parsers: {} };
+  }
+
+  try {
+    return loadConfig(configFile);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Load the --codeowners file, or the repo's CODEOWNERS if there is one
+ */
+function readCodeowners(file) {
+  if (file && !fs.existsSync(file)) {
+    console.error(`Error: CODEOWNERS file not found: ${file}`);
+    process.exit(1);
+  }
+
+  const codeownersFile = file || findCodeowners();
+  if (!codeownersFile) {
+    return null;
+  }
+
+  try {
+    return loadCodeowners(codeownersFile);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Load the --baseline file; a missing file is fine when it is about to be written
+ */
+function readBaseline(file, willWrite) {
+  if (!fs.existsSync(file)) {
+    if (willWrite) return null;
+    console.error(`Error: Baseline file not found: ${file}`);
+    process.exit(1);
+  }
+
+  try {
+    return loadBaseline(file);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(`Fatal: ${err.message}`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,254 @@
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const zlib = require('node:zlib');
+const { parseErrors } = require('./parser.js');
+const { normalizeInput } = require('./normalize.js');
+
+/**
+ * Inputs module - expands input files, directories and glob patterns,
+ * decompresses gzip and brotli logs, and parses several inputs into one
+ * set of errors, each tagged with the input it came from
+ */
+
+// Compressed logs count this many times their size towards --stream's
+// threshold, a typical ratio for text
+const COMPRESSION_RATIO = 10;
+
+const GLOB_MAGIC = /[*?[{]/;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile a glob to a regex over slash-separated paths: `*` and `?` stay
+ * within a directory, `**` spans directories, `[a-z]` and `{a,b}` choose.
+ * Like in a shell, wildcards do not match names that start with a dot.
+ */
+function globToRegExp(pattern) {
+  // A name, or the rest of one, that does not start with a dot
+  const name = '(?!\\.)[^/]';
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    const start = i === 0 || pattern[i - 1] === '/';
+    if (ch === '*' && pattern[i + 1] === '*' && start) {
+      if (pattern[i + 2] === '/') {
+        source += `(?:${name}+/)*`;
+        i += 2;
+      } else {
+        source += `(?:${name}+(?:/${name}+)*)?`;
+        i += 1;
+      }
+    } else if (ch === '*') {
+      source += start ? `${name}*` : '[^/]*';
+    } else if (ch === '?') {
+      source += start ? name : '[^/]';
+    } else if (ch === '[' && pattern.indexOf(']', i + 2) !== -1) {
+      const end = pattern.indexOf(']', i + 2);
+      const set = pattern.slice(i + 1, end);
+      const negated = set.startsWith('!');
+      const chars = (negated ? set.slice(1) : set).replace(/[\\\]^]/g, '\\$&');
+      source += negated ? `[^/${chars}]` : `[${chars}]`;
+      i = end;
+    } else if (ch === '{' && pattern.indexOf('}', i) !== -1) {
+      const end = pattern.indexOf('}', i);
+      source += `(?:${pattern.slice(i + 1, end).split(',').map(escapeRegExp).join('|')})`;
+      i = end;
+    } else {
+      source += escapeRegExp(ch);
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Sort paths the way people number shards: shard-2 before shard-10
+ */
+function naturalSort(files) {
+  return files.sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+}
+
+/**
+ * Files under `dir` whose path (joined onto `dir`) matches `regex`; only
+ * descends as deep as `depth`
+ */
+function walk(dir, regex, depth) {
+  let entries;
+  try {
+    entries = fs.readdirSync(dir || '.', { withFileTypes: true });
+  } catch {
+    return [];
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    if (entry.name.startsWith('.')) continue;
+    const file = dir ? path.posix.join(dir, entry.name) : entry.name;
+    if (entry.isDirectory() || (entry.isSymbolicLink() && isDirectory(file))) {
+      if (depth > 1) files.push(...walk(file, regex, depth - 1));
+    } else if (regex.test(file)) {
+      files.push(file);
+    }
+  }
+  return files;
+}
+
+function isDirectory(file) {
+  try {
+    return fs.statSync(file).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Expand input arguments into the files to read, in order: a file as is,
+ * the files directly in a directory, and the files matching a glob
+ * pattern (quoted, so that the shell leaves it alone). Throws when an
+ * argument matches nothing.
+ */
+function expandInputs(args) {
+  const files = [];
+  for (const arg of args) {
+    if (fs.existsSync(arg)) {
+      if (!isDirectory(arg)) {
+        files.push(arg);
+        continue;
+      }
+      const inside = naturalSort(fs.readdirSync(arg, { withFileTypes: true })
+        .filter((entry) => !entry.name.startsWith('.') && !isDirectory(path.join(arg, entry.name)))
+        .map((entry) => path.join(arg, entry.name)));
+      if (inside.length === 0) {
+        throw new Error(`No files in directory ${arg}`);
+      }
+      files.push(...inside);
+      continue;
+    }
+
+    const pattern = arg.replace(/\\/g, '/').replace(/^\.\//, '');
+    if (!GLOB_MAGIC.test(pattern)) {
+      throw new Error(`File not found: ${arg}`);
+    }
+
+    // Walk from the deepest directory without wildcards
+    const segments = pattern.split('/');
+    const fixed = segments.findIndex((segment) => GLOB_MAGIC.test(segment));
+    const base = segments.slice(0, fixed).join('/') || (pattern.startsWith('/') ? '/' : '');
+    const depth = pattern.includes('**') ? Infinity : segments.length - fixed;
+    const matches = naturalSort(walk(base, globToRegExp(pattern), depth));
+    if (matches.length === 0) {
+      throw new Error(`No files match ${arg}`);
+    }
+    files.push(...matches);
+  }
+
+  // A file matched by two arguments is read once
+  return Array.from(new Set(files));
+}
+
+/**
+ * The compression of a file, from its first bytes or its extension:
+ * 'gzip', 'brotli' (which has no magic number) or null
+ */
+function compressionOf(file, head) {
+  if (head.length >= 2 && head[0] === 0x1f && head[1] === 0x8b) return 'gzip';
+  if (/\.br$/i.test(file)) return 'brotli';
+  return null;
+}
+
+function readHead(file) {
+  const fd = fs.openSync(file, 'r');
+  try {
+    const head = Buffer.alloc(2);
+    const length = fs.readSync(fd, head, 0, 2, 0);
+    return head.subarray(0, length);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Read an input file's bytes, decompressed if it is gzip or brotli
+ */
+function readInputFile(file) {
+  let bytes;
+  try {
+    bytes = fs.readFileSync(file);
+  } catch (err) {
+    throw new Error(`Cannot read ${file}: ${err.message}`);
+  }
+
+  const compression = compressionOf(file, bytes);
+  try {
+    if (compression === 'gzip') return zlib.gunzipSync(bytes);
+    if (compression === 'brotli') return zlib.brotliDecompressSync(bytes);
+  } catch (err) {
+    throw new Error(`Cannot decompress ${file} (${compression}): ${err.message}`);
+  }
+  return bytes;
+}
+
+/**
+ * A readable stream of an input file's bytes, decompressed if it is gzip
+ * or brotli
+ */
+function openInput(file) {
+  const compression = compressionOf(file, readHead(file));
+  const stream = fs.createReadStream(file);
+  if (!compression) return stream;
+
+  const decompress = compression === 'gzip' ? zlib.createGunzip() : zlib.createBrotliDecompress();
+  stream.on('error', (err) => decompress.destroy(err));
+  return stream.pipe(decompress);
+}
+
+/**
+ * Approximate size of the input files once decompressed
+ */
+function inputSize(files) {
+  let size = 0;
+  for (const file of files) {
+    const { size: bytes } = fs.statSync(file);
+    size += compressionOf(file, readHead(file)) ? bytes * COMPRESSION_RATIO : bytes;
+  }
+  return size;
+}
+
+/**
+ * Parse inputs ({ text, source, command }) each on its own, so that each
+ * one's format is detected separately, and combine their errors, tagged
+ * with the input's `source` and `command` when it has them. `input` is
+ * the normalized texts joined in order; error positions are offsets into
+ * it.
+ */
+function parseInputs(inputs, type = 'auto', opts = {}) {
+  let input = '';
+  const errors = [];
+
+  for (const item of inputs) {
+    let text = normalizeInput(item.text || '');
+    if (text && !text.endsWith('\n')) text += '\n';
+
+    for (const error of parseErrors(text, type, opts)) {
+      if (item.source) error.source = item.source;
+      if (item.command) error.command = item.command;
+      if (typeof error.position === 'number') error.position += input.length;
+      errors.push(error);
+    }
+    input += text;
+  }
+
+  return { input, errors };
+}
+
+module.exports = {
+  expandInputs,
+  globToRegExp,
+  readInputFile,
+  openInput,
+  inputSize,
+  parseInputs,
+};
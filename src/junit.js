@@ -0,0 +1,92 @@
+'use strict';
+
+const { groupLabel, formatLocation } = require('./grouper.js');
+const { ANSI_ESCAPES } = require('./normalize.js');
+
+/**
+ * JUnit XML formatter - each error group becomes a failing testcase,
+ * with one testsuite per tool type
+ */
+
+// Characters that are not allowed in XML 1.0 documents
+const INVALID_XML_CHARS = /[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]/g;
+
+function escapeXml(text) {
+  return String(text)
+    .replace(ANSI_ESCAPES, '')
+    .replace(INVALID_XML_CHARS, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Build the failure body: representative message plus every location
+ */
+function failureBody(group) {
+  const lines = [groupLabel(group)];
+  const locations = group.errors.filter((e) => e.file).map(formatLocation);
+
+  if (locations.length > 0) {
+    lines.push('');
+    lines.push(`Locations (${locations.length}):`);
+    for (const loc of locations) {
+      lines.push(`  ${loc}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Tool type a testcase is filed under. A --group-by group can mix tools;
+ * it is then named after its dimension, e.g. "directory".
+ */
+function typeOf(group) {
+  return group.type || group.by || 'generic';
+}
+
+/**
+ * Format as JUnit XML. With a secondary --group-by dimension each group
+ * becomes a testsuite of its subgroups instead.
+ */
+function formatJunit(groups, _allErrors, _opts = {}) {
+  const suites = new Map();
+  for (const group of groups) {
+    const name = group.groups ? groupLabel(group) : typeOf(group);
+    if (!suites.has(name)) {
+      suites.set(name, []);
+    }
+    suites.get(name).push(...(group.groups || [group]));
+  }
+
+  const tests = Array.from(suites.values()).reduce((sum, cases) => sum + cases.length, 0);
+  const lines = [];
+  lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+  lines.push(`<testsuites name="errsum" tests="${tests}" failures="${tests}">`);
+
+  for (const [name, suiteGroups] of suites) {
+    lines.push(`  <testsuite name="${escapeXml(name)}" tests="${suiteGroups.length}" failures="${suiteGroups.length}" errors="0" skipped="0">`);
+
+    for (const group of suiteGroups) {
+      const type = typeOf(group);
+      const message = `${group.count}× ${groupLabel(group)}`;
+      const testcase = group.by ? groupLabel(group) : group.signature;
+      lines.push(`    <testcase name="${escapeXml(testcase)}" classname="errsum.${escapeXml(type)}">`);
+      lines.push(`      <failure message="${escapeXml(message)}" type="${escapeXml(group.code || type)}">${escapeXml(failureBody(group))}</failure>`);
+      lines.push('    </testcase>');
+    }
+
+    lines.push('  </testsuite>');
+  }
+
+  lines.push('</testsuites>');
+  return lines.join('\n');
+}
+
+module.exports = {
+  formatJunit,
+  escapeXml,
+};
@@ -0,0 +1,147 @@
+'use strict';
+
+const { combineGroups, mergeSimilarGroups, tallyErrors } = require('./grouper.js');
+const { readInputFile } = require('./inputs.js');
+const { decodeInput } = require('./normalize.js');
+
+/**
+ * Merge module - combines the JSON outputs of several runs, e.g. sharded
+ * CI jobs, into one set of groups and totals (`errsum merge`)
+ */
+
+/**
+ * Check that `data` is JSON output that can be merged, with its `patterns`
+ */
+function checkSummary(data, name) {
+  if (!data || !Array.isArray(data.groups) || !data.summary || typeof data.summary.totalErrors !== 'number') {
+    throw new Error(`Invalid errsum output ${name}: expected the output of errsum -f json`);
+  }
+  if (!Array.isArray(data.patterns)) {
+    throw new Error(`Cannot merge ${name}: it has no "patterns"; baselines and outputs of older versions cannot be merged`);
+  }
+
+  for (const pattern of data.patterns) {
+    if (typeof pattern.signature !== 'string' || typeof pattern.count !== 'number' || !Array.isArray(pattern.occurrences)) {
+      throw new Error(`Invalid errsum output ${name}: every pattern needs a signature, a count and its occurrences`);
+    }
+  }
+  return data;
+}
+
+/**
+ * Read and check the output of `errsum -f json`; it may be gzip or brotli
+ * compressed
+ */
+function loadSummary(file) {
+  let data;
+  try {
+    data = JSON.parse(decodeInput(readInputFile(file)));
+  } catch (err) {
+    throw new Error(`Invalid errsum output ${file}: ${err.message}`);
+  }
+  return checkSummary(data, file);
+}
+
+function countSeverities(errors) {
+  const severities = {};
+  for (const error of errors) {
+    const severity = error.severity || 'error';
+    severities[severity] = (severities[severity] || 0) + 1;
+  }
+  return severities;
+}
+
+/**
+ * A group as made by the grouper, from its JSON shape in `patterns`. Its
+ * errors are the occurrences, with their own message, code and severity.
+ */
+function groupFromJson(data) {
+  const type = data.type;
+  const code = data.code || undefined;
+  const errors = data.occurrences.map((occurrence) => ({ type, code, ...occurrence }));
+  const first = errors[0] || {};
+  const severities = data.severities || countSeverities(errors);
+
+  return {
+    signature: data.signature,
+    count: data.count,
+    errors,
+    files: new Set(data.files || []),
+    packages: new Set(data.packages || []),
+    owners: new Set(data.owners || []),
+    severities,
+    representative: {
+      ...first,
+      type,
+      code,
+      message: data.message,
+      body: data.body,
+      frames: data.frames,
+      chain: data.chain,
+    },
+    code,
+    type,
+    severity: first.severity || Object.keys(severities)[0],
+    mergedSignatures: data.mergedSignatures,
+  };
+}
+
+/**
+ * Totals over merged groups, for getStats. Groups of a streamed run list
+ * only a sample of their errors; the others count by their group's type,
+ * code and severities, but not towards per-package, per-owner or
+ * per-command totals.
+ */
+function tallyGroups(groups) {
+  const tally = tallyErrors(groups.flatMap((group) => group.errors));
+
+  for (const group of groups) {
+    const type = group.type || 'unknown';
+    if (!tally.typeTotals[type]) {
+      tally.typeTotals[type] = { errors: 0, files: new Set() };
+    }
+    for (const file of group.files) {
+      tally.files.add(file);
+      tally.typeTotals[type].files.add(file);
+    }
+
+    const missing = group.count - group.errors.length;
+    if (missing <= 0) continue;
+    tally.totalErrors += missing;
+    tally.byType[type] = (tally.byType[type] || 0) + missing;
+    tally.typeTotals[type].errors += missing;
+    if (group.code) {
+      tally.codeCounts[group.code] = (tally.codeCounts[group.code] || 0) + missing;
+    }
+    const sampled = countSeverities(group.errors);
+    for (const [severity, count] of Object.entries(group.severities)) {
+      const rest = count - (sampled[severity] || 0);
+      if (rest > 0) {
+        tally.bySeverity[severity] = (tally.bySeverity[severity] || 0) + rest;
+      }
+    }
+  }
+
+  return tally;
+}
+
+/**
+ * Merge JSON outputs (see loadSummary): patterns with the same signature
+ * are combined, their counts summed and their files and locations joined.
+ * Returns the groups, most frequent first, and the totals over their
+ * errors (`tally`), as for streamed input. `fuzzy` merges near-identical
+ * patterns across outputs, as in groupErrors.
+ */
+function mergeSummaries(summaries, opts = {}) {
+  let groups = combineGroups(summaries.flatMap((data) => data.patterns.map(groupFromJson)));
+  const tally = tallyGroups(groups);
+  if (opts.fuzzy) {
+    groups = mergeSimilarGroups(groups, typeof opts.fuzzy === 'number' ? opts.fuzzy : undefined);
+  }
+  return { groups, tally };
+}
+
+module.exports = {
+  loadSummary,
+  mergeSummaries,
+};
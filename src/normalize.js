@@ -0,0 +1,106 @@
+'use strict';
+
+/**
+ * Normalize module - decodes raw log bytes and cleans up CI noise (ANSI
+ * escapes, timestamp prefixes, CR line endings) before parsing
+ */
+
+// ANSI escape sequences: CSI (colors, cursor and erase), OSC (titles,
+// hyperlinks) and two-character escapes
+const ANSI_ESCAPES = /\x1b\[[0-?]*[ -/]*[@-~]|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)|\x1b[@-Z\\-_]/g;
+
+// Timestamps CI systems put in front of each line:
+//   2026-10-19T12:00:00.1234567Z message    (GitHub Actions, Azure Pipelines)
+//   [2026-10-19T12:00:00.123Z] message      (Jenkins timestamper)
+const TIMESTAMP_PREFIX = /^\[?\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:[.,]\d+)?(?:Z|[+-]\d{2}:?\d{2})?\]?[ \t]?/;
+
+/**
+ * Clean one line: strip escapes, keep what a terminal would show after a
+ * carriage return, and drop BOMs and a timestamp prefix
+ */
+function normalizeLine(line) {
+  let text = line.includes('\x1b') ? line.replace(ANSI_ESCAPES, '') : line;
+
+  if (text.includes('\r')) {
+    text = text.replace(/\r+$/, '');
+    text = text.slice(text.lastIndexOf('\r') + 1);
+  }
+  if (text.includes('\uFEFF')) {
+    text = text.replace(/\uFEFF/g, '');
+  }
+
+  return text.replace(TIMESTAMP_PREFIX, '');
+}
+
+/**
+ * Normalize log text for parsing. Lines are cleaned one by one and never
+ * added or removed, so line N of the result is line N of the original log:
+ * log context and line numbers computed on the result match the original.
+ * Normalizing text in pieces that end at a newline gives the same result
+ * as normalizing it whole.
+ */
+function normalizeInput(input) {
+  return String(input).split('\n').map(normalizeLine).join('\n');
+}
+
+/**
+ * Detect the encoding of raw bytes from a byte order mark, or from the NUL
+ * bytes of UTF-16 encoded ASCII
+ */
+function detectEncoding(bytes) {
+  if (bytes.length >= 2) {
+    if (bytes[0] === 0xff && bytes[1] === 0xfe) return 'utf-16le';
+    if (bytes[0] === 0xfe && bytes[1] === 0xff) return 'utf-16be';
+    if (bytes[0] !== 0 && bytes[1] === 0) return 'utf-16le';
+    if (bytes[0] === 0 && bytes[1] !== 0) return 'utf-16be';
+  }
+  return 'utf-8';
+}
+
+/**
+ * Create an incremental decoder for raw log bytes. The encoding is taken
+ * from the first bytes (see detectEncoding); a BOM is dropped, and
+ * characters split across chunks are decoded once complete.
+ */
+function createDecoder() {
+  let decoder = null;
+  let head = Buffer.alloc(0);
+
+  return {
+    write(chunk) {
+      if (!decoder) {
+        // Wait for enough bytes to recognize a BOM
+        head = Buffer.concat([head, chunk]);
+        if (head.length < 3) return '';
+        decoder = new TextDecoder(detectEncoding(head));
+        chunk = head;
+      }
+      return decoder.decode(chunk, { stream: true });
+    },
+
+    end() {
+      if (!decoder) {
+        decoder = new TextDecoder(detectEncoding(head));
+        return decoder.decode(head);
+      }
+      return decoder.decode();
+    },
+  };
+}
+
+/**
+ * Decode a complete buffer of log bytes (see createDecoder)
+ */
+function decodeInput(bytes) {
+  const decoder = createDecoder();
+  return decoder.write(bytes) + decoder.end();
+}
+
+module.exports = {
+  ANSI_ESCAPES,
+  normalizeInput,
+  normalizeLine,
+  detectEncoding,
+  createDecoder,
+  decodeInput,
+};
@@ -0,0 +1,228 @@
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+/**
+ * Owners module - reads CODEOWNERS files (GitHub and GitLab syntax) and
+ * attributes errors to the owners of their files
+ */
+
+// Where GitHub and GitLab look for CODEOWNERS, relative to the repo root
+const CODEOWNERS_FILES = ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS', '.gitlab/CODEOWNERS'];
+
+// GitLab section headers: [Section], ^[Optional section], [Section][2],
+// optionally followed by the section's default owners
+const SECTION_HEADER = /^\^?\[(?<name>[^\]]+)\](?:\[\d+\])?(?:\s+(?<owners>.*))?$/;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile a CODEOWNERS pattern (gitignore rules) to a regex over paths
+ * relative to the repo root:
+ *   *.js        any .js file            /build/      everything under /build
+ *   docs/*      files directly in docs  apps/        any apps directory
+ *   /scripts/** everything in scripts   ** matches across directories
+ */
+function compilePattern(pattern) {
+  // A slash at the start or in the middle anchors the pattern to the root
+  const anchored = pattern.startsWith('/') || pattern.slice(0, -1).includes('/');
+  const directory = pattern.endsWith('/');
+  const body = pattern.replace(/^\//, '').replace(/\/$/, '');
+
+  let source = '';
+  for (let i = 0; i < body.length; i++) {
+    const ch = body[i];
+    if (ch === '*' && body[i + 1] === '*') {
+      if (body[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (ch === '*') {
+      source += '[^/]*';
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else if (ch === '\\' && i + 1 < body.length) {
+      source += escapeRegExp(body[++i]);
+    } else {
+      source += escapeRegExp(ch);
+    }
+  }
+
+  // A match covers everything inside a matched directory, except that a
+  // trailing `/*` only owns the files directly in it
+  let suffix = '(?:/.*)?$';
+  if (directory) {
+    suffix = '/.*$';
+  } else if (/(?:^|\/)\*$/.test(body)) {
+    suffix = '$';
+  }
+
+  return new RegExp(`${anchored ? '^' : '^(?:.*/)?'}${source}${suffix}`);
+}
+
+/**
+ * Split a line into whitespace separated tokens, keeping escaped spaces
+ */
+function tokens(line) {
+  return line.match(/(?:\\.|\S)+/g) || [];
+}
+
+/**
+ * Parse CODEOWNERS text into rules ({ pattern, owners, section, line }).
+ * A pattern without owners leaves its files unowned, or in a GitLab
+ * section gives them the section's default owners.
+ */
+function parseCodeowners(text) {
+  const rules = [];
+  let section = null;
+
+  String(text).split(/\r?\n/).forEach((raw, index) => {
+    const line = raw.replace(/(^|[^\\])#.*$/, '$1').trim();
+    if (!line) return;
+
+    const header = SECTION_HEADER.exec(line);
+    if (header) {
+      section = { name: header.groups.name.trim().toLowerCase(), owners: tokens(header.groups.owners || '') };
+      return;
+    }
+
+    const [pattern, ...owners] = tokens(line);
+    rules.push({
+      pattern,
+      owners: owners.length > 0 || !section ? owners : section.owners,
+      section: section ? section.name : null,
+      line: index + 1,
+      regex: compilePattern(pattern),
+    });
+  });
+
+  return rules;
+}
+
+/**
+ * Find the CODEOWNERS file of the repo containing cwd, looking in the
+ * places GitHub and GitLab do. The walk stops at the repo root.
+ */
+function findCodeowners(cwd = process.cwd()) {
+  let dir = path.resolve(cwd);
+
+  for (;;) {
+    for (const name of CODEOWNERS_FILES) {
+      const file = path.join(dir, name);
+      if (fs.existsSync(file) && fs.statSync(file).isFile()) {
+        return file;
+      }
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir || fs.existsSync(path.join(dir, '.git'))) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Read and parse a CODEOWNERS file. Its patterns are relative to the repo
+ * root: the directory holding it, or the parent of .github, .gitlab or docs.
+ */
+function loadCodeowners(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    throw new Error(`Cannot read CODEOWNERS file ${file}: ${err.message}`);
+  }
+
+  let root = path.dirname(path.resolve(file));
+  if (['.github', '.gitlab', 'docs'].includes(path.basename(root))) {
+    root = path.dirname(root);
+  }
+
+  return { file, root, rules: parseCodeowners(text) };
+}
+
+/**
+ * Owners of a file: the owners of the last matching rule, combined across
+ * GitLab sections. `file` is relative to cwd, or absolute.
+ */
+function ownersOf(codeowners, file, cwd = process.cwd()) {
+  if (!file || file === 'unknown') return [];
+
+  const relative = path.relative(codeowners.root, path.resolve(cwd, file.replace(/\\/g, '/'))).split(path.sep).join('/');
+  if (relative === '' || relative.startsWith('../') || path.isAbsolute(relative)) return [];
+
+  const matches = new Map();
+  for (const rule of codeowners.rules) {
+    if (rule.regex.test(relative)) {
+      matches.set(rule.section, rule);
+    }
+  }
+
+  const owners = new Set();
+  for (const rule of matches.values()) {
+    for (const owner of rule.owners) {
+      owners.add(owner);
+    }
+  }
+  return Array.from(owners);
+}
+
+/**
+ * Set `error.owners` on errors in owned files
+ */
+function assignOwners(errors, codeowners, cwd = process.cwd()) {
+  const cache = new Map();
+  for (const error of errors) {
+    if (!error.file) continue;
+    if (!cache.has(error.file)) {
+      cache.set(error.file, ownersOf(codeowners, error.file, cwd));
+    }
+    const owners = cache.get(error.file);
+    if (owners.length > 0) {
+      error.owners = owners;
+    }
+  }
+  return errors;
+}
+
+/**
+ * Keep the errors owned by any of `owners` (handles compare case-insensitively)
+ */
+function filterByOwner(errors, owners) {
+  const wanted = new Set([].concat(owners).map((owner) => owner.toLowerCase()));
+  return errors.filter((error) => (error.owners || []).some((owner) => wanted.has(owner.toLowerCase())));
+}
+
+/**
+ * Attribute errors to owners with opts.codeowners (a file path or a loaded
+ * CODEOWNERS), then keep those of opts.owner, if given
+ */
+function applyOwners(errors, opts = {}) {
+  if (opts.owner && opts.owner.length > 0 && !opts.codeowners) {
+    throw new Error('owner requires a CODEOWNERS file');
+  }
+  if (opts.codeowners) {
+    const codeowners = typeof opts.codeowners === 'string' ? loadCodeowners(opts.codeowners) : opts.codeowners;
+    assignOwners(errors, codeowners, opts.cwd);
+  }
+  return opts.owner && opts.owner.length > 0 ? filterByOwner(errors, opts.owner) : errors;
+}
+
+module.exports = {
+  parseCodeowners,
+  compilePattern,
+  findCodeowners,
+  loadCodeowners,
+  ownersOf,
+  assignOwners,
+  filterByOwner,
+  applyOwners,
+  CODEOWNERS_FILES,
+};
@@ -1,9 +1,33 @@
 'use strict';
 
+const { splitLanes } = require('./prefixes.js');
+
 /**
  * Error parser module - detects and parses various error formats
  */
 
+// One Python traceback: optional header, a File "..." frame, more indented
+// frame and source lines, then the unindented exception line. Indented lines
+// must reach a non-blank character, so each matches only one way; otherwise
+// a traceback with no exception line backtracks exponentially.
+const PYTHON_TRACEBACK = String.raw`(?:Traceback \(most recent call last\):[ \t]*\n)?[ \t]*File "[^\n]*\n(?:[ \t]+\S[^\n]*\n)*[A-Za-z_][\w.]*(?::[^\n]*)?$`;
+
+// Line linking two chained Python tracebacks
+const PYTHON_CHAIN = /^(During handling of the above exception, another exception occurred|The above exception was the direct cause of the following exception):$/;
+
+// Frame paths of installed packages and the standard library
+const PYTHON_LIBRARY_FRAME = /[\\/](?:site|dist)-packages[\\/]|[\\/]lib[\\/]python\d+(?:\.\d+)?[\\/]|[\\/]Lib[\\/]|^<.+>$/;
+
+// Lines that end a Jest/Vitest failure block: the next failure or test
+// file, the run summary or a Vitest separator
+const JEST_BLOCK_END = String.raw`[ \t]*(?:●\s|(?:PASS|FAIL)\s|(?:Test Suites|Tests|Snapshots):|(?:Test Files|Tests)[ \t]+\d|Summary of all failing tests|⎯)`;
+
+// Lines a Jest/Vitest failure block can span after its title
+const JEST_MAX_BLOCK_LINES = 200;
+
+// Title Jest gives a test file that could not run
+const JEST_SUITE_FAILURE = 'Test suite failed to run';
+
 // Error patterns for different tools
 const PATTERNS = {
   // TypeScript: src/file.ts(10,5): error TS2304: Cannot find name 'foo'.
@@ -18,6 +42,9 @@ const PATTERNS = {
       message: match[5].trim(),
       type: 'typescript',
     }),
+    // Indented elaborations, and code excerpts in --pretty output
+    blockEnd: (line) => /^\S/.test(line) && !/^\d+\s/.test(line),
+    detect: (input) => /error\s+TS\d+:/i.test(input),
   },
 
   // ESLint: /path/file.js:10:5: Error message (rule-name)
@@ -33,34 +60,63 @@ const PATTERNS = {
       code: match[6],
       type: 'eslint',
     }),
+    // Has rule names at the end of the line
+    detect: (input) => /\d+:\d+\s+(error|warning)\s+.+\s+\S+$/m.test(input),
   },
 
-  // Jest/Vitest: ● Test Suite › test name
-  // FAIL src/file.test.ts
+  // Jest: FAIL src/file.test.ts
   //   ✕ test name (5 ms)
+  //   ● Test Suite › test name
+  //     expect(received).toBe(expected)
+  // Vitest: ❯ src/file.test.ts (2 tests | 1 failed)
+  //   × Test Suite > test name
+  //  FAIL  src/file.test.ts > Test Suite > test name
+  // Test files, listed tests and the run summary are matched too and
+  // folded into one error per failing test by finalize. A Jest `●` block
+  // is indented, so an unindented line (another tool's output) ends it.
+  // Blocks span at most JEST_MAX_BLOCK_LINES lines, so that streamed
+  // input can commit a block that never reaches an end marker.
   jest: {
-    regex: /^\s*(?:●|✕|✖|FAIL)\s+(.+?)(?:\s+›\s+(.+))?$/gm,
-    extract: (match) => ({
-      file: match[1].replace(/^FAIL\s+/, ''),
-      message: match[2] || match[1],
-      type: 'jest',
-    }),
-    // Additional pattern for assertion errors
-    assertionRegex: /^\s*expect\(.+\)\.(.+)$/gm,
+    regex: new RegExp([
+      String.raw`^[ \t]*FAIL[ \t]+(?<vsuite>\S+) > (?<vtest>[^\n]+)(?<vblock>(?:\n(?!${JEST_BLOCK_END})[^\n]*){0,${JEST_MAX_BLOCK_LINES}})`,
+      String.raw`^[ \t]*● (?<title>[^\n]+)(?<block>(?:\n(?!${JEST_BLOCK_END})(?:[ \t][^\n]*)?){0,${JEST_MAX_BLOCK_LINES}})`,
+      String.raw`^[ \t]*FAIL[ \t]+(?<suite>[^\n]+?)(?:[ \t]+\([\d.]+ m?s\))?[ \t]*$`,
+      String.raw`^[ \t]*❯[ \t]+(?<vheader>\S+)[ \t]+\(\d+ tests?\b[^\n]*`,
+      String.raw`^[ \t]*[✕✖×][ \t]+(?<name>[^\n]+?)(?:[ \t]+\(?[\d.]+ ?m?s\)?)?[ \t]*$`,
+      String.raw`^[ \t]*Tests:?[ \t]+(?<failed>\d+) failed\b[^\n]*`,
+    ].join('|'), 'gm'),
+    extract: (match) => parseJestItem(match.groups),
+    finalize: (errors) => finalizeJest(errors),
+    // Group assertion failures by matcher
+    signature: (error) => (error.matcher ? `[${error.matcher}] expect(received).${error.matcher}(expected)` : null),
+    // Blocks are matched whole; the next line shows that a block is complete
+    blockEnd: () => true,
+    detect: (input) => /^\s*(?:●|✕|✖|FAIL\s+)/m.test(input) || /Test Suites?:.*failed/i.test(input),
   },
 
-  // Python: File "path.py", line 10, in function
-  //   SyntaxError: invalid syntax
+  // Python: Traceback (most recent call last):
+  //   File "path.py", line 10, in function
+  //     code
+  // ValueError: message
+  // Chained tracebacks ("During handling of the above exception...") are
+  // matched as one error
   python: {
-    regex: /^(?:\s*File\s+"(.+?)",\s*line\s*(\d+)(?:,\s*in\s+(\S+))?[\s\S]*?)?^\s*(\w+Error|\w+Exception):\s*(.+)$/gm,
-    extract: (match) => ({
-      file: match[1] || 'unknown',
-      line: match[2] ? parseInt(match[2], 10) : null,
-      function: match[3],
-      code: match[4],
-      message: match[5].trim(),
-      type: 'python',
-    }),
+    regex: new RegExp(`^${PYTHON_TRACEBACK}(?:\\n\\n${PYTHON_CHAIN.source.slice(1, -1)}\\n\\n${PYTHON_TRACEBACK})*`, 'gm'),
+    extract: (match) => parsePythonTraceback(match[0]),
+    // Group by exception type and the frame the error is attributed to
+    signature: (error) => {
+      if (!error.frames) return null;
+      return `[${error.code}] ${error.file}${error.function ? ` in ${error.function}` : `:${error.line}`}`;
+    },
+    // Lines that may open a multi-line match, and how far it can extend
+    blockStart: /^Traceback \(most recent call last\):|^\s*File\s+"/,
+    maxBlockLines: 200,
+    // A chained traceback may follow: blank, indented and chain lines
+    // keep the block open
+    blockEnd: (line) => line.trim() !== '' && !/^\s/.test(line) && !PYTHON_CHAIN.test(line) &&
+      !/^Traceback \(most recent call last\):/.test(line),
+    maxBodyLines: 200,
+    detect: (input) => /^Traceback \(most recent call last\):/m.test(input) || /^\s*File\s+"[^"\n]+",\s+line\s+\d+/m.test(input),
   },
 
   // Rust: error[E0425]: cannot find value `x` in this scope
@@ -76,6 +132,12 @@ const PATTERNS = {
       column: parseInt(match[6], 10),
       type: 'rust',
     }),
+    blockStart: /^(error|warning)\[E\d+\]:/,
+    maxBlockLines: 10,
+    // Source excerpt, = note: and help: lines, up to a blank line or the
+    // next diagnostic
+    blockEnd: (line) => line.trim() === '' || /^(error|warning)(\[E\d+\])?:/.test(line),
+    detect: (input) => /^(error|warning)\[E\d+\]:/m.test(input),
   },
 
   // Go: file.go:10:5: error message
@@ -88,6 +150,9 @@ const PATTERNS = {
       message: match[4].trim(),
       type: 'go',
     }),
+    // Tab-indented detail such as have/want
+    blockEnd: (line) => !/^\s+\S/.test(line),
+    detect: (input) => /\.go:\d+:\d+:/.test(input),
   },
 
   // GCC/Clang: file.c:10:5: error: message
@@ -101,6 +166,9 @@ const PATTERNS = {
       message: match[5].trim(),
       type: 'gcc',
     }),
+    // Source excerpt and the note: chain
+    blockEnd: (line) => !/^\s/.test(line) && !/:\s*note:/.test(line),
+    detect: (input) => /\.[ch](pp|xx)?:\d+:\d+:\s*(error|warning):/.test(input),
   },
 
   // Generic: Look for common error patterns
@@ -115,58 +183,374 @@ const PATTERNS = {
       message: match[2].trim(),
       type: 'generic',
     }),
+    // Indented lines such as stack frames
+    blockEnd: (line) => !/^\s+\S/.test(line),
   },
 };
 
+// Most continuation lines kept for one error
+const MAX_BODY_LINES = 50;
+
 /**
- * Detect the type of errors in the input
+ * Turn one match of the jest pattern into an error. Test file headers
+ * ('suite'), listed failed tests ('listed') and run summaries ('summary')
+ * carry a kind, and are resolved by finalizeJest. Console output blocks
+ * give null.
  */
-function detectType(input) {
-  // Check for TypeScript errors
-  if (/error\s+TS\d+:/i.test(input)) {
-    return 'typescript';
+function parseJestItem(groups) {
+  const suite = groups.suite || groups.vheader;
+  if (suite !== undefined) {
+    return { type: 'jest', kind: 'suite', suite, message: suite };
+  }
+  if (groups.name !== undefined) {
+    return { type: 'jest', kind: 'listed', test: groups.name, message: groups.name };
+  }
+  if (groups.failed !== undefined) {
+    return { type: 'jest', kind: 'summary', failed: parseInt(groups.failed, 10), message: groups.failed };
+  }
+
+  const vitest = groups.vtest !== undefined;
+  const test = (vitest ? groups.vtest : groups.title).trim();
+  const lines = (vitest ? groups.vblock : groups.block).split('\n');
+  const block = lines.join('\n');
+  if (test === 'Console') {
+    return null;
   }
 
-  // Check for ESLint errors (has rule names in parentheses or at end)
-  if (/\d+:\d+\s+(error|warning)\s+.+\s+\S+$/m.test(input)) {
-    return 'eslint';
+  const error = {
+    type: 'jest',
+    suite: vitest ? groups.vsuite : undefined,
+    test,
+    testPath: test.split(vitest ? ' > ' : ' › '),
+    message: (lines.find((line) => line.trim() !== '') || test).trim(),
+  };
+
+  const assertion = block.match(/expect\((?:[^()\n]|\([^()\n]*\))*\)((?:\.(?:not|resolves|rejects))*)\.(to\w+)\(/);
+  if (assertion) {
+    error.matcher = `${assertion[1].slice(1)}${assertion[1] ? '.' : ''}${assertion[2]}`;
+    error.code = error.matcher;
+  } else {
+    const thrown = error.message.match(/^(\w*(?:Error|Exception)):\s*(.+)$/);
+    if (thrown) {
+      error.code = thrown[1];
+      error.message = thrown[2];
+    }
   }
 
-  // Check for Jest/Vitest
-  if (/^\s*(?:●|✕|✖|FAIL\s+)/m.test(input) || /Test Suites?:.*failed/i.test(input)) {
-    return 'jest';
+  // Stack frames outside node_modules and Node internals, innermost first
+  const stack = [];
+  for (const frame of block.matchAll(/^\s*(?:at (?:[^\n(]*\()?|❯ )([^\s()]+):(\d+):(\d+)\)?\s*$/gm)) {
+    if (!/node_modules|^node:|^internal\//.test(frame[1])) {
+      stack.push({ file: frame[1], line: parseInt(frame[2], 10), column: parseInt(frame[3], 10) });
+    }
+  }
+  if (stack.length > 0) {
+    error.stack = stack;
   }
 
-  // Check for Python
-  if (/File\s+".+",\s+line\s+\d+/i.test(input) || /\w+Error:|Traceback/i.test(input)) {
-    return 'python';
+  while (lines.length > 0 && lines[lines.length - 1].trim() === '') lines.pop();
+  while (lines.length > 0 && lines[0].trim() === '') lines.shift();
+  if (lines.length > 0) {
+    error.body = lines;
   }
+  return error;
+}
+
+/**
+ * Fold jest items into one error per failing test: failures take the file
+ * of the test file header before them, repeats of a test (Jest prints them
+ * again in its summary of all failing tests) are dropped, and listed tests
+ * only count when no failure block describes them. When the run summary's
+ * failed count differs from the tests found, a warning says so.
+ */
+function finalizeJest(errors) {
+  const result = [];
+  const failures = new Map();
+  const listed = [];
+  let suite = null;
+  let reported = null;
+  let summary = null;
 
-  // Check for Rust
-  if (/^(error|warning)\[E\d+\]:/m.test(input)) {
-    return 'rust';
+  for (const error of errors) {
+    if (error.type !== 'jest') {
+      result.push(error);
+      continue;
+    }
+
+    const { kind, ...item } = error;
+    if (kind === 'suite') {
+      suite = item.suite;
+    } else if (kind === 'summary') {
+      reported = (reported || 0) + item.failed;
+      summary = item;
+    } else if (kind === 'listed') {
+      const entry = { ...item, suite: suite || undefined, file: suite || undefined };
+      listed.push(entry);
+      result.push(entry);
+    } else {
+      const failure = { ...item, suite: item.suite || suite || undefined };
+      const key = `${failure.suite}\0${failure.testPath.join('\0')}`;
+      if (failures.has(key)) continue;
+      failures.set(key, failure);
+
+      // Locate the failure at the test file's frame, or the innermost frame
+      const stack = failure.stack || [];
+      const frame = failure.suite ? stack.find((f) => samePath(f.file, failure.suite)) : stack[0];
+      failure.file = failure.suite || (frame && frame.file);
+      if (frame) {
+        failure.line = frame.line;
+        failure.column = frame.column;
+      }
+      result.push(failure);
+    }
   }
 
-  // Check for Go
-  if (/\.go:\d+:\d+:/.test(input)) {
-    return 'go';
+  // Listed tests that a failure block already describes
+  const described = new Set();
+  for (const entry of listed) {
+    for (const failure of failures.values()) {
+      const leaf = failure.testPath[failure.testPath.length - 1];
+      const sameSuite = !entry.suite || failure.suite === entry.suite;
+      if (sameSuite && (failure.test === entry.test || leaf === entry.test)) {
+        described.add(entry);
+        break;
+      }
+    }
   }
+  const tests = result.filter((error) => !described.has(error));
 
-  // Check for GCC/Clang
-  if (/\.[ch](pp|xx)?:\d+:\d+:\s*(error|warning):/.test(input)) {
-    return 'gcc';
+  if (reported !== null) {
+    const found = tests.filter((error) => error.type === 'jest' && error.test !== JEST_SUITE_FAILURE).length;
+    if (found !== reported) {
+      tests.push({
+        type: 'jest',
+        severity: 'warning',
+        code: 'summary-mismatch',
+        message: `Test summary reports ${reported} failed tests, but ${found} were found in the output`,
+        position: summary.position,
+        raw: summary.raw,
+      });
+    }
   }
 
-  return 'generic';
+  return tests;
 }
 
 /**
- * Parse errors from input text
+ * Whether two paths name the same file, one possibly relative to the other
+ */
+function samePath(a, b) {
+  const norm = (file) => file.replace(/\\/g, '/');
+  const [x, y] = [norm(a), norm(b)];
+  return x === y || x.endsWith(`/${y}`) || y.endsWith(`/${x}`);
+}
+
+/**
+ * Parse a Python traceback, or a chain of them, into an error for the last
+ * exception. Frames run outermost first; the error is attributed to the
+ * innermost frame in project code, or the innermost frame when every frame
+ * is in installed packages or the standard library.
+ */
+function parsePythonTraceback(text) {
+  const parts = text.split(new RegExp(`\n\n${PYTHON_CHAIN.source.slice(1, -1)}\n\n`));
+
+  const tracebacks = [];
+  for (let i = 0; i < parts.length; i += 2) {
+    const lines = parts[i].split('\n');
+    const [, code, message = ''] = lines[lines.length - 1].match(/^([A-Za-z_][\w.]*)(?::\s*(.*))?$/);
+    const frames = [];
+    for (const frame of parts[i].matchAll(/^\s*File "(.+?)", line (\d+)(?:, in (.+))?$/gm)) {
+      frames.push({ file: frame[1], line: parseInt(frame[2], 10), function: frame[3] });
+    }
+    tracebacks.push({
+      code,
+      message: message.trim() || code,
+      frames,
+      // How this exception led to the next one
+      relation: parts[i + 1] && parts[i + 1].startsWith('The above') ? 'cause' : 'context',
+    });
+  }
+
+  const last = tracebacks.pop();
+  const project = last.frames.filter((frame) => !PYTHON_LIBRARY_FRAME.test(frame.file));
+  const frame = project.length > 0 ? project[project.length - 1] : last.frames[last.frames.length - 1];
+
+  const error = {
+    file: frame.file,
+    line: frame.line,
+    code: last.code,
+    message: last.message,
+    frames: last.frames,
+    body: text.split('\n').slice(0, -1),
+    type: 'python',
+  };
+  if (frame.function) error.function = frame.function;
+  if (tracebacks.length > 0) {
+    error.chain = tracebacks.map(({ code, message, relation }) => ({ code, message, relation }));
+  }
+  return error;
+}
+
+// Error fields a custom parser can map named groups to
+const CUSTOM_FIELDS = ['file', 'line', 'column', 'code', 'severity', 'message'];
+
+// Flags a custom parser may add to the implied 'gm'
+const CUSTOM_FLAGS = /^[isu]*$/;
+
+function compileRegex(name, key, source, flags) {
+  if (typeof source !== 'string' || source.length === 0) {
+    throw new Error(`Invalid parser "${name}": "${key}" must be a non-empty regex string`);
+  }
+  try {
+    return new RegExp(source, flags);
+  } catch (err) {
+    throw new Error(`Invalid parser "${name}": "${key}" is not a valid regex (${err.message})`);
+  }
+}
+
+/**
+ * Build a pattern from a user-defined parser definition:
+ *   { regex, detect?, flags?, fields? }
+ * `fields` maps error fields to named groups in `regex`; fields left out map
+ * to the group of the same name, if there is one.
+ */
+function createCustomPattern(name, def) {
+  if (!/^[a-z][\w-]*$/i.test(name)) {
+    throw new Error(`Invalid parser name "${name}": use letters, digits, '-' and '_'`);
+  }
+  if (PATTERNS[name] || name === 'auto' || name === 'mixed') {
+    throw new Error(`Invalid parser name "${name}": it is reserved for a built-in type`);
+  }
+  if (!def || typeof def !== 'object' || Array.isArray(def)) {
+    throw new Error(`Invalid parser "${name}": definition must be an object`);
+  }
+
+  const unknown = Object.keys(def).filter((key) => !['regex', 'detect', 'flags', 'fields'].includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Invalid parser "${name}": unknown option "${unknown[0]}"`);
+  }
+
+  const flags = def.flags === undefined ? '' : def.flags;
+  if (typeof flags !== 'string' || !CUSTOM_FLAGS.test(flags)) {
+    throw new Error(`Invalid parser "${name}": "flags" may only contain i, s and u`);
+  }
+
+  const regex = compileRegex(name, 'regex', def.regex, `gm${flags}`);
+  const detectRegex = def.detect === undefined
+    ? new RegExp(def.regex, `m${flags}`)
+    : compileRegex(name, 'detect', def.detect, `m${flags}`);
+
+  const groupNames = new Set(Array.from(def.regex.matchAll(/\(\?<([A-Za-z_$][\w$]*)>/g), (m) => m[1]));
+
+  if (def.fields !== undefined && (!def.fields || typeof def.fields !== 'object' || Array.isArray(def.fields))) {
+    throw new Error(`Invalid parser "${name}": "fields" must map error fields to named groups`);
+  }
+
+  const fields = {};
+  for (const field of CUSTOM_FIELDS) {
+    if (groupNames.has(field)) fields[field] = field;
+  }
+  for (const [field, group] of Object.entries(def.fields || {})) {
+    if (!CUSTOM_FIELDS.includes(field)) {
+      throw new Error(`Invalid parser "${name}": unknown field "${field}" (expected one of ${CUSTOM_FIELDS.join(', ')})`);
+    }
+    if (typeof group !== 'string' || !groupNames.has(group)) {
+      throw new Error(`Invalid parser "${name}": field "${field}" refers to missing named group "${group}"`);
+    }
+    fields[field] = group;
+  }
+
+  if (!fields.message) {
+    throw new Error(`Invalid parser "${name}": regex needs a "message" named group or a fields.message mapping`);
+  }
+
+  return {
+    regex,
+    extract: (match) => {
+      const values = match.groups || {};
+      const get = (field) => (fields[field] ? values[fields[field]] : undefined);
+
+      const message = (get('message') || '').trim();
+      if (!message) {
+        throw new Error('Empty message');
+      }
+
+      const error = { message, type: name };
+      if (get('file')) error.file = get('file');
+      if (get('line')) error.line = parseInt(get('line'), 10);
+      if (get('column')) error.column = parseInt(get('column'), 10);
+      if (get('code')) error.code = get('code');
+      if (get('severity')) error.severity = get('severity').toLowerCase();
+      return error;
+    },
+    detect: (input) => detectRegex.test(input),
+    custom: true,
+  };
+}
+
+/**
+ * Combine user-defined patterns with the built-in ones.
+ * Custom parsers come first so they win detection and line attribution.
+ */
+function withCustomPatterns(parsers) {
+  if (!parsers || Object.keys(parsers).length === 0) {
+    return PATTERNS;
+  }
+  return { ...parsers, ...PATTERNS };
+}
+
+/**
+ * Detect every error type present in the input, in priority order
+ */
+function detectTypes(input, patterns = PATTERNS) {
+  return Object.keys(patterns).filter((type) => {
+    const pattern = patterns[type];
+    return typeof pattern.detect === 'function' && pattern.detect(input);
+  });
+}
+
+/**
+ * Detect the type of errors in the input
+ */
+function detectType(input, patterns = PATTERNS) {
+  const [type] = detectTypes(input, patterns);
+  return type || 'generic';
+}
+
+/**
+ * Build an index of line start offsets for position -> line lookups
+ */
+function buildLineIndex(input) {
+  const starts = [0];
+  for (let i = 0; i < input.length; i++) {
+    if (input.charCodeAt(i) === 10) {
+      starts.push(i + 1);
+    }
+  }
+  return starts;
+}
+
+/**
+ * Find the zero-based line containing a character offset
  */
-function parseErrors(input, forcedType = 'auto') {
-  const type = forcedType === 'auto' ? detectType(input) : forcedType;
-  const pattern = PATTERNS[type] || PATTERNS.generic;
+function lineOf(lineIndex, position) {
+  let lo = 0;
+  let hi = lineIndex.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (lineIndex[mid] <= position) {
+      lo = mid;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return lo;
+}
 
+/**
+ * Run a single pattern over the input
+ */
+function runPattern(pattern, input) {
   const errors = [];
   let match;
 
@@ -174,22 +558,194 @@ function parseErrors(input, forcedType = 'auto') {
   pattern.regex.lastIndex = 0;
 
   while ((match = pattern.regex.exec(input)) !== null) {
+    // Step past empty matches so user-defined regexes can't loop forever
+    if (match[0].length === 0) {
+      pattern.regex.lastIndex++;
+      continue;
+    }
+
+    let error;
     try {
-      const error = pattern.extract(match);
-      error.raw = match[0];
-      error.position = match.index;
-      errors.push(error);
+      error = pattern.extract(match);
     } catch {
       // Skip malformed matches
+      continue;
+    }
+
+    // Matches the pattern skips on purpose, e.g. Jest console output
+    if (error === null) {
+      continue;
+    }
+    error.raw = match[0];
+    error.position = match.index;
+    errors.push(error);
+  }
+
+  return errors;
+}
+
+/**
+ * Run several patterns over the input in priority order, attributing each
+ * line to at most one parser (the first to claim it)
+ */
+function parseWithTypes(input, types, patterns = PATTERNS) {
+  const lineIndex = buildLineIndex(input);
+  const claimed = new Set();
+  const errors = [];
+
+  for (const type of types) {
+    for (const error of runPattern(patterns[type], input)) {
+      const first = lineOf(lineIndex, error.position);
+      const last = lineOf(lineIndex, error.position + Math.max(error.raw.length - 1, 0));
+
+      let free = true;
+      for (let line = first; line <= last && free; line++) {
+        free = !claimed.has(line);
+      }
+      if (!free) continue;
+
+      for (let line = first; line <= last; line++) {
+        claimed.add(line);
+      }
+      errors.push(error);
     }
   }
 
+  return errors.sort((a, b) => a.position - b.position);
+}
+
+/**
+ * Attach each error's continuation lines as error.body. For patterns with
+ * a blockEnd rule, the body runs from the line after the match up to the
+ * first line blockEnd accepts, the next error or maxBodyLines (default
+ * MAX_BODY_LINES); blank lines at either end are dropped. Errors must be sorted by position.
+ *
+ * Returns the errors whose body ran into the end of the input, so later
+ * input could still extend it.
+ */
+function attachBodies(input, errors, patterns = PATTERNS) {
+  const lineIndex = buildLineIndex(input);
+  // A trailing newline does not start another line
+  const lineCount = input.endsWith('\n') ? lineIndex.length - 1 : lineIndex.length;
+  const lineAt = (line) => input.slice(lineIndex[line], line + 1 < lineIndex.length ? lineIndex[line + 1] - 1 : input.length);
+  const open = [];
+
+  for (let i = 0; i < errors.length; i++) {
+    const error = errors[i];
+    const pattern = patterns[error.type];
+    if (!pattern || !pattern.blockEnd) continue;
+
+    const next = errors[i + 1];
+    const stop = Math.min(lineCount, next ? lineOf(lineIndex, next.position) : lineCount);
+    const first = lineOf(lineIndex, error.position + Math.max(error.raw.length - 1, 0)) + 1;
+
+    const max = pattern.maxBodyLines || MAX_BODY_LINES;
+    const body = [];
+    let line = first;
+    for (; line < stop && body.length < max; line++) {
+      const text = lineAt(line);
+      if (pattern.blockEnd(text, error)) break;
+      body.push(text);
+    }
+    if (line === lineCount && body.length < max) {
+      open.push(error);
+    }
+
+    while (body.length > 0 && body[body.length - 1].trim() === '') body.pop();
+    while (body.length > 0 && body[0].trim() === '') body.shift();
+    if (body.length > 0) {
+      // Extend a body the pattern's extract already set from the match
+      error.body = error.body ? [...error.body, ...body] : body;
+    }
+  }
+
+  return open;
+}
+
+/**
+ * Let patterns with a finalize hook rework their errors as a whole, e.g. to
+ * merge or drop matches that only make sense together
+ */
+function finalizeErrors(errors, patterns = PATTERNS) {
+  let result = errors;
+  for (const pattern of Object.values(patterns)) {
+    if (pattern.finalize) {
+      result = pattern.finalize(result);
+    }
+  }
+  return result;
+}
+
+/**
+ * Parse each package's output on its own when the log carries monorepo
+ * task-runner prefixes (see splitLanes), so interleaved lines from parallel
+ * tasks don't break multi-line errors. Positions refer to the original
+ * input, and errors from prefixed lines record their package.
+ */
+function parseLanes(input, parse) {
+  const lanes = splitLanes(input);
+  if (!lanes) {
+    return parse(input);
+  }
+
+  const errors = [];
+  for (const lane of lanes) {
+    for (const error of parse(lane.text)) {
+      error.position = lane.toOriginal(error.position);
+      if (lane.package !== null) {
+        error.package = lane.package;
+      }
+      errors.push(error);
+    }
+  }
+  return errors.sort((a, b) => a.position - b.position);
+}
+
+/**
+ * Parse a log containing output from several tools.
+ * Every detected pattern runs over the input.
+ */
+function parseMixed(input, patterns = PATTERNS) {
+  return parseLanes(input, (text) => parseMixedLane(text, patterns));
+}
+
+function parseMixedLane(input, patterns) {
+  let errors = parseWithTypes(input, detectTypes(input, patterns), patterns);
+
+  // Nothing tool-specific found, fall back to generic
+  if (errors.length === 0) {
+    errors = runPattern(PATTERNS.generic, input);
+  }
+
+  attachBodies(input, errors, patterns);
+  return finalizeErrors(errors, patterns);
+}
+
+/**
+ * Parse errors from input text
+ * opts.parsers holds user-defined patterns (see createCustomPattern)
+ */
+function parseErrors(input, forcedType = 'auto', opts = {}) {
+  const patterns = withCustomPatterns(opts.parsers);
+  return parseLanes(input, (text) => parseLane(text, forcedType, patterns));
+}
+
+function parseLane(input, forcedType, patterns) {
+  if (forcedType === 'mixed') {
+    return parseMixedLane(input, patterns);
+  }
+
+  const type = forcedType === 'auto' ? detectType(input, patterns) : forcedType;
+  const pattern = patterns[type] || PATTERNS.generic;
+  const errors = runPattern(pattern, input);
+
   // If no errors found with specific pattern, try generic
   if (errors.length === 0 && type !== 'generic') {
-    return parseErrors(input, 'generic');
+    return parseLane(input, 'generic', PATTERNS);
   }
 
-  return errors;
+  attachBodies(input, errors, patterns);
+  return finalizeErrors(errors, patterns);
 }
 
 /**
@@ -197,6 +753,13 @@ function parseErrors(input, forcedType = 'auto') {
  * Removes file-specific and line-specific parts
  */
 function getErrorSignature(error) {
+  // Formats with their own notion of "the same error"
+  const pattern = PATTERNS[error.type];
+  const custom = pattern && pattern.signature && pattern.signature(error);
+  if (custom) {
+    return custom;
+  }
+
   let sig = error.message || '';
 
   // Remove file paths
@@ -224,7 +787,17 @@ function getErrorSignature(error) {
 
 module.exports = {
   parseErrors,
+  parseMixed,
+  parseWithTypes,
+  attachBodies,
+  finalizeErrors,
+  runPattern,
+  createCustomPattern,
+  withCustomPatterns,
   detectType,
+  detectTypes,
+  buildLineIndex,
+  lineOf,
   getErrorSignature,
   PATTERNS,
 };
@@ -0,0 +1,152 @@
+'use strict';
+
+const { createStreamParser } = require('./stream.js');
+const { createGrouper, parseGroupBy, LOCATION_SAMPLES } = require('./grouper.js');
+const { normalizeInput } = require('./normalize.js');
+const { loadCodeowners, assignOwners, filterByOwner } = require('./owners.js');
+
+/**
+ * Pipeline module - parses and groups input as it streams in, in memory
+ * bounded by the number of groups rather than the size of the log
+ */
+
+/**
+ * Create a streaming parse-and-group pipeline. Feed it chunks with push()
+ * and call end() once the input is complete; end() returns
+ *   groups      every group, most frequent first (opts.groupBy, opts.fuzzy)
+ *   tally       totals over every error, for getStats and evaluatePolicy
+ *   signatures  groups by signature, for the run history and JSON output
+ *   parsed      errors found before opts.owner filtered them
+ *   input       the normalized log when opts.context needs it, else ''
+ *
+ * Errors are dropped once grouped, except for the first opts.samples
+ * (default LOCATION_SAMPLES) of each group. opts.codeowners (a path or a
+ * loaded CODEOWNERS) attributes errors to owners, and opts.owner keeps
+ * only theirs. Several inputs are parsed one after the other, each on its
+ * own: call source() before each one's chunks.
+ */
+function createPipeline(opts = {}) {
+  const grouping = {
+    groupBy: opts.groupBy,
+    fuzzy: opts.fuzzy,
+    samples: opts.samples > 0 ? opts.samples : LOCATION_SAMPLES,
+  };
+  const codeowners = typeof opts.codeowners === 'string' ? loadCodeowners(opts.codeowners) : opts.codeowners;
+  const owners = opts.owner && opts.owner.length > 0 ? opts.owner : null;
+  if (owners && !codeowners) {
+    throw new Error('owner requires a CODEOWNERS file');
+  }
+
+  // The run history and JSON output list signature groups, whatever the
+  // grouping
+  const [by, then] = parseGroupBy(opts.groupBy);
+  const bySignature = by !== 'signature' || Boolean(then);
+  const createSink = () => ({
+    groups: createGrouper(grouping),
+    signatures: bySignature ? createGrouper({ ...grouping, groupBy: 'signature' }) : null,
+  });
+  const main = createSink();
+  // Generic matches per input and package, used for those without tool errors
+  const fallbacks = new Map();
+  const matched = new Set();
+  let parsed = 0;
+  let input = ''; // Of the current input
+  let previous = ''; // Earlier inputs, normalized
+  let source = null;
+
+  function add(sink, error) {
+    if (codeowners) assignOwners([error], codeowners, opts.cwd);
+    if (owners && filterByOwner([error], owners).length === 0) return;
+    sink.groups.add(error);
+    if (sink.signatures) sink.signatures.add(error);
+  }
+
+  const createParser = () => createStreamParser(opts.type, {
+    parsers: opts.parsers,
+    onError(error, fallback) {
+      if (source) error.source = source;
+      if (typeof error.position === 'number') error.position += previous.length;
+
+      const lane = JSON.stringify([source, error.package || null]);
+      if (!fallback) {
+        matched.add(lane);
+        fallbacks.delete(lane);
+        parsed++;
+        add(main, error);
+      } else if (!matched.has(lane)) {
+        if (!fallbacks.has(lane)) fallbacks.set(lane, { sink: createSink(), parsed: 0 });
+        const entry = fallbacks.get(lane);
+        entry.parsed++;
+        add(entry.sink, error);
+      }
+    },
+  });
+  let parser = createParser();
+
+  return {
+    /**
+     * Add a chunk of decoded input
+     */
+    push(chunk) {
+      // Only keep the whole log when --context needs it
+      if (opts.context > 0) input += chunk;
+      parser.push(chunk);
+    },
+
+    /**
+     * Start the next input, parsed on its own as in parseInputs; its errors
+     * are tagged with `name` as their source
+     */
+    source(name) {
+      parser.end();
+      if (opts.context > 0) {
+        previous += normalizeInput(input);
+        if (previous && !previous.endsWith('\n')) previous += '\n';
+      }
+      input = '';
+      source = name;
+      parser = createParser();
+    },
+
+    /**
+     * Groups and totals so far, for a live display
+     */
+    snapshot() {
+      let grouper = main.groups;
+      if (fallbacks.size > 0) {
+        grouper = createGrouper(grouping);
+        grouper.merge(main.groups);
+        for (const { sink } of fallbacks.values()) {
+          grouper.merge(sink.groups);
+        }
+      }
+      return { groups: grouper.groups(), tally: grouper.tally };
+    },
+
+    /**
+     * Finish the input and return the groups and totals
+     */
+    end() {
+      parser.end();
+      for (const { sink, parsed: count } of fallbacks.values()) {
+        main.groups.merge(sink.groups);
+        if (main.signatures) main.signatures.merge(sink.signatures);
+        parsed += count;
+      }
+      fallbacks.clear();
+
+      const groups = main.groups.groups();
+      return {
+        groups,
+        tally: main.groups.tally,
+        signatures: main.signatures ? main.signatures.groups() : groups,
+        parsed,
+        input: previous + normalizeInput(input),
+      };
+    },
+  };
+}
+
+module.exports = {
+  createPipeline,
+};
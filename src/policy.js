@@ -0,0 +1,139 @@
+'use strict';
+
+const os = require('node:os');
+const { tallyErrors } = require('./grouper.js');
+
+/**
+ * Policy module - decides whether a run fails, and explains why
+ */
+
+// --fail-on values
+const FAIL_ON = ['error', 'warning', 'never'];
+
+// errsum severities -> the level --fail-on compares against
+const LEVELS = {
+  error: 'error',
+  err: 'error',
+  fatal: 'error',
+  warning: 'warning',
+  warn: 'warning',
+  info: 'info',
+  note: 'info',
+  hint: 'info',
+};
+
+/**
+ * Whether an error counts towards a failure under --fail-on
+ */
+function counts(error, failOn) {
+  const level = LEVELS[(error.severity || 'error').toLowerCase()] || 'error';
+  if (failOn === 'never') return false;
+  if (failOn === 'warning') return level !== 'info';
+  return level === 'error';
+}
+
+/**
+ * How many errors count under --fail-on, from totals per severity
+ */
+function countedIn(severities, failOn) {
+  let total = 0;
+  for (const [severity, count] of Object.entries(severities || {})) {
+    if (counts({ severity }, failOn)) total += count;
+  }
+  return total;
+}
+
+/**
+ * What --fail-on counts, agreeing with `count`
+ */
+function countedNoun(count, failOn) {
+  if (failOn === 'warning') {
+    return count === 1 ? 'error or warning' : 'errors and warnings';
+  }
+  return count === 1 ? 'error' : 'errors';
+}
+
+/**
+ * Exit code for a command that ended with `status` or was killed by `signal`
+ */
+function commandExitCode(status, signal) {
+  if (typeof status === 'number') return status;
+  const number = signal && os.constants.signals[signal];
+  return number ? 128 + number : 1;
+}
+
+/**
+ * Policy under --exit-status: fail with the exit code of the first command
+ * that failed. Named commands (--run) are quoted in the reasons.
+ */
+function commandPolicy(commands) {
+  const reasons = [];
+  let exitCode = 0;
+  for (const command of commands) {
+    const code = commandExitCode(command.status, command.signal);
+    if (code === 0) continue;
+    if (exitCode === 0) exitCode = code;
+    const name = command.command ? `'${command.command}'` : 'command';
+    reasons.push(command.signal ? `${name} was killed by ${command.signal}` : `${name} exited with status ${code}`);
+  }
+  return { failed: exitCode !== 0, exitCode, reasons };
+}
+
+/**
+ * Evaluate the exit policy for a run:
+ *   failOn      'error' (default), 'warning' or 'never': severities that count
+ *   maxErrors   fail only with more counted errors than this
+ *   maxNew      with a baseline, fail only with more new errors than this
+ *   exitStatus  exit with the wrapped command's status instead; the command
+ *               result is in `command` ({ status, signal }), or with --run
+ *               in `commands` ({ command, status, signal } each)
+ *
+ * With a baseline only errors in new patterns fail the run, unless
+ * maxErrors is given as well. `errors` is every error, or their tally (see
+ * tallyErrors). Returns { failed, exitCode, reasons }.
+ */
+function evaluatePolicy(groups, errors, opts = {}) {
+  const failOn = opts.failOn || 'error';
+  if (!FAIL_ON.includes(failOn)) {
+    throw new Error(`failOn must be one of ${FAIL_ON.join(', ')}, got ${JSON.stringify(failOn)}`);
+  }
+  if (opts.maxNew != null && !opts.baseline) {
+    throw new Error('maxNew requires a baseline');
+  }
+
+  if (opts.exitStatus && (opts.command || opts.commands)) {
+    return commandPolicy(opts.commands || [opts.command]);
+  }
+
+  const reasons = [];
+
+  if (opts.baseline) {
+    const added = groups
+      .filter((group) => group.baseline && group.baseline.status === 'new')
+      .reduce((sum, group) => sum + countedIn(group.severities, failOn), 0);
+    const budget = opts.maxNew != null ? opts.maxNew : 0;
+    if (added > budget) {
+      reasons.push(opts.maxNew != null
+        ? `${added} new ${countedNoun(added, failOn)} since the baseline, more than --max-new ${budget}`
+        : `${added} new ${countedNoun(added, failOn)} since the baseline`);
+    }
+  }
+
+  if (!opts.baseline || opts.maxErrors != null) {
+    const total = countedIn(tallyErrors(errors).bySeverity, failOn);
+    const budget = opts.maxErrors != null ? opts.maxErrors : 0;
+    if (total > budget) {
+      reasons.push(opts.maxErrors != null
+        ? `${total} ${countedNoun(total, failOn)}, more than --max-errors ${budget}`
+        : `${total} ${countedNoun(total, failOn)} found (--fail-on ${failOn})`);
+    }
+  }
+
+  return { failed: reasons.length > 0, exitCode: reasons.length > 0 ? 1 : 0, reasons };
+}
+
+module.exports = {
+  evaluatePolicy,
+  commandExitCode,
+  FAIL_ON,
+};
@@ -0,0 +1,182 @@
+'use strict';
+
+/**
+ * Prefixes module - recognizes the per-line prefixes monorepo task runners
+ * put on the output of each package, and splits a log into one lane per
+ * package so parsers see each tool's output as it was printed
+ */
+
+// Line prefixes, tried in order:
+//   @acme/web:build: src/a.ts(3,4): error...   turbo
+//   packages/web build: src/a.ts(3,4): ...     pnpm -r (and `build$ cmd` headers)
+//   web-1  | Error: ...                        docker compose (web_1 in v1)
+//   @acme/web: src/a.ts(3,4): ...              lerna --stream, nx (scoped packages)
+// Package names are lowercase, as npm requires, which keeps the turbo form
+// apart from `ERROR:root:...` Python logging lines.
+const PREFIXES = [
+  { runner: 'turbo', regex: /^(?<package>@[a-z0-9][\w.-]*\/[\w.-]+|[a-z0-9][\w.-]*):[A-Za-z][\w-]*(?::[\w-]+)*:(?: |$)/ },
+  { runner: 'pnpm', regex: /^(?<package>\.|[\w@.-]+(?:\/[\w@.-]+)+) [\w:.-]+(?:\$|:)(?: |$)/ },
+  { runner: 'compose', regex: /^(?<package>[A-Za-z][\w.-]*)[-_]\d+\s+\|(?: |$)/ },
+  { runner: 'lerna', regex: /^(?<package>@[\w.-]+\/[\w.-]+):(?: |$)/ },
+];
+
+// Unscoped `web: ...` prefixes (lerna --stream, nx --output-style=stream)
+// look like diagnostics such as `error: ...`, so they are only recognized
+// once a lerna or nx banner was seen, and never for these names
+const UNSCOPED_PREFIX = /^(?<package>[a-z0-9][\w.-]*):(?: |$)/;
+const UNSCOPED_EXCLUDED = new Set([
+  'error', 'warning', 'warn', 'note', 'help', 'info', 'hint', 'debug', 'fatal', 'panic', 'trace',
+  'make', 'sh', 'bash', 'ld', 'collect2', 'npm', 'yarn', 'pnpm', 'node',
+]);
+const RUNNER_BANNER = /^(?:lerna (?:notice|info|success|WARN|ERR!)|\s*>\s+NX\s)/;
+
+// nx prints each task's output unprefixed after a `> nx run web:build`
+// header; the section ends at the next header or nx's closing summary
+const NX_TASK_HEADER = /^\s*>\s+nx run (?<package>[^\s:]+):\S+/;
+const NX_SECTION_END = /^(?:\s*>\s+NX\s|\s*—{3,})/;
+
+/**
+ * Create a line classifier. Lines must be passed in order, since nx
+ * sections and lerna/nx banners carry over to the lines that follow.
+ * Returns the line's package (or null) and the length of its prefix.
+ */
+function createPrefixSplitter() {
+  let section = null;
+  let announced = false;
+
+  return function split(line) {
+    for (const { runner, regex } of PREFIXES) {
+      const match = regex.exec(line);
+      if (match) {
+        let name = match.groups.package;
+        // Replicas of a service report as the service
+        if (runner === 'compose') name = name.replace(/[-_]\d+$/, '');
+        return { package: name, offset: match[0].length };
+      }
+    }
+
+    if (announced) {
+      const match = UNSCOPED_PREFIX.exec(line);
+      if (match && !UNSCOPED_EXCLUDED.has(match.groups.package)) {
+        return { package: match.groups.package, offset: match[0].length };
+      }
+    }
+
+    const header = NX_TASK_HEADER.exec(line);
+    if (header) {
+      section = header.groups.package;
+    } else if (NX_SECTION_END.test(line)) {
+      section = null;
+    }
+    if (RUNNER_BANNER.test(line)) {
+      announced = true;
+    }
+
+    return { package: section, offset: 0 };
+  };
+}
+
+/**
+ * Find the segment containing a lane position
+ */
+function segmentOf(starts, position) {
+  let lo = 0;
+  let hi = starts.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (starts[mid] <= position) {
+      lo = mid;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return lo;
+}
+
+/**
+ * Create the position mapping of one package's lane: the lane holds its
+ * lines with prefixes stripped, and toOriginal() maps a lane position back
+ * to the original log. Runs of unprefixed, adjacent lines share one segment.
+ */
+function createLane(name) {
+  const starts = [];
+  const origins = [];
+  let length = 0;
+  let end = -1; // Original position right after the last line, if unprefixed
+
+  return {
+    package: name,
+
+    /**
+     * Record a line (with its newline, if any) taken from `origin` in the
+     * original log after stripping `offset` prefix characters
+     */
+    add(text, origin, offset) {
+      if (offset > 0 || origin !== end) {
+        starts.push(length);
+        origins.push(origin + offset);
+      }
+      length += text.length;
+      end = offset > 0 ? -1 : origin + text.length;
+    },
+
+    toOriginal(position) {
+      if (starts.length === 0) return position;
+      const i = segmentOf(starts, position);
+      return origins[i] + position - starts[i];
+    },
+
+    /**
+     * Drop the mapping of lane positions before `position`, which a stream
+     * parser will not look up again
+     */
+    forget(position) {
+      const i = starts.length > 1 ? segmentOf(starts, position) : 0;
+      if (i > 0) {
+        starts.splice(0, i);
+        origins.splice(0, i);
+      }
+    },
+  };
+}
+
+/**
+ * Split a log into per-package lanes. Returns null when no line carries a
+ * task-runner prefix or belongs to an nx section; otherwise lanes in order
+ * of first appearance, unprefixed lines in the lane with a null package.
+ */
+function splitLanes(input) {
+  const split = createPrefixSplitter();
+  const lanes = new Map();
+  const texts = new Map();
+  let found = false;
+  let position = 0;
+
+  while (position < input.length) {
+    const newline = input.indexOf('\n', position);
+    const next = newline === -1 ? input.length : newline + 1;
+    const line = input.slice(position, newline === -1 ? input.length : newline);
+
+    const { package: name, offset } = split(line);
+    if (name !== null) found = true;
+    if (!lanes.has(name)) {
+      lanes.set(name, createLane(name));
+      texts.set(name, []);
+    }
+
+    const text = input.slice(position + offset, next);
+    lanes.get(name).add(text, position, offset);
+    texts.get(name).push(text);
+    position = next;
+  }
+
+  if (!found) return null;
+  return Array.from(lanes.values(), (lane) => ({ ...lane, text: texts.get(lane.package).join('') }));
+}
+
+module.exports = {
+  createPrefixSplitter,
+  createLane,
+  splitLanes,
+  PREFIXES,
+};
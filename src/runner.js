@@ -0,0 +1,123 @@
+'use strict';
+
+const { spawn } = require('node:child_process');
+const { createDecoder } = require('./normalize.js');
+const { parseInputs } = require('./inputs.js');
+const { commandExitCode } = require('./policy.js');
+const { tallyErrors } = require('./grouper.js');
+
+/**
+ * Runner module - runs several commands concurrently (--run) and combines
+ * their output into one summary, each error tagged with its command
+ */
+
+/**
+ * Run a shell command, collecting its stdout and stderr as one text
+ */
+function runOne(command) {
+  return new Promise((resolve) => {
+    const started = Date.now();
+    // Concurrent commands cannot share the terminal's stdin
+    const proc = spawn(command, { shell: true, stdio: ['ignore', 'pipe', 'pipe'] });
+
+    let text = '';
+    const stdout = createDecoder();
+    const stderr = createDecoder();
+    const out = [];
+    const err = [];
+    proc.stdout.on('data', (data) => {
+      text += stdout.write(data);
+      out.push(data);
+    });
+    proc.stderr.on('data', (data) => {
+      text += stderr.write(data);
+      err.push(data);
+    });
+
+    const done = (status, signal) => resolve({
+      command,
+      status,
+      signal,
+      duration: Date.now() - started,
+      text,
+      stdout: Buffer.concat(out),
+      stderr: Buffer.concat(err),
+    });
+
+    // A command that cannot be started reports like one that failed
+    proc.on('error', (error) => {
+      text += `${error.message}\n`;
+      err.push(Buffer.from(`${error.message}\n`));
+      done(null, null);
+    });
+    proc.on('close', (status, signal) => {
+      text += stdout.end() + stderr.end();
+      done(status, signal);
+    });
+  });
+}
+
+/**
+ * Run commands concurrently. Resolves, in the order given, to how each
+ * ended: { command, status, signal, duration (ms), text, stdout, stderr }.
+ * opts.onExit is called with each result as its command ends.
+ */
+function runCommands(commands, opts = {}) {
+  return Promise.all(commands.map(async (command) => {
+    const result = await runOne(command);
+    if (opts.onExit) opts.onExit(result);
+    return result;
+  }));
+}
+
+/**
+ * Parse each command's output on its own, so that every command's format
+ * is detected separately, and combine the errors (see parseInputs).
+ * `input` is the outputs joined in order; error positions are offsets
+ * into it.
+ */
+function parseCommandOutputs(results, type = 'auto', opts = {}) {
+  return parseInputs(results.map(({ command, text }) => ({ command, text })), type, opts);
+}
+
+/**
+ * How each command ended, with the number of errors found in its output.
+ * `allErrors` is every error, or their tally.
+ */
+function commandSummaries(commands, allErrors) {
+  const counts = tallyErrors(allErrors).byCommand;
+  return commands.map((command) => ({
+    command: command.command,
+    status: command.status,
+    signal: command.signal || null,
+    exitCode: commandExitCode(command.status, command.signal),
+    duration: command.duration,
+    errors: counts[command.command] || 0,
+  }));
+}
+
+/**
+ * Format a duration in ms: 850ms, 3.2s, 2m 05s
+ */
+function formatDuration(ms) {
+  if (ms == null) return '';
+  if (ms < 1000) return `${Math.round(ms)}ms`;
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+  const seconds = Math.round(ms / 1000);
+  return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+}
+
+/**
+ * Describe how a command ended: 'exit 2' or 'killed by SIGTERM'
+ */
+function formatExit(command) {
+  return command.signal ? `killed by ${command.signal}` : `exit ${commandExitCode(command.status, command.signal)}`;
+}
+
+module.exports = {
+  runCommands,
+  parseCommandOutputs,
+  commandSummaries,
+  formatDuration,
+  formatExit,
+};
@@ -0,0 +1,154 @@
+'use strict';
+
+const crypto = require('node:crypto');
+const path = require('node:path');
+const { pathToFileURL } = require('node:url');
+const { signatureGroups } = require('./grouper.js');
+
+/**
+ * SARIF 2.1.0 formatter - one run per tool type, for code-scanning dashboards
+ */
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const INFORMATION_URI = 'https://github.com/brandonwise/errsum';
+
+// Driver names for each parser type
+const TOOL_NAMES = {
+  typescript: 'TypeScript',
+  eslint: 'ESLint',
+  jest: 'Jest',
+  python: 'Python',
+  rust: 'rustc',
+  go: 'Go',
+  gcc: 'GCC',
+  generic: 'errsum',
+};
+
+// errsum severities -> SARIF levels
+const LEVELS = {
+  error: 'error',
+  err: 'error',
+  fatal: 'error',
+  warning: 'warning',
+  warn: 'warning',
+  info: 'note',
+  note: 'note',
+  hint: 'note',
+};
+
+function toLevel(severity) {
+  return LEVELS[(severity || 'error').toLowerCase()] || 'error';
+}
+
+function hash(text) {
+  return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+/**
+ * Rule id for a group: its code, or a short hash of its signature
+ */
+function ruleId(group) {
+  return group.code || `errsum-${hash(group.signature).slice(0, 8)}`;
+}
+
+/**
+ * Build an artifact location, relative to the source root when possible
+ */
+function artifactLocation(file, cwd) {
+  if (path.isAbsolute(file)) {
+    const relative = path.relative(cwd, file);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      return { uri: pathToFileURL(file).href };
+    }
+    file = relative;
+  }
+  return { uri: file.replace(/\\/g, '/'), uriBaseId: '%SRCROOT%' };
+}
+
+function toResult(error, group, rule, opts, nesting) {
+  const result = {
+    ruleId: rule.id,
+    ruleIndex: rule.index,
+    level: toLevel(error.severity || group.severity),
+    message: { text: error.message || group.representative.message || 'Unknown error' },
+    partialFingerprints: {
+      'errsumSignature/v1': hash(group.signature),
+    },
+  };
+
+  if (error.file && error.file !== 'unknown') {
+    const physicalLocation = { artifactLocation: artifactLocation(error.file, opts.cwd || process.cwd()) };
+    if (error.line) {
+      physicalLocation.region = { startLine: error.line };
+      if (error.column) {
+        physicalLocation.region.startColumn = error.column;
+      }
+    }
+    result.locations = [{ physicalLocation }];
+  }
+  if (nesting.length > 0) {
+    result.properties = { groups: nesting };
+  }
+
+  return result;
+}
+
+/**
+ * Format as SARIF 2.1.0. Rules are always per signature; with --group-by,
+ * results carry the groups they fall in as `properties.groups`. Without
+ * errors there is a single errsum run with no results.
+ */
+function formatSarif(groups, _allErrors, opts = {}) {
+  const runs = new Map();
+  if (groups.length === 0) {
+    runs.set('generic', { rules: [], results: [] });
+  }
+
+  for (const { group, path: nesting } of signatureGroups(groups)) {
+    const type = group.type || 'generic';
+    if (!runs.has(type)) {
+      runs.set(type, { rules: [], ruleIndex: new Map(), results: [] });
+    }
+    const run = runs.get(type);
+
+    const id = ruleId(group);
+    if (!run.ruleIndex.has(id)) {
+      run.ruleIndex.set(id, run.rules.length);
+      run.rules.push({
+        id,
+        shortDescription: { text: group.signature },
+        fullDescription: { text: group.representative.message || group.signature },
+        defaultConfiguration: { level: toLevel(group.severity) },
+        properties: { tags: [type] },
+      });
+    }
+    const rule = { id, index: run.ruleIndex.get(id) };
+
+    for (const error of group.errors) {
+      run.results.push(toResult(error, group, rule, opts, nesting));
+    }
+  }
+
+  const sarif = {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: Array.from(runs, ([type, run]) => ({
+      tool: {
+        driver: {
+          name: TOOL_NAMES[type] || type,
+          informationUri: INFORMATION_URI,
+          rules: run.rules,
+        },
+      },
+      automationDetails: { id: `errsum/${type}/` },
+      results: run.results,
+    })),
+  };
+
+  return JSON.stringify(sarif, null, 2);
+}
+
+module.exports = {
+  formatSarif,
+  toLevel,
+};
@@ -0,0 +1,304 @@
+'use strict';
+
+const {
+  PATTERNS,
+  withCustomPatterns,
+  detectTypes,
+  parseWithTypes,
+  attachBodies,
+  finalizeErrors,
+  runPattern,
+  buildLineIndex,
+  lineOf,
+} = require('./parser.js');
+const { normalizeInput } = require('./normalize.js');
+const { createPrefixSplitter, createLane } = require('./prefixes.js');
+
+/**
+ * Stream module - incremental parsing of output as it arrives
+ */
+
+/**
+ * Create an incremental parser. Feed it chunks with push() and call end()
+ * once the input is complete.
+ *
+ * Only complete lines are parsed, and an error is committed once no later
+ * input can change it: a line that may open a multi-line match (a Rust
+ * headline, a Python `File "..."` frame) holds back everything after it
+ * until the match completes or the block outgrows the pattern's
+ * maxBlockLines. Likewise an error whose body (see attachBodies) reaches the
+ * end of the input so far is held back until its block ends. Patterns that
+ * match a whole block (Jest) cap its length, so that pending input stays
+ * bounded when a block never ends.
+ *
+ * Complete lines are normalized (see normalizeInput) before parsing, so
+ * positions refer to the normalized text. Lines with a monorepo task-runner
+ * prefix are parsed per package, as in parseErrors.
+ *
+ * With 'auto' every type detected so far is parsed, as with 'mixed', since
+ * the rest of the log is not known yet. opts.parsers adds user-defined
+ * patterns, as in parseErrors.
+ *
+ * With opts.onError the parser keeps no errors: each is passed to
+ * onError(error, fallback) once committed, and errors() stays empty. Errors
+ * of patterns with a finalize hook (Jest) are passed on at end(), once
+ * finalized. Generic matches are passed with `fallback` set while the
+ * package (error.package) has no other errors, and only count if it never
+ * has any.
+ */
+function createStreamParser(forcedType = 'auto', opts = {}) {
+  const patterns = withCustomPatterns(opts.parsers);
+  const split = createPrefixSplitter();
+  const lanes = new Map();
+
+  let partial = ''; // Trailing incomplete line
+  let position = 0; // Absolute position of the next line
+
+  /**
+   * Route complete lines (or the final partial line) to their package's
+   * lane; returns the errors the lanes committed
+   */
+  function route(text) {
+    const committed = [];
+    const texts = new Map(); // Lane text of this chunk, parsed in one go
+    let start = 0;
+
+    while (start < text.length) {
+      const newline = text.indexOf('\n', start);
+      const next = newline === -1 ? text.length : newline + 1;
+      const line = text.slice(start, newline === -1 ? text.length : newline);
+
+      const { package: name, offset } = split(line);
+      if (!lanes.has(name)) {
+        const lane = createLane(name);
+        lanes.set(name, { lane, parser: createLaneParser(forcedType, patterns, lane, opts.onError) });
+      }
+      const { lane, parser } = lanes.get(name);
+      const laneText = text.slice(start + offset, next);
+      lane.add(laneText, position, offset);
+      position += next - start;
+      start = next;
+
+      if (!texts.has(parser)) texts.set(parser, []);
+      texts.get(parser).push(laneText);
+    }
+
+    for (const [parser, lines] of texts) {
+      committed.push(...parser.push(lines.join('')));
+    }
+    return committed.sort((a, b) => a.position - b.position);
+  }
+
+  function results() {
+    const errors = [];
+    for (const { parser } of lanes.values()) {
+      errors.push(...parser.errors());
+    }
+    return errors.sort((a, b) => a.position - b.position);
+  }
+
+  return {
+    /**
+     * Add a chunk of input; returns the matches committed by it, before
+     * patterns finalize them (see errors())
+     */
+    push(chunk) {
+      const text = partial + chunk;
+      const lastNewline = text.lastIndexOf('\n');
+      if (lastNewline === -1) {
+        partial = text;
+        return [];
+      }
+
+      partial = text.slice(lastNewline + 1);
+      return route(normalizeInput(text.slice(0, lastNewline + 1)));
+    },
+
+    /**
+     * Finish parsing and return every error
+     */
+    end() {
+      route(normalizeInput(partial));
+      partial = '';
+      for (const { parser } of lanes.values()) {
+        parser.end();
+      }
+      return results();
+    },
+
+    /**
+     * Errors committed so far
+     */
+    errors: results,
+  };
+}
+
+/**
+ * Copy the strings of an error off the chunk they were sliced from: V8
+ * slices share their parent's memory, so an error kept as a group sample
+ * would otherwise keep its whole chunk alive
+ */
+function detach(value) {
+  if (typeof value === 'string') return (' ' + value).slice(1);
+  if (Array.isArray(value)) return value.map(detach);
+  if (value && typeof value === 'object') {
+    for (const key of Object.keys(value)) {
+      value[key] = detach(value[key]);
+    }
+  }
+  return value;
+}
+
+/**
+ * Incremental parser for one package's lane of complete, normalized lines
+ * (see createLane). Committed errors are placed in the original input, and
+ * kept, or passed to `emit` (see createStreamParser).
+ */
+function createLaneParser(forcedType, patterns, lane, emit) {
+  const fixedTypes = forcedType === 'auto' || forcedType === 'mixed'
+    ? null
+    : [patterns[forcedType] ? forcedType : 'generic'];
+  const detected = new Set();
+  const errors = [];
+  const genericErrors = [];
+  const held = []; // Emitted at end, once finalized
+  let matched = false;
+
+  let pending = ''; // Lines that are not committed yet
+  let offset = 0; // Lane position of pending[0]
+
+  function place(error) {
+    error.position = lane.toOriginal(error.position + offset);
+    if (lane.package !== null) {
+      error.package = lane.package;
+    }
+    return error;
+  }
+
+  function activeTypes() {
+    if (fixedTypes) return fixedTypes;
+    return Object.keys(patterns).filter((type) => detected.has(type));
+  }
+
+  /**
+   * Position of the first line that opens a multi-line match which has not
+   * completed yet, or the end of pending input
+   */
+  function findFrontier(types, found) {
+    const lineIndex = buildLineIndex(pending);
+    // pending ends with a newline, so the last index entry is not a line
+    const lineCount = lineIndex.length - 1;
+
+    const covered = new Set();
+    for (const error of found) {
+      const first = lineOf(lineIndex, error.position);
+      const last = lineOf(lineIndex, error.position + Math.max(error.raw.length - 1, 0));
+      for (let line = first; line <= last; line++) {
+        covered.add(line);
+      }
+    }
+
+    const blocks = types
+      .map((type) => patterns[type])
+      .filter((pattern) => pattern.blockStart);
+
+    for (let line = 0; line < lineCount && blocks.length > 0; line++) {
+      if (covered.has(line)) continue;
+
+      const text = pending.slice(lineIndex[line], lineIndex[line + 1] - 1);
+      for (const pattern of blocks) {
+        if (lineCount - line < pattern.maxBlockLines && pattern.blockStart.test(text)) {
+          return lineIndex[line];
+        }
+      }
+    }
+
+    return pending.length;
+  }
+
+  /**
+   * Parse pending input and commit what is safe to commit
+   */
+  function flush(final) {
+    if (!pending) return [];
+
+    if (!fixedTypes) {
+      for (const type of detectTypes(pending, patterns)) {
+        detected.add(type);
+      }
+    }
+
+    const types = activeTypes();
+    const found = parseWithTypes(pending, types, patterns);
+    const open = attachBodies(pending, found, patterns);
+    let frontier = final ? pending.length : findFrontier(types, found);
+    if (!final && open.length > 0) {
+      frontier = Math.min(frontier, open[0].position);
+    }
+
+    const committed = [];
+    for (const error of found) {
+      if (error.position >= frontier) break;
+      committed.push(place(error));
+    }
+    if (!emit) {
+      errors.push(...committed);
+    } else {
+      for (const error of committed) {
+        if (patterns[error.type] && patterns[error.type].finalize) {
+          held.push(detach(error));
+        } else {
+          emit(detach(error), false);
+        }
+      }
+    }
+    matched = matched || committed.length > 0;
+
+    // Generic matches are kept as a fallback for when no tool matches
+    if (types[0] !== 'generic' && !matched) {
+      const fallback = runPattern(PATTERNS.generic, pending);
+      attachBodies(pending, fallback, patterns);
+      for (const error of fallback) {
+        if (error.position >= frontier) break;
+        if (emit) {
+          emit(detach(place(error)), true);
+        } else {
+          genericErrors.push(place(error));
+        }
+      }
+    }
+
+    pending = pending.slice(frontier);
+    offset += frontier;
+    lane.forget(offset);
+    return committed;
+  }
+
+  function results() {
+    return errors.length > 0 ? finalizeErrors(errors, patterns) : genericErrors;
+  }
+
+  return {
+    push(text) {
+      pending += text;
+      return text.endsWith('\n') ? flush(false) : [];
+    },
+
+    end() {
+      flush(true);
+      if (emit) {
+        for (const error of finalizeErrors(held, patterns)) {
+          emit(error, false);
+        }
+        return [];
+      }
+      return results();
+    },
+
+    errors: results,
+  };
+}
+
+module.exports = {
+  createStreamParser,
+};
@@ -0,0 +1,100 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { formatGithub, formatGitlab } = require('../src/annotations.js');
+const { formatOutput } = require('../src/formatter.js');
+const { groupErrors } = require('../src/grouper.js');
+
+const errors = [
+  { file: 'src/a.ts', line: 10, column: 5, code: 'TS2304', message: "Cannot find name 'x'", type: 'typescript' },
+  { file: 'src/b.ts', line: 3, column: 1, code: 'TS2304', message: "Cannot find name 'y'", type: 'typescript' },
+  { file: 'src/b.ts', line: 3, column: 1, code: 'TS2304', message: "Cannot find name 'y'", type: 'typescript' },
+  { file: 'src/c.js', line: 7, column: 2, code: 'no-var', message: 'Unexpected var', severity: 'warning', type: 'eslint' },
+  { message: 'Disk full, 100% used', severity: 'fatal', type: 'generic' },
+];
+
+describe('formatGithub', () => {
+  const lines = formatGithub(groupErrors(errors), errors).split('\n');
+
+  it('should emit one annotation per group', () => {
+    assert.strictEqual(lines.length, 3);
+  });
+
+  it('should place the annotation at the first location', () => {
+    assert.ok(lines[0].startsWith('::error file=src/a.ts,line=10,col=5,title=TS2304 (3×)::'));
+  });
+
+  it('should list other locations once each', () => {
+    assert.ok(lines[0].endsWith("Cannot find name 'x'%0AAlso at:%0A  src/b.ts:3:1"));
+  });
+
+  it('should map severity to the workflow command', () => {
+    assert.ok(lines[1].startsWith('::warning file=src/c.js,line=7,col=2,title=no-var (1×)::'));
+  });
+
+  it('should omit file properties and escape the message', () => {
+    assert.strictEqual(lines[2], '::error title=errsum (1×)::Disk full, 100%25 used');
+  });
+
+  it('should be selectable through formatOutput', () => {
+    const output = formatOutput(groupErrors(errors), errors, { format: 'github' });
+    assert.strictEqual(output.split('\n').length, 3);
+  });
+});
+
+describe('formatGithub with --group-by', () => {
+  it('should title annotations with the groups they are in', () => {
+    const lines = formatGithub(groupErrors(errors, { groupBy: 'file' }), errors).split('\n');
+    assert.strictEqual(lines.length, 4);
+    assert.ok(lines[0].startsWith('::error file=src/b.ts,line=3,col=1,title=src/b.ts%3A TS2304 (2×)::'));
+  });
+
+  it('should leave the code group out of the title', () => {
+    const lines = formatGithub(groupErrors(errors, { groupBy: 'code' }), errors).split('\n');
+    assert.ok(lines[0].includes(',title=TS2304 (3×)::'));
+  });
+});
+
+describe('formatGitlab', () => {
+  const issues = JSON.parse(formatGitlab(groupErrors(errors), errors));
+
+  it('should emit one issue per located error', () => {
+    assert.strictEqual(issues.length, 4);
+  });
+
+  it('should describe the location and check', () => {
+    assert.deepStrictEqual(issues[0].location, { path: 'src/a.ts', lines: { begin: 10 } });
+    assert.strictEqual(issues[0].check_name, 'TS2304');
+    assert.strictEqual(issues[0].description, "Cannot find name 'x'");
+  });
+
+  it('should map severities', () => {
+    assert.strictEqual(issues[0].severity, 'major');
+    assert.strictEqual(issues[3].severity, 'minor');
+  });
+
+  it('should produce unique fingerprints', () => {
+    const fingerprints = new Set(issues.map((i) => i.fingerprint));
+    assert.strictEqual(fingerprints.size, issues.length);
+  });
+
+  it('should report an error in several groups once', () => {
+    const owned = errors.map((e) => ({ ...e, owners: ['@web', '@api'] }));
+    const byOwner = JSON.parse(formatGitlab(groupErrors(owned, { groupBy: 'owner' }), owned));
+    assert.deepStrictEqual(byOwner.map((i) => i.fingerprint), issues.map((i) => i.fingerprint));
+  });
+
+  it('should give an empty report when there are no errors', () => {
+    assert.strictEqual(formatGitlab([], []), '[]');
+  });
+
+  it('should keep fingerprints stable when lines move', () => {
+    const moved = errors.map((e) => ({ ...e, line: e.line && e.line + 5 }));
+    const movedIssues = JSON.parse(formatGitlab(groupErrors(moved), moved));
+    assert.deepStrictEqual(
+      movedIssues.map((i) => i.fingerprint),
+      issues.map((i) => i.fingerprint)
+    );
+  });
+});
@@ -0,0 +1,201 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const api = require('../src/api.js');
+const { summarize, summarizeErrors, createSummaryStream, createCustomPattern } = api;
+
+const tsOutput = `src/a.ts(1,5): error TS2304: Cannot find name 'foo'.
+src/b.ts(2,5): error TS2304: Cannot find name 'foo'.
+src/c.ts(3,5): error TS2339: Property 'bar' does not exist on type 'X'.`;
+
+describe('api', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'errsum-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('summarize', () => {
+    it('should return errors, groups, stats and output', () => {
+      const result = summarize(tsOutput);
+
+      assert.strictEqual(result.errors.length, 3);
+      assert.strictEqual(result.groups.length, 2);
+      assert.strictEqual(result.groups[0].count, 2);
+      assert.strictEqual(result.stats.totalErrors, 3);
+      assert.strictEqual(result.baseline, null);
+      assert.ok(result.output.includes('TS2304'));
+    });
+
+    it('should not color output by default', () => {
+      const { output } = summarize(tsOutput);
+      assert.ok(!/\x1b\[/.test(output));
+    });
+
+    it('should not write to the console or exit', () => {
+      const log = console.log;
+      const error = console.error;
+      const exitCode = process.exitCode;
+      const calls = [];
+      console.log = (...args) => calls.push(args);
+      console.error = (...args) => calls.push(args);
+      try {
+        summarize(tsOutput, { baseline: { groups: [] } });
+        summarize('');
+      } finally {
+        console.log = log;
+        console.error = error;
+      }
+      assert.strictEqual(calls.length, 0);
+      assert.strictEqual(process.exitCode, exitCode);
+    });
+
+    it('should list every group in SARIF whatever top is', () => {
+      const result = summarize(tsOutput, { format: 'sarif', top: 1 });
+      assert.strictEqual(result.groups.length, 2);
+      assert.strictEqual(JSON.parse(result.output).runs[0].results.length, 3);
+    });
+
+    it('should honor format and top', () => {
+      const result = summarize(tsOutput, { format: 'json', top: 1 });
+      const json = JSON.parse(result.output);
+
+      assert.strictEqual(result.groups.length, 1);
+      assert.strictEqual(result.allGroups.length, 2);
+      assert.strictEqual(json.groups.length, 1);
+      assert.strictEqual(json.summary.totalErrors, 3);
+    });
+
+    it('should accept parser definitions', () => {
+      const result = summarize('BUILD-42 build failed in step compile', {
+        type: 'mybuild',
+        parsers: {
+          mybuild: { regex: '^(?<code>BUILD-\\d+) (?<message>.+)$' },
+        },
+      });
+
+      assert.strictEqual(result.errors.length, 1);
+      assert.strictEqual(result.errors[0].code, 'BUILD-42');
+      assert.strictEqual(result.errors[0].type, 'mybuild');
+    });
+
+    it('should accept compiled patterns', () => {
+      const pattern = createCustomPattern('mybuild', { regex: '^(?<code>BUILD-\\d+) (?<message>.+)$' });
+      const result = summarize('BUILD-42 build failed', { type: 'mybuild', parsers: { mybuild: pattern } });
+      assert.strictEqual(result.errors[0].code, 'BUILD-42');
+    });
+
+    it('should compare against baseline data', () => {
+      const previous = summarize(tsOutput.split('\n')[0], { format: 'json' });
+      const result = summarize(tsOutput, { baseline: JSON.parse(previous.output) });
+
+      assert.deepStrictEqual(result.baseline.summary, { new: 1, fixed: 0, unchanged: 1 });
+      assert.strictEqual(result.baseline.regressions, 1);
+    });
+
+    it('should load a baseline file path', () => {
+      const file = path.join(dir, 'baseline.json');
+      fs.writeFileSync(file, summarize(tsOutput, { format: 'json' }).output);
+
+      const result = summarize(tsOutput, { baseline: file });
+      assert.deepStrictEqual(result.baseline.summary, { new: 0, fixed: 0, unchanged: 2 });
+    });
+
+    it('should decode and normalize raw bytes', () => {
+      const log = '\uFEFF' + tsOutput.replace(/error/g, '\x1b[31merror\x1b[0m').replace(/\n/g, '\r\n');
+      const result = summarize(Buffer.from(log, 'utf16le'));
+
+      assert.strictEqual(result.errors.length, 3);
+      assert.strictEqual(result.errors[0].message, "Cannot find name 'foo'.");
+    });
+
+    it('should throw on an invalid baseline file', () => {
+      const file = path.join(dir, 'bad.json');
+      fs.writeFileSync(file, '{');
+      assert.throws(() => summarize(tsOutput, { baseline: file }), /Invalid baseline file/);
+    });
+  });
+
+  describe('policy', () => {
+    it('should fail on errors by default', () => {
+      const { policy } = summarize(tsOutput);
+      assert.deepStrictEqual(policy, { failed: true, exitCode: 1, reasons: ['3 errors found (--fail-on error)'] });
+    });
+
+    it('should apply failOn and maxErrors', () => {
+      assert.strictEqual(summarize(tsOutput, { maxErrors: 3 }).policy.failed, false);
+      assert.strictEqual(summarize(tsOutput, { failOn: 'never' }).policy.failed, false);
+    });
+
+    it('should explain a failure in the output', () => {
+      const { output } = summarize(tsOutput, { maxErrors: 2 });
+      assert.ok(output.endsWith('✗ Failed: 3 errors, more than --max-errors 2'));
+    });
+  });
+
+  describe('owners', () => {
+    it('should attribute errors and filter by owner', () => {
+      const file = path.join(dir, 'CODEOWNERS');
+      fs.writeFileSync(file, '*.ts @core\nsrc/c.ts @types\n');
+      const cwd = dir;
+
+      const result = summarize(tsOutput, { codeowners: file, cwd, stats: true, format: 'json' });
+      assert.deepStrictEqual(result.errors.map((e) => e.owners), [['@core'], ['@core'], ['@types']]);
+      assert.strictEqual(result.stats.byOwner['@core'].errors, 2);
+
+      const filtered = summarize(tsOutput, { codeowners: file, cwd, owner: '@types' });
+      assert.strictEqual(filtered.errors.length, 1);
+      assert.strictEqual(filtered.groups[0].code, 'TS2339');
+    });
+  });
+
+  describe('summarizeErrors', () => {
+    it('should summarize already parsed errors', () => {
+      const result = summarizeErrors([
+        { message: 'Out of memory', type: 'generic' },
+        { message: 'Out of memory', type: 'generic' },
+      ], { format: 'markdown' });
+
+      assert.strictEqual(result.groups.length, 1);
+      assert.strictEqual(result.groups[0].count, 2);
+      assert.ok(result.output.startsWith('#'));
+    });
+  });
+
+  describe('createSummaryStream', () => {
+    it('should summarize chunks like the whole input', () => {
+      const stream = createSummaryStream({ format: 'json', stats: true });
+      const bytes = Buffer.from(tsOutput);
+      // Split inside a line, and as raw bytes
+      stream.push(bytes.subarray(0, 30));
+      stream.push(tsOutput.slice(30, 60));
+      stream.push(bytes.subarray(60));
+      const result = stream.end();
+
+      const expected = summarize(tsOutput, { format: 'json', stats: true });
+      assert.strictEqual(result.output, expected.output);
+      assert.strictEqual(result.tally.totalErrors, 3);
+      assert.strictEqual(result.errors, undefined);
+    });
+  });
+
+  describe('ESM entry point', () => {
+    it('should expose the same API', async () => {
+      const esm = await import('../src/api.mjs');
+
+      assert.strictEqual(esm.summarize, summarize);
+      assert.strictEqual(esm.default, api);
+      for (const name of Object.keys(api)) {
+        assert.ok(name in esm, `missing export ${name}`);
+      }
+    });
+  });
+});
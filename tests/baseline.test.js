@@ -0,0 +1,119 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { loadBaseline, compareBaseline, writeBaseline } = require('../src/baseline.js');
+const { groupErrors } = require('../src/grouper.js');
+const { formatJson } = require('../src/formatter.js');
+
+const previousErrors = [
+  { message: "Cannot find name 'x'", code: 'TS2304', file: 'a.ts' },
+  { message: "Property 'y' does not exist", code: 'TS2339', file: 'a.ts' },
+  { message: "Property 'z' does not exist", code: 'TS2339', file: 'b.ts' },
+];
+
+const currentErrors = [
+  { message: "Cannot find name 'x'", code: 'TS2304', file: 'a.ts' },
+  { message: "Cannot find name 'w'", code: 'TS2304', file: 'c.ts' },
+  { message: "Parameter 'p' implicitly has an 'any' type", code: 'TS7006', file: 'c.ts' },
+];
+
+describe('baseline', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'errsum-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should round-trip through writeBaseline and loadBaseline', () => {
+    const file = path.join(dir, 'baseline.json');
+    writeBaseline(file, groupErrors(previousErrors), previousErrors);
+
+    const baseline = loadBaseline(file);
+    assert.strictEqual(baseline.groups.length, 2);
+    assert.strictEqual(baseline.summary.totalErrors, 3);
+  });
+
+  it('should reject files that are not JSON', () => {
+    const file = path.join(dir, 'broken.json');
+    fs.writeFileSync(file, 'not json');
+    assert.throws(() => loadBaseline(file), /Invalid baseline file/);
+  });
+
+  it('should reject JSON without groups', () => {
+    const file = path.join(dir, 'empty.json');
+    fs.writeFileSync(file, '{"summary": {}}');
+    assert.throws(() => loadBaseline(file), /"groups" array/);
+  });
+
+  it('should reject groups without a signature', () => {
+    const file = path.join(dir, 'nosig.json');
+    fs.writeFileSync(file, '{"groups": [{"count": 1}]}');
+    assert.throws(() => loadBaseline(file), /signature and a count/);
+  });
+});
+
+describe('compareBaseline', () => {
+  const file = path.join(os.tmpdir(), `errsum-compare-${process.pid}.json`);
+
+  before(() => {
+    writeBaseline(file, groupErrors(previousErrors), previousErrors);
+  });
+
+  after(() => {
+    fs.rmSync(file, { force: true });
+  });
+
+  it('should tag new and unchanged groups with count deltas', () => {
+    const groups = groupErrors(currentErrors);
+    compareBaseline(groups, loadBaseline(file));
+
+    const tsx = groups.find((g) => g.code === 'TS2304');
+    assert.deepStrictEqual(tsx.baseline, { status: 'unchanged', previousCount: 1, delta: 1 });
+
+    const added = groups.find((g) => g.code === 'TS7006');
+    assert.deepStrictEqual(added.baseline, { status: 'new', previousCount: 0, delta: 1 });
+  });
+
+  it('should list groups that disappeared as fixed', () => {
+    const result = compareBaseline(groupErrors(currentErrors), loadBaseline(file));
+    assert.strictEqual(result.fixed.length, 1);
+    assert.strictEqual(result.fixed[0].code, 'TS2339');
+    assert.deepStrictEqual(result.fixed[0].baseline, { status: 'fixed', previousCount: 2, delta: -2 });
+  });
+
+  it('should count regressions as new groups only', () => {
+    const result = compareBaseline(groupErrors(currentErrors), loadBaseline(file));
+    assert.deepStrictEqual(result.summary, { new: 1, fixed: 1, unchanged: 1 });
+    assert.strictEqual(result.regressions, 1);
+
+    const clean = compareBaseline(groupErrors(previousErrors), loadBaseline(file));
+    assert.strictEqual(clean.regressions, 0);
+  });
+
+  it('should compare against every pattern of plain JSON output', () => {
+    const errors = Array.from({ length: 12 }, (_, i) => ({ message: `Problem number ${'x'.repeat(i)}`, code: `E${i}` }));
+    const output = JSON.parse(formatJson(groupErrors(errors, { top: 10 }), errors, {}));
+    assert.strictEqual(output.groups.length, 10);
+
+    const result = compareBaseline(groupErrors(errors), output);
+    assert.deepStrictEqual(result.summary, { new: 0, fixed: 0, unchanged: 12 });
+  });
+
+  it('should reject a baseline that lists only its top groups', () => {
+    const errors = Array.from({ length: 12 }, (_, i) => ({ message: `Problem number ${'x'.repeat(i)}`, code: `E${i}`, file: `f${i}.ts` }));
+    const output = JSON.parse(formatJson(groupErrors(errors, { top: 10 }), errors, {}));
+    delete output.patterns;
+    assert.throws(() => compareBaseline(groupErrors(errors), output), /Baseline lists 10 of its 12 errors/);
+
+    const byFile = JSON.parse(formatJson(groupErrors(errors, { groupBy: 'file', top: 10 }), errors, {}));
+    assert.throws(() => compareBaseline(groupErrors(errors, { groupBy: 'file' }), byFile), /Baseline lists 10 of its 12 errors/);
+  });
+});
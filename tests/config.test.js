@@ -0,0 +1,212 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const {
+  findConfigFile,
+  validateConfig,
+  resolveOptions,
+  formatConfig,
+  loadConfig,
+} = require('../src/config.js');
+
+const acme = {
+  regex: '^ACME (?<severity>ERROR|WARN) (?<code>AC\\d+) (?<path>[^:]+):(?<line>\\d+) (?<message>.+)$',
+  detect: '^ACME (ERROR|WARN)',
+  fields: { file: 'path' },
+};
+
+describe('findConfigFile', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'errsum-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should return null without a config file', () => {
+    assert.strictEqual(findConfigFile(dir, dir), null);
+  });
+
+  it('should walk up from nested directories', () => {
+    const nested = path.join(dir, 'pkg', 'src');
+    fs.mkdirSync(nested, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'pkg', 'package.json'), '{"name": "pkg"}');
+    assert.strictEqual(findConfigFile(nested, dir), null);
+
+    fs.writeFileSync(path.join(dir, 'pkg', 'package.json'), '{"name": "pkg", "errsum": {"top": 3}}');
+    assert.strictEqual(findConfigFile(nested, dir), path.join(dir, 'pkg', 'package.json'));
+  });
+
+  it('should find .errsumrc.json', () => {
+    fs.writeFileSync(path.join(dir, '.errsumrc.json'), '{}');
+    assert.strictEqual(findConfigFile(dir), path.join(dir, '.errsumrc.json'));
+  });
+
+  it('should prefer .errsumrc', () => {
+    fs.writeFileSync(path.join(dir, '.errsumrc'), '{}');
+    assert.strictEqual(findConfigFile(dir), path.join(dir, '.errsumrc'));
+  });
+});
+
+describe('validateConfig', () => {
+  it('should compile custom parsers', () => {
+    const { parsers } = validateConfig({ parsers: { acme } });
+    assert.ok(parsers.acme.regex instanceof RegExp);
+    assert.strictEqual(typeof parsers.acme.detect, 'function');
+  });
+
+  it('should accept an empty config', () => {
+    assert.deepStrictEqual(validateConfig({}), { options: {}, formats: {}, parsers: {} });
+  });
+
+  it('should collect option defaults and per-format settings', () => {
+    const config = validateConfig({ top: 5, fuzzy: 0.7, groupBy: 'file,code', formats: { markdown: { stats: true } } });
+    assert.deepStrictEqual(config.options, { top: 5, fuzzy: 0.7, groupBy: 'file,code' });
+    assert.deepStrictEqual(config.formats, { markdown: { stats: true } });
+  });
+
+  it('should reject unknown options', () => {
+    assert.throws(() => validateConfig({ colour: false }), /unknown option "colour"/);
+    assert.throws(() => validateConfig({ formats: { json: { colour: false } } }), /unknown option "colour" in "formats.json"/);
+  });
+
+  it('should reject values of the wrong kind', () => {
+    assert.throws(() => validateConfig({ top: -1 }), /"top" must be a non-negative integer/);
+    assert.throws(() => validateConfig({ fuzzy: 2 }), /"fuzzy" must be true, false or a number between 0 and 1/);
+    assert.throws(() => validateConfig({ stats: 'yes' }), /"stats" must be true or false/);
+    assert.throws(() => validateConfig({ format: '' }), /"format" must be a non-empty string/);
+    assert.throws(() => validateConfig({ baseline: 3 }), /"baseline" must be a non-empty path/);
+    assert.throws(() => validateConfig({ failOn: 'info' }), /"failOn" must be one of error, warning, never/);
+    assert.throws(() => validateConfig({ maxErrors: 1.5 }), /"maxErrors" must be a non-negative integer/);
+    assert.throws(() => validateConfig({ groupBy: 'team' }), /"groupBy" must be one or two of signature, code/);
+  });
+
+  it('should not allow format inside per-format settings', () => {
+    assert.throws(() => validateConfig({ formats: { json: { format: 'text' } } }), /"format" cannot be set/);
+  });
+
+  it('should reject non-object configs', () => {
+    assert.throws(() => validateConfig([]), /must be a JSON object/);
+  });
+
+  it('should reject a non-object parsers entry', () => {
+    assert.throws(() => validateConfig({ parsers: ['acme'] }), /"parsers" must be an object/);
+  });
+});
+
+describe('resolveOptions', () => {
+  const config = {
+    file: path.join(process.cwd(), '.errsumrc'),
+    ...validateConfig({ top: 5, locations: true, baseline: 'base.json', formats: { markdown: { top: 0, stats: true } } }),
+  };
+
+  it('should use defaults without config or flags', () => {
+    const { options, sources } = resolveOptions({}, {});
+    assert.strictEqual(options.top, 10);
+    assert.strictEqual(options.format, 'text');
+    assert.strictEqual(sources.top, 'default');
+  });
+
+  it('should apply config values over defaults', () => {
+    const { options, sources } = resolveOptions({}, config);
+    assert.strictEqual(options.top, 5);
+    assert.strictEqual(options.locations, true);
+    assert.strictEqual(sources.top, '.errsumrc');
+  });
+
+  it('should map baseline to baselineFile', () => {
+    const { options } = resolveOptions({}, config);
+    assert.strictEqual(options.baselineFile, path.join(process.cwd(), 'base.json'));
+  });
+
+  it('should resolve config paths against the config file, from a subdirectory', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'errsum-'));
+    try {
+      const nested = path.join(dir, 'packages', 'web');
+      fs.mkdirSync(nested, { recursive: true });
+      fs.writeFileSync(path.join(dir, '.errsumrc'), JSON.stringify({
+        baseline: 'errsum-baseline.json',
+        codeowners: '.github/CODEOWNERS',
+        formats: { json: { historyFile: 'ci/history.jsonl' } },
+      }));
+      const found = loadConfig(findConfigFile(nested, dir));
+      const { options } = resolveOptions({ format: 'json', codeowners: 'OWNERS' }, found);
+      assert.strictEqual(options.baselineFile, path.join(dir, 'errsum-baseline.json'));
+      assert.strictEqual(options.historyFile, path.join(dir, 'ci', 'history.jsonl'));
+      assert.strictEqual(options.codeowners, 'OWNERS');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should apply per-format settings for the chosen format', () => {
+    const { options, sources } = resolveOptions({ format: 'md' }, config);
+    assert.strictEqual(options.top, 0);
+    assert.strictEqual(options.stats, true);
+    assert.strictEqual(sources.stats, '.errsumrc (formats.markdown)');
+  });
+
+  it('should let command line flags override everything', () => {
+    const { options, sources } = resolveOptions({ format: 'markdown', top: 2, locations: undefined }, config);
+    assert.strictEqual(options.top, 2);
+    assert.strictEqual(options.locations, true);
+    assert.strictEqual(sources.top, 'command line');
+  });
+});
+
+describe('formatConfig', () => {
+  it('should list each value with its source', () => {
+    const config = { file: path.join(process.cwd(), '.errsumrc'), ...validateConfig({ top: 5 }) };
+    const output = formatConfig(resolveOptions({ stats: true }, config), config);
+    assert.ok(output.includes('Config file: .errsumrc'));
+    assert.match(output, /top\s+5\s+\(\.errsumrc\)/);
+    assert.match(output, /stats\s+true\s+\(command line\)/);
+    assert.match(output, /format\s+"text"\s+\(default\)/);
+  });
+});
+
+describe('loadConfig', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'errsum-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should load parsers from a file', () => {
+    const file = path.join(dir, 'good.json');
+    fs.writeFileSync(file, JSON.stringify({ parsers: { acme } }));
+    const config = loadConfig(file);
+    assert.strictEqual(config.file, file);
+    assert.ok(config.parsers.acme);
+  });
+
+  it('should read the errsum key from package.json', () => {
+    const sub = path.join(dir, 'pkg');
+    fs.mkdirSync(sub);
+    fs.writeFileSync(path.join(sub, 'package.json'), JSON.stringify({ name: 'x', errsum: { top: 3 } }));
+    assert.deepStrictEqual(loadConfig(path.join(sub, 'package.json')).options, { top: 3 });
+  });
+
+  it('should name the file in JSON errors', () => {
+    const file = path.join(dir, 'broken.json');
+    fs.writeFileSync(file, '{ nope');
+    assert.throws(() => loadConfig(file), new RegExp(`Invalid config file ${file.replace(/\\/g, '\\\\')}`));
+  });
+
+  it('should name the file and parser in validation errors', () => {
+    const file = path.join(dir, 'invalid.json');
+    fs.writeFileSync(file, JSON.stringify({ parsers: { acme: { regex: '(?<msg>.+)' } } }));
+    assert.throws(() => loadConfig(file), /invalid\.json: Invalid parser "acme": regex needs a "message"/);
+  });
+});
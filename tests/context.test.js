@@ -0,0 +1,128 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const {
+  getLogContext,
+  getCodeFrame,
+  addContext,
+  renderLogContext,
+  renderCodeFrame,
+} = require('../src/context.js');
+const { parseErrors } = require('../src/parser.js');
+const { groupErrors } = require('../src/grouper.js');
+
+const log = `line one
+line two
+src/app.ts(2,7): error TS2304: Cannot find name 'x'.
+line four
+line five`;
+
+describe('getLogContext', () => {
+  it('should return N lines around the error', () => {
+    const [error] = parseErrors(log, 'typescript');
+    const context = getLogContext(log, error, 1);
+    assert.strictEqual(context.startLine, 2);
+    assert.strictEqual(context.errorLine, 3);
+    assert.deepStrictEqual(context.lines, [
+      'line two',
+      "src/app.ts(2,7): error TS2304: Cannot find name 'x'.",
+      'line four',
+    ]);
+  });
+
+  it('should clamp to the start and end of the log', () => {
+    const [error] = parseErrors(log, 'typescript');
+    const context = getLogContext(log, error, 10);
+    assert.strictEqual(context.startLine, 1);
+    assert.strictEqual(context.lines.length, 5);
+  });
+
+  it('should not add an empty line after a trailing newline', () => {
+    const [error] = parseErrors(`${log}\n`, 'typescript');
+    const context = getLogContext(`${log}\n`, error, 10);
+    assert.deepStrictEqual(context.lines.slice(-1), ['line five']);
+    assert.strictEqual(context.lines.length, 5);
+  });
+
+  it('should cover every line of a multi-line match', () => {
+    const input = 'before\nerror[E0425]: cannot find value `x`\n --> src/main.rs:5:13\nafter';
+    const [error] = parseErrors(input, 'rust');
+    const context = getLogContext(input, error, 1);
+    assert.strictEqual(context.errorEndLine, 3);
+    assert.deepStrictEqual(context.lines[context.lines.length - 1], 'after');
+  });
+
+  it('should return null without a position', () => {
+    assert.strictEqual(getLogContext(log, { message: 'x' }, 2), null);
+  });
+});
+
+describe('getCodeFrame', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'errsum-'));
+    fs.mkdirSync(path.join(dir, 'src'));
+    fs.writeFileSync(path.join(dir, 'src/app.ts'), 'const a = 1;\nconst b = x;\nexport { a, b };\n');
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should read lines around the error from disk', () => {
+    const frame = getCodeFrame({ file: 'src/app.ts', line: 2, column: 11 }, 1, { cwd: dir });
+    assert.strictEqual(frame.startLine, 1);
+    assert.deepStrictEqual(frame.lines, ['const a = 1;', 'const b = x;', 'export { a, b };']);
+  });
+
+  it('should end at the last line of a file with a trailing newline', () => {
+    const frame = getCodeFrame({ file: 'src/app.ts', line: 3 }, 2, { cwd: dir });
+    assert.deepStrictEqual(frame.lines, ['const a = 1;', 'const b = x;', 'export { a, b };']);
+    assert.strictEqual(getCodeFrame({ file: 'src/app.ts', line: 4 }, 1, { cwd: dir }), null);
+  });
+
+  it('should return null when the file does not exist', () => {
+    assert.strictEqual(getCodeFrame({ file: 'src/missing.ts', line: 1 }, 1, { cwd: dir }), null);
+  });
+
+  it('should attach context and frames to representatives', () => {
+    const errors = parseErrors(log, 'typescript');
+    const groups = addContext(groupErrors(errors), log, 1, { cwd: dir });
+    assert.ok(groups[0].representative.context);
+    assert.strictEqual(groups[0].representative.codeFrame.line, 2);
+  });
+
+  it('should do nothing when size is 0', () => {
+    const errors = parseErrors(log, 'typescript');
+    const groups = addContext(groupErrors(errors), log, 0, { cwd: dir });
+    assert.strictEqual(groups[0].representative.context, undefined);
+  });
+});
+
+describe('renderLogContext', () => {
+  it('should mark the error line', () => {
+    const lines = renderLogContext({ startLine: 9, errorLine: 10, errorEndLine: 10, lines: ['a', 'b', 'c'] });
+    assert.deepStrictEqual(lines, ['   9 | a', '> 10 | b', '  11 | c']);
+  });
+});
+
+describe('renderCodeFrame', () => {
+  it('should put a caret under the column', () => {
+    const lines = renderCodeFrame({ file: 'a.ts', line: 2, column: 11, startLine: 1, lines: ['const a = 1;', 'const b = x;'] });
+    assert.deepStrictEqual(lines, [
+      '  1 | const a = 1;',
+      '> 2 | const b = x;',
+      '    |           ^',
+    ]);
+  });
+
+  it('should keep tabs when aligning the caret', () => {
+    const lines = renderCodeFrame({ file: 'a.go', line: 1, column: 3, startLine: 1, lines: ['\tx := y'] });
+    assert.strictEqual(lines[1], '    | \t ^');
+  });
+});
@@ -87,6 +87,12 @@ describe('formatText', () => {
     assert.ok(output.includes('Unique patterns:'));
   });
 
+  it('should note merged patterns', () => {
+    const groups = [{ ...sampleGroups[0], mergedSignatures: ['a', 'b'] }];
+    const output = formatText(groups, sampleErrors, { noColor: true });
+    assert.ok(output.includes('Merged: 2 similar patterns'));
+  });
+
   it('should be minimal in quiet mode', () => {
     const output = formatText(sampleGroups, sampleErrors, { noColor: true, quiet: true });
     assert.ok(!output.includes('═'));
@@ -122,6 +128,27 @@ describe('formatJson', () => {
     assert.ok(Array.isArray(parsed.groups[0].locations));
   });
 
+  it('should list every error by signature as patterns, whatever top is', () => {
+    const errors = [
+      { file: 'a.ts', line: 10, message: "Cannot find name 'foo'", code: 'TS2304', severity: 'error', owners: ['@web'] },
+      { file: 'b.ts', line: 15, message: "Cannot find name 'bar'", code: 'TS2304', severity: 'warning', owners: [] },
+      { file: 'c.ts', line: 1, message: 'Unexpected any', code: 'TS7006' },
+    ];
+    const parsed = JSON.parse(formatJson(sampleGroups.slice(0, 1), errors, {}));
+    assert.deepStrictEqual(parsed.patterns.map((p) => [p.code, p.count, p.severities]), [['TS2304', 2, { error: 1, warning: 1 }], ['TS7006', 1, { error: 1 }]]);
+    assert.deepStrictEqual(parsed.patterns[0].occurrences, [
+      { file: 'a.ts', line: 10, message: "Cannot find name 'foo'", code: 'TS2304', severity: 'error', owners: ['@web'] },
+      { file: 'b.ts', line: 15, message: "Cannot find name 'bar'", code: 'TS2304', severity: 'warning' },
+    ]);
+    assert.strictEqual(JSON.parse(formatJson(sampleGroups, errors, { patterns: false })).patterns, undefined);
+  });
+
+  it('should include merged signatures from fuzzy grouping', () => {
+    const groups = [{ ...sampleGroups[0], mergedSignatures: ["[TS2304] Cannot find type '<name>'"] }];
+    const parsed = JSON.parse(formatJson(groups, sampleErrors, {}));
+    assert.deepStrictEqual(parsed.groups[0].mergedSignatures, ["[TS2304] Cannot find type '<name>'"]);
+  });
+
   it('should include stats when requested', () => {
     const output = formatJson(sampleGroups, sampleErrors, { stats: true });
     const parsed = JSON.parse(output);
@@ -169,3 +196,275 @@ describe('formatMarkdown', () => {
     assert.ok(output.includes('| Metric | Value |'));
   });
 });
+
+describe('context', () => {
+  const contextGroups = [{
+    ...sampleGroups[0],
+    representative: {
+      message: "Cannot find name 'foo'",
+      context: { startLine: 4, errorLine: 5, errorEndLine: 5, lines: ['before', "a.ts(10,5): error TS2304: Cannot find name 'foo'."] },
+      codeFrame: { file: 'a.ts', line: 10, column: 5, startLine: 10, lines: ['let y = foo;'] },
+    },
+  }];
+
+  it('should render context and code frame in text', () => {
+    const output = formatText(contextGroups, sampleErrors, { noColor: true });
+    assert.ok(output.includes('Context:'));
+    assert.ok(output.includes('> 5 | a.ts(10,5)'));
+    assert.ok(output.includes('Source (a.ts:10:5):'));
+    assert.ok(output.includes('    |     ^'));
+  });
+
+  it('should render context and code frame in markdown', () => {
+    const output = formatMarkdown(contextGroups, sampleErrors, {});
+    assert.ok(output.includes('**Context:**'));
+    assert.ok(output.includes('**Source** (`a.ts:10:5`):'));
+  });
+
+  it('should include context and code frame in JSON', () => {
+    const parsed = JSON.parse(formatJson(contextGroups, sampleErrors, {}));
+    assert.strictEqual(parsed.groups[0].context.errorLine, 5);
+    assert.strictEqual(parsed.groups[0].codeFrame.column, 5);
+  });
+});
+
+describe('test failures', () => {
+  const testGroups = [{
+    ...sampleGroups[0],
+    errors: [{ file: 'a.test.ts', line: 4, column: 17, test: 'math › adds' }],
+  }];
+
+  it('should name the failing test in locations', () => {
+    const text = formatText(testGroups, sampleErrors, { noColor: true, locations: true });
+    assert.ok(text.includes('→ a.test.ts:4:17 (math › adds)'));
+
+    const parsed = JSON.parse(formatJson(testGroups, sampleErrors, { locations: true }));
+    assert.strictEqual(parsed.groups[0].locations[0].test, 'math › adds');
+  });
+});
+
+describe('monorepo packages', () => {
+  const packageGroups = [{
+    ...sampleGroups[0],
+    packages: new Set(['@acme/web']),
+    errors: [{ file: 'src/a.ts', line: 3, column: 4, package: '@acme/web' }],
+  }];
+  const packageErrors = [{ file: 'src/a.ts', package: '@acme/web' }];
+
+  it('should list packages in text', () => {
+    const text = formatText(packageGroups, packageErrors, { noColor: true, locations: true, stats: true });
+    assert.ok(text.includes('    Packages: @acme/web'));
+    assert.ok(text.includes('→ src/a.ts:3:4 [@acme/web]'));
+    assert.ok(text.includes('  By package:\n    @acme/web: 1 (1 patterns, 1 files)'));
+  });
+
+  it('should include packages in JSON and Markdown', () => {
+    const parsed = JSON.parse(formatJson(packageGroups, packageErrors, { locations: true }));
+    assert.deepStrictEqual(parsed.groups[0].packages, ['@acme/web']);
+    assert.strictEqual(parsed.groups[0].locations[0].package, '@acme/web');
+
+    const markdown = formatMarkdown(packageGroups, packageErrors, { stats: true });
+    assert.ok(markdown.includes('**Packages:** `@acme/web`'));
+    assert.ok(markdown.includes('| @acme/web | 1 | 1 | 1 |'));
+  });
+
+  it('should leave packages out of JSON without any', () => {
+    const parsed = JSON.parse(formatJson(sampleGroups, [], {}));
+    assert.strictEqual(parsed.groups[0].packages, undefined);
+  });
+});
+
+describe('owners', () => {
+  const ownedGroups = [{ ...sampleGroups[0], owners: new Set(['@acme/web']) }];
+  const ownedErrors = [{ file: 'src/a.ts', owners: ['@acme/web'] }];
+
+  it('should list owners in text, JSON and Markdown', () => {
+    const text = formatText(ownedGroups, ownedErrors, { noColor: true, stats: true });
+    assert.ok(text.includes('    Owners: @acme/web'));
+    assert.ok(text.includes('  By owner:\n    @acme/web: 1 (1 patterns, 1 files)'));
+
+    const parsed = JSON.parse(formatJson(ownedGroups, ownedErrors, {}));
+    assert.deepStrictEqual(parsed.groups[0].owners, ['@acme/web']);
+
+    const markdown = formatMarkdown(ownedGroups, ownedErrors, { stats: true });
+    assert.ok(markdown.includes('**Owners:** `@acme/web`'));
+    assert.ok(markdown.includes('| @acme/web | 1 | 1 | 1 |'));
+  });
+});
+
+describe('group-by', () => {
+  const { groupErrors } = require('../src/grouper.js');
+  const errors = [
+    { message: "Cannot find name 'x'", file: 'src/a.ts', line: 1, code: 'TS2304', type: 'typescript' },
+    { message: "Cannot find name 'y'", file: 'src/a.ts', line: 2, code: 'TS2304', type: 'typescript' },
+    { message: "Type 'A' is not assignable", file: 'src/a.ts', line: 3, code: 'TS2322', type: 'typescript' },
+    { message: "Cannot find name 'z'", file: 'src/b.ts', line: 4, code: 'TS2304', type: 'typescript' },
+  ];
+  const groups = groupErrors(errors, { groupBy: 'file,code' });
+
+  it('should render nested groups in text', () => {
+    const text = formatText(groups, errors, { noColor: true, top: 1 });
+    assert.ok(text.includes('4 errors in 2 groups'));
+    assert.ok(text.includes('[1] 3× src/a.ts\n    2× TS2304\n    ... and 1 more'));
+  });
+
+  it('should render nested groups in Markdown', () => {
+    const markdown = formatMarkdown(groups, errors, {});
+    assert.ok(markdown.includes('### 1. `src/a.ts` (3×)\n\n- 2× `TS2304`\n- 1× `TS2322`'));
+    assert.ok(!markdown.includes('> Cannot find name'));
+  });
+
+  it('should include keys and nested groups in JSON', () => {
+    const parsed = JSON.parse(formatJson(groups, errors, {}));
+    assert.strictEqual(parsed.groups[0].groupBy, 'file');
+    assert.strictEqual(parsed.groups[0].key, 'src/a.ts');
+    assert.deepStrictEqual(parsed.groups[0].groups.map((g) => [g.key, g.count]), [['TS2304', 2], ['TS2322', 1]]);
+  });
+});
+
+describe('error bodies', () => {
+  const bodyGroups = [{
+    ...sampleGroups[0],
+    representative: {
+      message: "Cannot find name 'foo'",
+      body: ['    Expected: 1', '      Received: 2'],
+    },
+  }];
+
+  it('should show the body in verbose text only', () => {
+    const verbose = formatText(bodyGroups, sampleErrors, { noColor: true, verbose: true });
+    assert.ok(verbose.includes('    Details:\n      Expected: 1\n        Received: 2'));
+
+    const plain = formatText(bodyGroups, sampleErrors, { noColor: true });
+    assert.ok(!plain.includes('Details:'));
+  });
+
+  it('should include the body in JSON', () => {
+    const parsed = JSON.parse(formatJson(bodyGroups, sampleErrors, {}));
+    assert.deepStrictEqual(parsed.groups[0].body, ['    Expected: 1', '      Received: 2']);
+  });
+
+  it('should include traceback frames and chains in JSON', () => {
+    const groups = [{
+      ...sampleGroups[0],
+      representative: {
+        message: 'bad',
+        frames: [{ file: 'app.py', line: 3, function: 'main' }],
+        chain: [{ code: 'KeyError', message: "'x'", relation: 'context' }],
+      },
+    }];
+    const parsed = JSON.parse(formatJson(groups, sampleErrors, {}));
+    assert.strictEqual(parsed.groups[0].frames[0].function, 'main');
+    assert.strictEqual(parsed.groups[0].chain[0].relation, 'context');
+  });
+});
+
+describe('policy', () => {
+  const policy = { failed: true, exitCode: 1, reasons: ['5 errors, more than --max-errors 2'] };
+
+  it('should explain a failing run', () => {
+    assert.ok(formatText(sampleGroups, [], { noColor: true, policy }).endsWith('\n✗ Failed: 5 errors, more than --max-errors 2'));
+    assert.ok(formatMarkdown(sampleGroups, [], { policy }).endsWith('## Result\n\n**Failed:**\n- 5 errors, more than --max-errors 2'));
+    assert.deepStrictEqual(JSON.parse(formatJson(sampleGroups, [], { policy })).policy, policy);
+  });
+
+  it('should say nothing about a passing run', () => {
+    const passed = { failed: false, exitCode: 0, reasons: [] };
+    assert.ok(!formatText(sampleGroups, [], { noColor: true, policy: passed }).includes('Failed'));
+    assert.ok(!formatMarkdown(sampleGroups, [], { policy: passed }).includes('## Result'));
+  });
+});
+
+describe('commands', () => {
+  const commands = [
+    { command: 'tsc --noEmit', status: 2, signal: null, duration: 3200 },
+    { command: 'eslint .', status: 0, signal: null, duration: 850 },
+  ];
+  const tagged = [
+    { file: 'a.ts', line: 1, command: 'tsc --noEmit' },
+    { file: 'b.ts', line: 2, command: 'tsc --noEmit' },
+  ];
+
+  it('should list how each command ended in text', () => {
+    const text = formatText(sampleGroups, tagged, { noColor: true, commands });
+    assert.ok(text.includes('Commands:\n  ✗ tsc --noEmit  2 errors   exit 2, 3.2s\n  ✓ eslint .      0 errors   exit 0, 850ms'));
+    assert.ok(!formatText(sampleGroups, tagged, { noColor: true, quiet: true, commands }).includes('Commands:'));
+  });
+
+  it('should list commands in Markdown', () => {
+    const md = formatMarkdown(sampleGroups, tagged, { commands });
+    assert.ok(md.includes('## Commands'));
+    assert.ok(md.includes('| ✗ `tsc --noEmit` | 2 | exit 2 | 3.2s |'));
+  });
+
+  it('should include commands and tag locations in JSON', () => {
+    const groups = [{ ...sampleGroups[0], errors: tagged }];
+    const parsed = JSON.parse(formatJson(groups, tagged, { commands, locations: true }));
+    assert.deepStrictEqual(parsed.commands[0], {
+      command: 'tsc --noEmit', status: 2, signal: null, exitCode: 2, duration: 3200, errors: 2,
+    });
+    assert.strictEqual(parsed.commands[1].errors, 0);
+    assert.strictEqual(parsed.groups[0].locations[0].command, 'tsc --noEmit');
+    assert.strictEqual(JSON.parse(formatJson(sampleGroups, [], {})).commands, undefined);
+  });
+});
+
+describe('sources', () => {
+  const tagged = [{ file: 'a.ts', line: 1, source: 'logs/shard-3.log' }];
+  const groups = [{ ...sampleGroups[0], count: 1, files: new Set(['a.ts']), errors: tagged }];
+
+  it('should show the input of each location', () => {
+    assert.ok(formatText(groups, tagged, { noColor: true, locations: true }).includes('→ a.ts:1 in logs/shard-3.log'));
+    assert.ok(formatMarkdown(groups, tagged, { locations: true }).includes('- `a.ts:1` in `logs/shard-3.log`'));
+    assert.strictEqual(JSON.parse(formatJson(groups, tagged, { locations: true })).groups[0].locations[0].source, 'logs/shard-3.log');
+  });
+});
+
+describe('baseline', () => {
+  const baselineGroups = [
+    { ...sampleGroups[0], baseline: { status: 'unchanged', previousCount: 3, delta: 2 } },
+    { ...sampleGroups[1], baseline: { status: 'new', previousCount: 0, delta: 3 } },
+  ];
+  const baseline = {
+    summary: { new: 1, fixed: 1, unchanged: 1 },
+    fixed: [{
+      signature: 'Unused variable',
+      code: 'TS6133',
+      type: 'typescript',
+      representative: { message: "'q' is declared but never used" },
+      files: new Set(),
+      errors: [],
+      baseline: { status: 'fixed', previousCount: 4, delta: -4 },
+    }],
+    regressions: 1,
+  };
+
+  it('should tag groups and list fixed patterns in text', () => {
+    const output = formatText(baselineGroups, sampleErrors, { noColor: true, baseline });
+    assert.ok(output.includes('Baseline: 1 new, 1 fixed, 1 unchanged'));
+    assert.ok(output.includes('5× (+2)'));
+    assert.ok(output.includes('3× [NEW]'));
+    assert.ok(output.includes('Fixed since baseline:'));
+    assert.ok(output.includes("4× 'q' is declared"));
+  });
+
+  it('should tag groups and list fixed patterns in markdown', () => {
+    const output = formatMarkdown(baselineGroups, sampleErrors, { baseline });
+    assert.ok(output.includes('(5×) — +2'));
+    assert.ok(output.includes('(3×) — new'));
+    assert.ok(output.includes('## Fixed Since Baseline'));
+  });
+
+  it('should include statuses and fixed groups in JSON', () => {
+    const parsed = JSON.parse(formatJson(baselineGroups, sampleErrors, { baseline }));
+    assert.strictEqual(parsed.groups[1].baseline.status, 'new');
+    assert.strictEqual(parsed.baseline.new, 1);
+    assert.strictEqual(parsed.baseline.fixedGroups[0].previousCount, 4);
+  });
+
+  it('should leave baseline fields out without a comparison', () => {
+    const parsed = JSON.parse(formatJson(baselineGroups, sampleErrors, {}));
+    assert.strictEqual(parsed.groups[0].baseline, undefined);
+    assert.strictEqual(parsed.baseline, undefined);
+  });
+});
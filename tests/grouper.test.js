@@ -2,7 +2,18 @@
 
 const { describe, it } = require('node:test');
 const assert = require('node:assert');
-const { groupErrors, similarity, mergeSimilarGroups, getStats } = require('../src/grouper.js');
+const {
+  groupErrors,
+  createGrouper,
+  combineGroups,
+  tallyErrors,
+  parseGroupBy,
+  groupLabel,
+  signatureGroups,
+  similarity,
+  mergeSimilarGroups,
+  getStats,
+} = require('../src/grouper.js');
 
 describe('groupErrors', () => {
   it('should group identical errors together', () => {
@@ -30,6 +41,17 @@ describe('groupErrors', () => {
     assert.strictEqual(groups[0].count, 2);
   });
 
+  it('should track the packages of a group', () => {
+    const errors = [
+      { message: "Cannot find name 'x'", code: 'TS2304', package: 'web' },
+      { message: "Cannot find name 'x'", code: 'TS2304', package: 'api' },
+      { message: "Cannot find name 'x'", code: 'TS2304' },
+    ];
+
+    const [group] = groupErrors(errors);
+    assert.deepStrictEqual(Array.from(group.packages), ['web', 'api']);
+  });
+
   it('should separate different error types', () => {
     const errors = [
       { message: "Cannot find name 'x'", code: 'TS2304' },
@@ -54,6 +76,19 @@ describe('groupErrors', () => {
     assert.strictEqual(groups[1].count, 2); // Error A
   });
 
+  it('should merge near-identical signatures when fuzzy is set', () => {
+    const errors = [
+      { message: 'Failed to connect to database server primary' },
+      { message: 'Failed to connect to database server replica' },
+      { message: 'Disk full' },
+    ];
+
+    assert.strictEqual(groupErrors(errors).length, 3);
+    const groups = groupErrors(errors, { fuzzy: 0.8 });
+    assert.strictEqual(groups.length, 2);
+    assert.strictEqual(groups[0].count, 2);
+  });
+
   it('should limit to top N groups', () => {
     const errors = Array.from({ length: 100 }, (_, i) => ({
       message: `Error ${i % 20}`,
@@ -64,6 +99,144 @@ describe('groupErrors', () => {
   });
 });
 
+describe('group-by', () => {
+  const errors = [
+    { message: "Cannot find name 'x'", file: 'src/a.ts', code: 'TS2304', type: 'typescript' },
+    { message: "Type 'A' is not assignable", file: 'src/a.ts', code: 'TS2322', type: 'typescript' },
+    { message: "Cannot find name 'y'", file: 'src/lib/b.ts', code: 'TS2304', type: 'typescript' },
+    { message: "Cannot find name 'z'", file: 'src/lib/b.ts', code: 'TS2304', type: 'typescript' },
+    { message: 'Out of memory', type: 'generic' },
+  ];
+
+  it('should group by file, directory, code and rule', () => {
+    assert.deepStrictEqual(
+      groupErrors(errors, { groupBy: 'file' }).map((g) => [g.key, g.count]),
+      [['src/a.ts', 2], ['src/lib/b.ts', 2], [null, 1]]
+    );
+    assert.deepStrictEqual(
+      groupErrors(errors, { groupBy: 'directory' }).map((g) => g.key),
+      ['src', 'src/lib', null]
+    );
+    assert.deepStrictEqual(
+      groupErrors(errors, { groupBy: 'rule' }).map((g) => g.key),
+      ['typescript/TS2304', 'typescript/TS2322', null]
+    );
+    const [byCode] = groupErrors(errors, { groupBy: 'code' });
+    assert.strictEqual(byCode.by, 'code');
+    assert.strictEqual(byCode.signature, 'code:TS2304');
+    assert.strictEqual(byCode.files.size, 2);
+  });
+
+  it('should keep code and type only when every error agrees', () => {
+    const [file] = groupErrors(errors, { groupBy: 'file' });
+    assert.strictEqual(file.code, undefined);
+    assert.strictEqual(file.type, 'typescript');
+  });
+
+  it('should group again by a secondary dimension', () => {
+    const groups = groupErrors(errors, { groupBy: 'file,code', top: 1 });
+    assert.strictEqual(groups.length, 1);
+    assert.deepStrictEqual(groups[0].groups.map((g) => [g.key, g.count]), [['TS2304', 1], ['TS2322', 1]]);
+
+    const [code] = groupErrors(errors, { groupBy: ['code', 'signature'] });
+    assert.strictEqual(code.groups[0].by, undefined);
+    assert.strictEqual(code.groups[0].count, 3);
+  });
+
+  it('should label groups by key', () => {
+    const groups = groupErrors(errors, { groupBy: 'file' });
+    assert.strictEqual(groupLabel(groups[0]), 'src/a.ts');
+    assert.strictEqual(groupLabel(groups[2]), '(no file)');
+    assert.strictEqual(groupLabel(groupErrors(errors)[0]), "Cannot find name 'x'");
+  });
+
+  it('should flatten groups to signature groups with their labels', () => {
+    const leaves = signatureGroups(groupErrors(errors, { groupBy: 'file,code' }));
+    assert.strictEqual(leaves.length, 4);
+    assert.deepStrictEqual(leaves[0].path, ['src/a.ts', 'TS2304']);
+    assert.strictEqual(leaves[0].group.signature, "[TS2304] Cannot find name '<name>'");
+  });
+
+  it('should count an error in the group of each of its owners', () => {
+    const owned = [
+      { message: 'a', file: 'x.ts', owners: ['@web', '@core'] },
+      { message: 'b', file: 'y.ts', owners: ['@web'] },
+      { message: 'c', file: 'z.ts' },
+    ];
+    assert.deepStrictEqual(
+      groupErrors(owned, { groupBy: 'owner' }).map((g) => [g.key, g.count]),
+      [['@web', 2], ['@core', 1], [null, 1]]
+    );
+    const stats = getStats(groupErrors(owned), owned);
+    assert.deepStrictEqual(stats.byOwner['@web'], { errors: 2, patterns: 2, files: 2 });
+  });
+
+  it('should group by the command an error came from', () => {
+    const tagged = errors.map((error, i) => ({ ...error, command: i % 2 ? 'eslint .' : 'tsc --noEmit' }));
+    const groups = groupErrors(tagged, { groupBy: 'command,code' });
+    assert.deepStrictEqual(groups.map((g) => g.key).sort(), ['eslint .', 'tsc --noEmit']);
+    assert.ok(groups.every((g) => g.errors.every((error) => error.command === g.key)));
+  });
+
+  it('should group by the input an error came from', () => {
+    const tagged = errors.map((error, i) => ({ ...error, source: i < 2 ? 'shard-1.log' : 'shard-2.log' }));
+    const groups = groupErrors(tagged, { groupBy: 'source' });
+    assert.deepStrictEqual(groups.map((g) => [g.key, g.count]), [['shard-2.log', 3], ['shard-1.log', 2]]);
+  });
+
+  it('should reject unknown dimensions and more than two levels', () => {
+    assert.deepStrictEqual(parseGroupBy(' file , code '), ['file', 'code']);
+    assert.throws(() => parseGroupBy('team'), /Unknown group-by dimension 'team'/);
+    assert.throws(() => parseGroupBy('file,code,rule'), /one or two dimensions/);
+  });
+});
+
+describe('createGrouper', () => {
+  const errors = [
+    { message: "Cannot find name 'x'", file: 'src/a.ts', code: 'TS2304', type: 'typescript' },
+    { message: "Cannot find name 'y'", file: 'src/b.ts', code: 'TS2304', type: 'typescript' },
+    { message: "Cannot find name 'z'", file: 'src/c.ts', code: 'TS2304', type: 'typescript' },
+    { message: 'Unused variable', file: 'src/a.ts', code: 'no-unused-vars', type: 'eslint', severity: 'warning' },
+  ];
+
+  function grouperOf(list, opts) {
+    const grouper = createGrouper(opts);
+    for (const error of list) grouper.add(error);
+    return grouper;
+  }
+
+  it('should group like groupErrors', () => {
+    const summary = (groups) => groups.map((g) => [g.signature, g.count, [...g.files]]);
+    assert.deepStrictEqual(summary(grouperOf(errors).groups()), summary(groupErrors(errors)));
+  });
+
+  it('should keep only a sample of errors, but count them all', () => {
+    const [group] = grouperOf(errors.slice(0, 3), { samples: 2 }).groups();
+    assert.strictEqual(group.count, 3);
+    assert.deepStrictEqual(group.errors.map((e) => e.file), ['src/a.ts', 'src/b.ts']);
+    assert.strictEqual(group.files.size, 3);
+    assert.deepStrictEqual(group.severities, { error: 3 });
+  });
+
+  it('should tally every error for getStats', () => {
+    const grouper = grouperOf(errors, { samples: 1 });
+    const stats = getStats(grouper.groups(), grouper.tally);
+    assert.deepStrictEqual(stats, getStats(groupErrors(errors), errors));
+    assert.strictEqual(tallyErrors(grouper.tally), grouper.tally);
+  });
+
+  it('should merge another grouper and leave it as it was', () => {
+    const first = grouperOf(errors.slice(0, 2), { groupBy: 'code,file' });
+    const second = grouperOf(errors.slice(2), { groupBy: 'code,file' });
+    first.merge(second);
+
+    const summary = (groups) => groups.map((g) => [g.key, g.count, g.groups.map((sub) => [sub.key, sub.count])]);
+    assert.deepStrictEqual(summary(first.groups()), summary(groupErrors(errors, { groupBy: 'code,file' })));
+    assert.deepStrictEqual(summary(second.groups()), [['TS2304', 1, [['src/c.ts', 1]]], ['no-unused-vars', 1, [['src/a.ts', 1]]]]);
+    assert.strictEqual(first.tally.totalErrors, 4);
+  });
+});
+
 describe('similarity', () => {
   it('should return 1 for identical strings', () => {
     assert.strictEqual(similarity('hello world', 'hello world'), 1);
@@ -82,6 +255,18 @@ describe('similarity', () => {
     assert.ok(sim > 0.5);
   });
 
+  it('should not zero out strings of different lengths', () => {
+    const sim = similarity(
+      'Cannot find module',
+      'Cannot find module in any of the configured paths'
+    );
+    assert.ok(sim > 0.3);
+  });
+
+  it('should take token order into account', () => {
+    assert.ok(similarity('a b c d', 'a b c e') > similarity('a b c d', 'd c b a'));
+  });
+
   it('should handle empty strings', () => {
     // Two identical empty strings return 1 (equal check)
     assert.strictEqual(similarity('', ''), 1);
@@ -91,6 +276,25 @@ describe('similarity', () => {
   });
 });
 
+describe('combineGroups', () => {
+  it('should combine groups of the same signature made separately', () => {
+    const shard1 = groupErrors([
+      { message: "Cannot find name 'x'", file: 'a.ts', code: 'TS2304', severity: 'error' },
+      { message: "Property 'p' does not exist", file: 'b.ts', code: 'TS2339' },
+    ]);
+    const shard2 = groupErrors([
+      { message: "Cannot find name 'y'", file: 'c.ts', code: 'TS2304', severity: 'warning' },
+      { message: "Cannot find name 'z'", file: 'a.ts', code: 'TS2304', severity: 'warning' },
+    ]);
+    const groups = combineGroups([...shard1, ...shard2]);
+
+    assert.deepStrictEqual(groups.map((g) => [g.code, g.count, [...g.files]]), [['TS2304', 3, ['a.ts', 'c.ts']], ['TS2339', 1, ['b.ts']]]);
+    assert.deepStrictEqual(groups[0].severities, { error: 1, warning: 2 });
+    assert.strictEqual(groups[0].errors.length, 3);
+    assert.strictEqual(shard1[0].count, 1);
+  });
+});
+
 describe('mergeSimilarGroups', () => {
   it('should merge groups with high similarity', () => {
     const groups = [
@@ -113,6 +317,66 @@ describe('mergeSimilarGroups', () => {
     const merged = mergeSimilarGroups(groups, 0.9);
     assert.strictEqual(merged.length, 2);
   });
+
+  it('should only merge groups with the same type and code', () => {
+    const groups = [
+      { signature: 'Cannot find foo', type: 'typescript', code: 'TS2304', count: 2, errors: [], files: new Set() },
+      { signature: 'Cannot find bar', type: 'typescript', code: 'TS2305', count: 1, errors: [], files: new Set() },
+      { signature: 'Cannot find baz', type: 'eslint', code: 'TS2304', count: 1, errors: [], files: new Set() },
+    ];
+
+    const merged = mergeSimilarGroups(groups, 0.5);
+    assert.strictEqual(merged.length, 3);
+  });
+
+  it('should record absorbed signatures', () => {
+    const groups = [
+      { signature: 'Cannot find foo', count: 1, errors: [{}], files: new Set() },
+      { signature: 'Cannot find bar', count: 3, errors: [{}, {}, {}], files: new Set() },
+    ];
+
+    const merged = mergeSimilarGroups(groups, 0.5);
+    assert.strictEqual(merged[0].signature, 'Cannot find bar');
+    assert.deepStrictEqual(merged[0].mergedSignatures, ['Cannot find foo']);
+  });
+
+  it('should not mutate the input groups', () => {
+    const groups = [
+      { signature: 'Cannot find foo', count: 2, errors: [{}, {}], files: new Set(['a.ts']) },
+      { signature: 'Cannot find bar', count: 1, errors: [{}], files: new Set(['b.ts']) },
+    ];
+
+    mergeSimilarGroups(groups, 0.5);
+    assert.strictEqual(groups[0].count, 2);
+    assert.strictEqual(groups[0].files.size, 1);
+  });
+
+  it('should stay fast on thousands of groups', () => {
+    const groups = Array.from({ length: 5000 }, (_, i) => ({
+      signature: `Unexpected token ${i % 50} in module section ${i} of bundle`,
+      type: 'generic',
+      count: 1,
+      errors: [{}],
+      files: new Set(),
+    }));
+
+    const merged = mergeSimilarGroups(groups, 0.8);
+    assert.strictEqual(merged.length, 50);
+    assert.strictEqual(merged[0].count, 100);
+  });
+
+  // Quadratic comparison takes minutes on this input: the timeout is the bound
+  it('should not compare every pair of dissimilar groups', { timeout: 30000 }, () => {
+    const groups = Array.from({ length: 20000 }, (_, i) => ({
+      signature: `Request ${i} failed for worker ${i * 7} on shard ${i * 13}`,
+      type: 'generic',
+      count: 1,
+      errors: [{}],
+      files: new Set(),
+    }));
+
+    assert.strictEqual(mergeSimilarGroups(groups, 0.8).length, groups.length);
+  });
 });
 
 describe('getStats', () => {
@@ -136,6 +400,21 @@ describe('getStats', () => {
     assert.strictEqual(stats.filesAffected, 3);
   });
 
+  it('should total errors by package', () => {
+    const errors = [
+      { message: 'a', file: 'src/a.ts', package: 'web' },
+      { message: 'a', file: 'src/b.ts', package: 'web' },
+      { message: 'b', file: 'src/a.ts', package: 'api' },
+      { message: 'c' },
+    ];
+
+    const stats = getStats(groupErrors(errors), errors);
+    assert.deepStrictEqual(stats.byPackage, {
+      web: { errors: 2, patterns: 1, files: 2 },
+      api: { errors: 1, patterns: 1, files: 1 },
+    });
+  });
+
   it('should count by type', () => {
     const errors = [
       { type: 'typescript' },
@@ -148,6 +427,18 @@ describe('getStats', () => {
     assert.strictEqual(stats.byType.eslint, 1);
   });
 
+  it('should report per-type totals', () => {
+    const errors = [
+      { type: 'typescript', file: 'a.ts', message: 'A' },
+      { type: 'typescript', file: 'b.ts', message: 'B' },
+      { type: 'eslint', file: 'a.js', message: 'C' },
+    ];
+
+    const stats = getStats(groupErrors(errors), errors);
+    assert.deepStrictEqual(stats.typeTotals.typescript, { errors: 2, patterns: 2, files: 2 });
+    assert.deepStrictEqual(stats.typeTotals.eslint, { errors: 1, patterns: 1, files: 1 });
+  });
+
   it('should count by severity', () => {
     const errors = [
       { severity: 'error' },
@@ -0,0 +1,125 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const {
+  historyEntry,
+  appendHistory,
+  readHistory,
+  computeTrend,
+  formatTrend,
+  sparkline,
+} = require('../src/history.js');
+const { groupErrors } = require('../src/grouper.js');
+
+function run(time, groups) {
+  return {
+    time,
+    total: groups.reduce((sum, [, count]) => sum + count, 0),
+    groups: groups.map(([code, count]) => ({ signature: `[${code}] message`, count, code, type: 'typescript', message: `${code} message` })),
+  };
+}
+
+const runs = [
+  run('2026-10-01T00:00:00.000Z', [['TS2304', 10], ['TS7006', 4]]),
+  run('2026-10-02T00:00:00.000Z', [['TS2304', 6], ['TS7006', 5]]),
+  run('2026-10-03T00:00:00.000Z', [['TS2304', 2], ['TS7006', 8], ['TS2322', 1]]),
+];
+
+describe('historyEntry', () => {
+  it('should record groups by signature', () => {
+    const errors = [
+      { message: "Cannot find name 'x'", code: 'TS2304', type: 'typescript' },
+      { message: "Cannot find name 'y'", code: 'TS2304', type: 'typescript' },
+    ];
+    const entry = historyEntry(groupErrors(errors), errors, { time: new Date('2026-10-19T00:00:00Z') });
+    assert.deepStrictEqual(entry, {
+      time: '2026-10-19T00:00:00.000Z',
+      total: 2,
+      groups: [{ signature: "[TS2304] Cannot find name '<name>'", count: 2, code: 'TS2304', type: 'typescript', message: "Cannot find name 'x'" }],
+    });
+  });
+});
+
+describe('appendHistory and readHistory', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'errsum-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should create the directory and append one line per run', () => {
+    const file = path.join(dir, '.errsum', 'history.jsonl');
+    appendHistory(file, runs[0]);
+    appendHistory(file, runs[1]);
+    assert.strictEqual(fs.readFileSync(file, 'utf8').split('\n').length, 3);
+    assert.deepStrictEqual(readHistory(file), runs.slice(0, 2));
+  });
+
+  it('should skip a partial last line', () => {
+    const file = path.join(dir, 'partial.jsonl');
+    fs.writeFileSync(file, JSON.stringify(runs[0]) + '\n{"time": "2026');
+    assert.strictEqual(readHistory(file).length, 1);
+  });
+
+  it('should reject invalid entries', () => {
+    const file = path.join(dir, 'invalid.jsonl');
+    fs.writeFileSync(file, '{"time": 1}\n');
+    assert.throws(() => readHistory(file), /line 1: expected a recorded errsum run/);
+    fs.writeFileSync(file, 'nope\n' + JSON.stringify(runs[0]) + '\n');
+    assert.throws(() => readHistory(file), /Invalid history file .*line 1/);
+    assert.throws(() => readHistory(path.join(dir, 'missing.jsonl')), /Cannot read history file/);
+  });
+});
+
+describe('computeTrend', () => {
+  const trend = computeTrend(runs);
+
+  it('should give each pattern its count per run', () => {
+    assert.deepStrictEqual(trend.totals, [14, 11, 11]);
+    assert.deepStrictEqual(trend.patterns.map((p) => [p.code, p.counts]), [
+      ['TS7006', [4, 5, 8]],
+      ['TS2304', [10, 6, 2]],
+      ['TS2322', [0, 0, 1]],
+    ]);
+  });
+
+  it('should find growing patterns', () => {
+    assert.deepStrictEqual(trend.growing.map((p) => [p.code, p.change, p.delta]), [['TS7006', 4, 3], ['TS2322', 1, 1]]);
+  });
+
+  it('should keep the last runs', () => {
+    const recent = computeTrend(runs, { last: 2 });
+    assert.strictEqual(recent.runs.length, 2);
+    assert.deepStrictEqual(recent.patterns.find((p) => p.code === 'TS2304').counts, [6, 2]);
+  });
+});
+
+describe('formatTrend', () => {
+  it('should show totals, patterns and growing patterns with sparklines', () => {
+    const text = formatTrend(computeTrend([...runs, run('2026-10-04T00:00:00.000Z', [['TS7006', 8]])]));
+    assert.ok(text.startsWith('Trend over 4 runs (2026-10-01 → 2026-10-04)'));
+    assert.ok(text.includes('  Total: █▇▇▅  14 → 8 (-6)'));
+    assert.ok(text.includes('Patterns:\n    8     +4  ▅▆██  [TS7006] TS7006 message'));
+    assert.ok(text.includes('Growing:\n    8     +4'));
+    assert.ok(text.includes('Fixed:\n    0    -10  █▆▃▁  [TS2304] TS2304 message'));
+  });
+
+  it('should explain an empty history', () => {
+    assert.match(formatTrend(computeTrend([])), /No runs recorded yet/);
+  });
+});
+
+describe('sparkline', () => {
+  it('should scale values to the largest', () => {
+    assert.strictEqual(sparkline([0, 1, 4, 8]), '▁▂▅█');
+    assert.strictEqual(sparkline([0, 0]), '▁▁');
+  });
+});
@@ -0,0 +1,83 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { formatHtml, escapeHtml } = require('../src/html.js');
+const { formatOutput } = require('../src/formatter.js');
+const { groupErrors } = require('../src/grouper.js');
+
+const errors = [
+  { file: 'src/a.ts', line: 10, column: 5, code: 'TS2304', message: "Cannot find name 'x'", type: 'typescript' },
+  { file: 'src/b.ts', line: 3, column: 1, code: 'TS2304', message: "Cannot find name 'y'", type: 'typescript' },
+  { file: 'src/c.js', line: 7, column: 2, code: 'no-var', message: 'Unexpected var <here>', severity: 'warning', type: 'eslint' },
+  { message: 'Out of memory', type: 'generic' },
+];
+
+describe('formatHtml', () => {
+  const output = formatHtml(groupErrors(errors), errors, {});
+
+  it('should be a standalone document without external assets', () => {
+    assert.ok(output.startsWith('<!DOCTYPE html>'));
+    assert.ok(output.endsWith('</html>'));
+    assert.ok(!/<(?:link|script|img)[^>]+(?:href|src)=/.test(output));
+  });
+
+  it('should embed a script that parses', () => {
+    const script = output.match(/<script>([\s\S]*)<\/script>/)[1];
+    assert.doesNotThrow(() => new Function(script));
+  });
+
+  it('should make a sortable, filterable row per group', () => {
+    assert.ok(output.includes('<th class="num" data-sort="count">Count</th>'));
+    assert.ok(output.includes('data-count="2" data-type="typescript" data-severity="error" data-code="TS2304"'));
+    assert.ok(output.includes('<option value="warning">warning</option>'));
+    assert.ok(output.includes('<option value="no-var">no-var</option>'));
+  });
+
+  it('should list every location in a collapsible group', () => {
+    assert.ok(output.includes('<details><summary>Cannot find name &#39;x&#39;</summary>'));
+    assert.ok(output.includes('<div>Locations (2):</div>'));
+    assert.ok(output.includes('<li>src/b.ts:3:1</li>'));
+  });
+
+  it('should escape markup in messages', () => {
+    assert.ok(output.includes('Unexpected var &lt;here&gt;'));
+    assert.ok(!output.includes('<here>'));
+  });
+
+  it('should render a heatmap of files by code', () => {
+    assert.ok(output.includes('<th class="num" data-sort="c0"><code>TS2304</code></th>'));
+    assert.ok(output.includes('<tr data-file="src/a.ts" data-total="1" data-c0="1" data-c1="0">'));
+    assert.ok(!output.includes('data-file="undefined"'));
+  });
+
+  it('should show nested groups, policy and baseline status', () => {
+    const groups = groupErrors(errors, { groupBy: 'directory,code' });
+    groups[0].baseline = { status: 'new', previousCount: 0, delta: 2 };
+    const html = formatHtml(groups, errors, {
+      baseline: { summary: { new: 1, fixed: 0, unchanged: 2 }, fixed: [] },
+      policy: { failed: true, exitCode: 1, reasons: ['4 errors found (--fail-on error)'] },
+    });
+    assert.ok(html.includes('<th data-sort="message">Directory</th>'));
+    assert.ok(html.includes('<li>2× TS2304</li>'));
+    assert.ok(html.includes('3× <span class="badge new">new</span>'));
+    assert.ok(html.includes('<li>4 errors found (--fail-on error)</li>'));
+  });
+
+  it('should list how each command ended', () => {
+    const commands = [{ command: 'tsc <src>', status: 2, duration: 1500 }];
+    const html = formatHtml(groupErrors(errors), errors.map((e) => ({ ...e, command: 'tsc <src>' })), { commands });
+    assert.ok(html.includes('<td class="mono">tsc &lt;src&gt;</td><td class="num">4</td><td><span class="badge error">exit 2</span></td><td class="num">1.5s</td>'));
+    assert.ok(!output.includes('<h2>Commands</h2>'));
+  });
+
+  it('should be selectable through formatOutput', () => {
+    assert.strictEqual(formatOutput(groupErrors(errors), errors, { format: 'html' }), output);
+  });
+});
+
+describe('escapeHtml', () => {
+  it('should escape markup and strip ANSI escapes', () => {
+    assert.strictEqual(escapeHtml('\x1b[31m<a href="x">&</a>\x1b[0m'), '&lt;a href=&quot;x&quot;&gt;&amp;&lt;/a&gt;');
+  });
+});
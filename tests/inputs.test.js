@@ -0,0 +1,116 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const zlib = require('node:zlib');
+const {
+  expandInputs,
+  globToRegExp,
+  readInputFile,
+  openInput,
+  parseInputs,
+} = require('../src/inputs.js');
+
+const tsLog = "src/a.ts(1,5): error TS2304: Cannot find name 'foo'.\n";
+const pythonLog = 'Traceback (most recent call last):\n  File "app.py", line 3, in run\nValueError: bad value\n';
+
+describe('inputs', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'errsum-'));
+    fs.mkdirSync(path.join(dir, 'logs', 'nested'), { recursive: true });
+    for (const shard of [1, 2, 10]) {
+      fs.writeFileSync(path.join(dir, 'logs', `shard-${shard}.log`), tsLog);
+    }
+    fs.writeFileSync(path.join(dir, 'logs', 'nested', 'shard-3.log'), tsLog);
+    fs.writeFileSync(path.join(dir, 'logs', '.hidden.log'), tsLog);
+    fs.writeFileSync(path.join(dir, 'app.log.gz'), zlib.gzipSync(pythonLog));
+    fs.writeFileSync(path.join(dir, 'app.log.br'), zlib.brotliCompressSync(pythonLog));
+    fs.writeFileSync(path.join(dir, 'broken.log.gz'), Buffer.from([0x1f, 0x8b, 0x08, 0x00, 0x01]));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('expandInputs', () => {
+    const names = (files) => files.map((file) => path.relative(dir, file).split(path.sep).join('/'));
+
+    it('should keep files and list the files in a directory, shards in order', () => {
+      const files = expandInputs([path.join(dir, 'app.log.gz'), path.join(dir, 'logs')]);
+      assert.deepStrictEqual(names(files), ['app.log.gz', 'logs/shard-1.log', 'logs/shard-2.log', 'logs/shard-10.log']);
+    });
+
+    it('should expand glob patterns, without hidden files', () => {
+      const base = dir.split(path.sep).join('/');
+      assert.deepStrictEqual(names(expandInputs([`${base}/logs/*.log`])), ['logs/shard-1.log', 'logs/shard-2.log', 'logs/shard-10.log']);
+      assert.deepStrictEqual(names(expandInputs([`${base}/logs/**/shard-{3,10}.log`])), ['logs/nested/shard-3.log', 'logs/shard-10.log']);
+    });
+
+    it('should read a file matched twice once', () => {
+      const file = path.join(dir, 'logs', 'shard-1.log');
+      assert.deepStrictEqual(expandInputs([file, file]), [file]);
+    });
+
+    it('should throw when an argument matches nothing', () => {
+      assert.throws(() => expandInputs([path.join(dir, 'missing.log')]), /File not found/);
+      assert.throws(() => expandInputs([`${dir.split(path.sep).join('/')}/*.txt`]), /No files match/);
+    });
+  });
+
+  describe('globToRegExp', () => {
+    it('should match like a shell', () => {
+      assert.ok(globToRegExp('shard-[0-9].log').test('shard-3.log'));
+      assert.ok(!globToRegExp('shard-[!0-9].log').test('shard-3.log'));
+      assert.ok(globToRegExp('logs/**/*.gz').test('logs/a.gz'));
+      assert.ok(!globToRegExp('logs/*.gz').test('logs/x/a.gz'));
+      assert.ok(!globToRegExp('*.log').test('.hidden.log'));
+    });
+  });
+
+  describe('readInputFile', () => {
+    it('should decompress gzip and brotli files', () => {
+      assert.strictEqual(readInputFile(path.join(dir, 'app.log.gz')).toString(), pythonLog);
+      assert.strictEqual(readInputFile(path.join(dir, 'app.log.br')).toString(), pythonLog);
+      assert.strictEqual(readInputFile(path.join(dir, 'logs', 'shard-1.log')).toString(), tsLog);
+    });
+
+    it('should throw on a corrupt file', () => {
+      assert.throws(() => readInputFile(path.join(dir, 'broken.log.gz')), /Cannot decompress .*broken\.log\.gz \(gzip\)/);
+    });
+  });
+
+  describe('openInput', () => {
+    it('should stream a decompressed file', async () => {
+      const chunks = [];
+      for await (const chunk of openInput(path.join(dir, 'app.log.gz'))) {
+        chunks.push(chunk);
+      }
+      assert.strictEqual(Buffer.concat(chunks).toString(), pythonLog);
+    });
+  });
+});
+
+describe('parseInputs', () => {
+  const inputs = [
+    { source: 'shard-1.log', text: tsLog },
+    { source: 'shard-2.log', text: pythonLog },
+  ];
+
+  it('should parse each input on its own and tag errors with their source', () => {
+    const { errors } = parseInputs(inputs);
+    assert.deepStrictEqual(errors.map((e) => [e.type, e.source]), [['typescript', 'shard-1.log'], ['python', 'shard-2.log']]);
+  });
+
+  it('should give positions into the combined input', () => {
+    const { input, errors } = parseInputs(inputs);
+    assert.strictEqual(input, tsLog + pythonLog);
+    for (const error of errors) {
+      assert.strictEqual(input.slice(error.position, error.position + error.raw.length), error.raw);
+    }
+  });
+});
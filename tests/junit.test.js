@@ -0,0 +1,87 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { formatJunit, escapeXml } = require('../src/junit.js');
+const { formatOutput } = require('../src/formatter.js');
+const { groupErrors } = require('../src/grouper.js');
+
+const errors = [
+  { file: 'src/a.ts', line: 10, column: 5, code: 'TS2304', message: "Cannot find name 'x'", type: 'typescript' },
+  { file: 'src/b.ts', line: 3, column: 1, code: 'TS2304', message: "Cannot find name 'y'", type: 'typescript' },
+  { file: 'src/c.js', line: 7, column: 2, code: 'no-var', message: 'Unexpected var <here>', type: 'eslint' },
+];
+
+describe('formatJunit', () => {
+  const output = formatJunit(groupErrors(errors), errors);
+
+  it('should start with an XML declaration', () => {
+    assert.ok(output.startsWith('<?xml version="1.0" encoding="UTF-8"?>'));
+  });
+
+  it('should count every group as a failure', () => {
+    assert.ok(output.includes('<testsuites name="errsum" tests="2" failures="2">'));
+  });
+
+  it('should split testsuites by type', () => {
+    assert.ok(output.includes('<testsuite name="typescript" tests="1" failures="1"'));
+    assert.ok(output.includes('<testsuite name="eslint" tests="1" failures="1"'));
+  });
+
+  it('should name testcases after the signature', () => {
+    assert.ok(output.includes('<testcase name="[TS2304] Cannot find name &apos;&lt;name&gt;&apos;" classname="errsum.typescript">'));
+  });
+
+  it('should put the message and locations in the failure body', () => {
+    assert.ok(output.includes('type="TS2304">Cannot find name &apos;x&apos;'));
+    assert.ok(output.includes('Locations (2):'));
+    assert.ok(output.includes('  src/a.ts:10:5'));
+    assert.ok(output.includes('  src/b.ts:3:1'));
+  });
+
+  it('should escape markup in messages', () => {
+    assert.ok(output.includes('Unexpected var &lt;here&gt;'));
+    assert.ok(!output.includes('<here>'));
+  });
+
+  it('should give an empty report when there are no errors', () => {
+    assert.strictEqual(formatJunit([], []), '<?xml version="1.0" encoding="UTF-8"?>\n<testsuites name="errsum" tests="0" failures="0">\n</testsuites>');
+  });
+
+  it('should be selectable through formatOutput', () => {
+    const result = formatOutput(groupErrors(errors), errors, { format: 'junit' });
+    assert.strictEqual(result, output);
+  });
+});
+
+describe('formatJunit with --group-by', () => {
+  it('should make a testsuite of each group with a secondary dimension', () => {
+    const output = formatJunit(groupErrors(errors, { groupBy: 'file,code' }), errors);
+    assert.ok(output.includes('<testsuites name="errsum" tests="3" failures="3">'));
+    assert.ok(output.includes('<testsuite name="src/a.ts" tests="1" failures="1"'));
+    assert.ok(output.includes('<testcase name="TS2304" classname="errsum.typescript">'));
+  });
+
+  it('should name testcases after the key of a single dimension', () => {
+    const output = formatJunit(groupErrors(errors, { groupBy: 'code' }), errors);
+    assert.ok(output.includes('<testsuite name="typescript" tests="1" failures="1"'));
+    assert.ok(output.includes('<failure message="2× TS2304" type="TS2304">'));
+  });
+
+  it('should file groups that mix tools under their dimension', () => {
+    const output = formatJunit(groupErrors(errors, { groupBy: 'directory' }), errors);
+    assert.ok(output.includes('<testsuite name="directory" tests="1" failures="1"'));
+    assert.ok(output.includes('<testcase name="src" classname="errsum.directory">'));
+    assert.ok(!output.includes('generic'));
+  });
+});
+
+describe('escapeXml', () => {
+  it('should escape XML special characters', () => {
+    assert.strictEqual(escapeXml('a & b < c > "d" \'e\''), 'a &amp; b &lt; c &gt; &quot;d&quot; &apos;e&apos;');
+  });
+
+  it('should strip ANSI colors and invalid control characters', () => {
+    assert.strictEqual(escapeXml('\x1b[31mred\x1b[0m\x07'), 'red');
+  });
+});
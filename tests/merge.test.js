@@ -0,0 +1,102 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const zlib = require('node:zlib');
+const { loadSummary, mergeSummaries } = require('../src/merge.js');
+const { summarize, getStats, formatJson } = require('../src/api.js');
+
+const shard1 = `src/a.ts(1,5): error TS2304: Cannot find name 'foo'.
+src/b.ts(2,5): error TS2304: Cannot find name 'bar'.
+src/c.ts(3,5): error TS2339: Property 'x' does not exist on type 'Y'.
+`;
+const shard2 = `src/d.ts(1,5): error TS2304: Cannot find name 'baz'.
+src/e.ts(4,1): error TS7006: Parameter 'p' implicitly has an 'any' type.
+`;
+
+// JSON output of a run, as a sharded CI job writes it
+function output(log, opts = {}) {
+  return JSON.parse(summarize(log, { format: 'json', ...opts }).output);
+}
+
+describe('mergeSummaries', () => {
+  it('should combine groups by signature, as one run over every shard would', () => {
+    const { groups, tally } = mergeSummaries([output(shard1), output(shard2)]);
+    const whole = summarize(shard1 + shard2, { top: 0 });
+
+    assert.deepStrictEqual(groups.map((g) => [g.signature, g.count, [...g.files]]), whole.groups.map((g) => [g.signature, g.count, [...g.files]]));
+    assert.deepStrictEqual(getStats(groups, tally), whole.stats);
+  });
+
+  it('should keep each error\'s location and message', () => {
+    const { groups } = mergeSummaries([output(shard1), output(shard2)]);
+    assert.deepStrictEqual(groups[0].errors.map((e) => [e.file, e.line, e.message]), [
+      ['src/a.ts', 1, "Cannot find name 'foo'."],
+      ['src/b.ts', 2, "Cannot find name 'bar'."],
+      ['src/d.ts', 1, "Cannot find name 'baz'."],
+    ]);
+  });
+
+  it('should round-trip through JSON output', () => {
+    const { groups, tally } = mergeSummaries([output(shard1), output(shard2)]);
+    const merged = JSON.parse(formatJson(groups, tally, { signatures: groups }));
+    const again = mergeSummaries([merged]);
+    assert.deepStrictEqual(getStats(again.groups, again.tally), getStats(groups, tally));
+  });
+
+  it('should count errors a streamed run left out of its sample', () => {
+    const data = output(shard1);
+    data.patterns[0].count = 5;
+    data.patterns[0].severities = { error: 4, warning: 1 };
+    data.summary.totalErrors = 6;
+
+    const { groups, tally } = mergeSummaries([data, output(shard2)]);
+    assert.strictEqual(groups[0].count, 6);
+    const stats = getStats(groups, tally);
+    assert.strictEqual(stats.totalErrors, 8);
+    assert.deepStrictEqual(stats.bySeverity, { error: 7, warning: 1 });
+    assert.deepStrictEqual(stats.topCode, { code: 'TS2304', count: 6 });
+  });
+});
+
+describe('loadSummary', () => {
+  let dir;
+  const write = (name, data) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, typeof data === 'string' ? data : JSON.stringify(data));
+    return file;
+  };
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'errsum-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should read JSON output, compressed or not', () => {
+    const data = output(shard1);
+    assert.deepStrictEqual(loadSummary(write('shard-1.json', data)), data);
+    const file = path.join(dir, 'shard-1.json.gz');
+    fs.writeFileSync(file, zlib.gzipSync(JSON.stringify(data)));
+    assert.deepStrictEqual(loadSummary(file), data);
+  });
+
+  it('should merge outputs whatever their top and grouping', () => {
+    const top = loadSummary(write('top.json', output(shard1, { top: 1 })));
+    const files = loadSummary(write('files.json', output(shard2, { groupBy: 'file' })));
+    const { groups, tally } = mergeSummaries([top, files]);
+    assert.deepStrictEqual(getStats(groups, tally), summarize(shard1 + shard2, { top: 0 }).stats);
+  });
+
+  it('should reject outputs that cannot be merged', () => {
+    assert.throws(() => loadSummary(write('log.json', shard1)), /Invalid errsum output .*log\.json/);
+    const baseline = output(shard1);
+    delete baseline.patterns;
+    assert.throws(() => loadSummary(write('baseline.json', baseline)), /Cannot merge .*baseline\.json: it has no "patterns"/);
+  });
+});
@@ -0,0 +1,135 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+  normalizeInput,
+  normalizeLine,
+  detectEncoding,
+  createDecoder,
+  decodeInput,
+} = require('../src/normalize.js');
+const { parseErrors } = require('../src/parser.js');
+const { getLogContext } = require('../src/context.js');
+const { createStreamParser } = require('../src/stream.js');
+
+describe('normalizeLine', () => {
+  it('should strip ANSI colors', () => {
+    const line = '\x1b[96msrc/app.ts\x1b[0m:\x1b[93m2\x1b[0m:\x1b[93m7\x1b[0m - \x1b[91merror\x1b[0m TS2304';
+    assert.strictEqual(normalizeLine(line), 'src/app.ts:2:7 - error TS2304');
+  });
+
+  it('should strip OSC hyperlinks and erase sequences', () => {
+    const line = '\x1b[2K\x1b]8;;file:///src/app.ts\x07src/app.ts\x1b]8;;\x07 failed';
+    assert.strictEqual(normalizeLine(line), 'src/app.ts failed');
+  });
+
+  it('should strip GitHub Actions and Jenkins timestamps', () => {
+    assert.strictEqual(normalizeLine('2026-10-19T12:00:00.1234567Z error: boom'), 'error: boom');
+    assert.strictEqual(normalizeLine('[2026-10-19T12:00:00.123Z] error: boom'), 'error: boom');
+  });
+
+  it('should keep timestamps that are not a prefix', () => {
+    assert.strictEqual(normalizeLine('built at 2026-10-19T12:00:00Z'), 'built at 2026-10-19T12:00:00Z');
+  });
+
+  it('should drop CR line endings and keep the last carriage-return segment', () => {
+    assert.strictEqual(normalizeLine('error: boom\r'), 'error: boom');
+    assert.strictEqual(normalizeLine('10%\r50%\r100% done\r'), '100% done');
+  });
+
+  it('should remove BOMs', () => {
+    assert.strictEqual(normalizeLine('\uFEFFerror: boom'), 'error: boom');
+  });
+});
+
+describe('normalizeInput', () => {
+  it('should preserve the number of lines', () => {
+    const input = 'a\r\n\x1b[31mb\x1b[0m\r\n\r\n2026-10-19T12:00:00Z c\n';
+    const output = normalizeInput(input);
+    assert.strictEqual(output, 'a\nb\n\nc\n');
+    assert.strictEqual(output.split('\n').length, input.split('\n').length);
+  });
+
+  it('should give the same result in newline-terminated pieces', () => {
+    const input = '\x1b[1ma\x1b[0m\r\nb\r\nc';
+    assert.strictEqual(normalizeInput('\x1b[1ma\x1b[0m\r\n') + normalizeInput('b\r\nc'), normalizeInput(input));
+  });
+
+  it('should let parsers see through CI noise with original line numbers', () => {
+    const log = [
+      '2026-10-19T12:00:00.0000000Z ##[group]Run npx tsc',
+      '2026-10-19T12:00:01.0000000Z \x1b[96msrc/app.ts\x1b[0m(2,7): \x1b[91merror\x1b[0m TS2304: Cannot find name \'x\'.',
+      '2026-10-19T12:00:01.0000000Z ##[endgroup]',
+    ].join('\r\n');
+    const input = normalizeInput(log);
+    const [error] = parseErrors(input, 'typescript');
+
+    assert.strictEqual(error.file, 'src/app.ts');
+    assert.strictEqual(error.message, 'Cannot find name \'x\'.');
+    const context = getLogContext(input, error, 1);
+    assert.strictEqual(context.errorLine, 2);
+    assert.deepStrictEqual(context.lines, [
+      '##[group]Run npx tsc',
+      'src/app.ts(2,7): error TS2304: Cannot find name \'x\'.',
+      '##[endgroup]',
+    ]);
+  });
+});
+
+describe('detectEncoding', () => {
+  it('should recognize byte order marks', () => {
+    assert.strictEqual(detectEncoding(Buffer.from([0xef, 0xbb, 0xbf, 0x61])), 'utf-8');
+    assert.strictEqual(detectEncoding(Buffer.from([0xff, 0xfe, 0x61, 0x00])), 'utf-16le');
+    assert.strictEqual(detectEncoding(Buffer.from([0xfe, 0xff, 0x00, 0x61])), 'utf-16be');
+  });
+
+  it('should recognize UTF-16 without a BOM', () => {
+    assert.strictEqual(detectEncoding(Buffer.from('error', 'utf16le')), 'utf-16le');
+    assert.strictEqual(detectEncoding(Buffer.from('error', 'utf8')), 'utf-8');
+  });
+});
+
+describe('decodeInput', () => {
+  it('should decode and drop a UTF-8 BOM', () => {
+    assert.strictEqual(decodeInput(Buffer.from('\uFEFFerror: boom', 'utf8')), 'error: boom');
+  });
+
+  it('should decode UTF-16 logs', () => {
+    const le = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('error: boom', 'utf16le')]);
+    const be = Buffer.from(le).swap16();
+    assert.strictEqual(decodeInput(le), 'error: boom');
+    assert.strictEqual(decodeInput(be), 'error: boom');
+  });
+
+  it('should decode inputs shorter than a BOM', () => {
+    assert.strictEqual(decodeInput(Buffer.from('a')), 'a');
+    assert.strictEqual(decodeInput(Buffer.alloc(0)), '');
+  });
+});
+
+describe('createDecoder', () => {
+  it('should decode characters split across chunks', () => {
+    const bytes = Buffer.from('error: café ✕\n', 'utf8');
+    const decoder = createDecoder();
+    let text = '';
+    for (let i = 0; i < bytes.length; i += 2) {
+      text += decoder.write(bytes.subarray(i, i + 2));
+    }
+    text += decoder.end();
+    assert.strictEqual(text, 'error: café ✕\n');
+  });
+});
+
+describe('stream normalization', () => {
+  it('should normalize escapes split across chunks', () => {
+    const parser = createStreamParser('typescript');
+    parser.push('src/app.ts(2,7): \x1b[9');
+    parser.push('1merror\x1b[0m TS2304: Cannot find name \'x\'.\r\n');
+    const errors = parser.end();
+
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].code, 'TS2304');
+    assert.strictEqual(errors[0].message, 'Cannot find name \'x\'.');
+  });
+});
@@ -0,0 +1,156 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const {
+  parseCodeowners,
+  compilePattern,
+  findCodeowners,
+  loadCodeowners,
+  ownersOf,
+  assignOwners,
+  filterByOwner,
+  applyOwners,
+} = require('../src/owners.js');
+
+const root = path.resolve('/repo');
+
+function codeowners(text) {
+  return { root, rules: parseCodeowners(text) };
+}
+
+describe('compilePattern', () => {
+  const matches = (pattern, file) => compilePattern(pattern).test(file);
+
+  it('should match unanchored patterns at any depth', () => {
+    assert.ok(matches('*.js', 'a.js'));
+    assert.ok(matches('*.js', 'src/lib/a.js'));
+    assert.ok(matches('apps/', 'packages/apps/web/a.ts'));
+    assert.ok(!matches('*.js', 'a.ts'));
+  });
+
+  it('should anchor patterns with a leading or inner slash', () => {
+    assert.ok(matches('/build/', 'build/logs/a.log'));
+    assert.ok(!matches('/build/', 'src/build/a.log'));
+    assert.ok(matches('docs/api', 'docs/api/index.md'));
+    assert.ok(!matches('docs/api', 'src/docs/api/index.md'));
+  });
+
+  it('should own only direct children with a trailing /*', () => {
+    assert.ok(matches('docs/*', 'docs/intro.md'));
+    assert.ok(!matches('docs/*', 'docs/guides/intro.md'));
+  });
+
+  it('should match ** across directories', () => {
+    assert.ok(matches('**/logs', 'a/b/logs/x.log'));
+    assert.ok(matches('**/logs', 'logs/x.log'));
+    assert.ok(matches('/scripts/**', 'scripts/ci/run.sh'));
+    assert.ok(matches('src/**/*.test.ts', 'src/a/b/c.test.ts'));
+  });
+
+  it('should match escaped characters literally', () => {
+    assert.ok(matches('my\\ docs/', 'my docs/a.md'));
+    assert.ok(matches('\\#notes', '#notes'));
+  });
+});
+
+describe('parseCodeowners', () => {
+  it('should skip comments and blank lines', () => {
+    const rules = parseCodeowners('# Owners\n\n*.js @web # frontend\n');
+    assert.strictEqual(rules.length, 1);
+    assert.deepStrictEqual(rules[0].owners, ['@web']);
+    assert.strictEqual(rules[0].line, 3);
+  });
+
+  it('should give GitLab section defaults to rules without owners', () => {
+    const rules = parseCodeowners('[Docs] @writers\ndocs/\n^[Backend][2] @api\nsrc/ @db\n');
+    assert.deepStrictEqual(rules.map((r) => [r.section, r.owners]), [
+      ['docs', ['@writers']],
+      ['backend', ['@db']],
+    ]);
+  });
+});
+
+describe('ownersOf', () => {
+  it('should use the last matching rule', () => {
+    const owners = codeowners('* @core\nsrc/lib/ @platform\n');
+    assert.deepStrictEqual(ownersOf(owners, 'src/lib/a.ts', root), ['@platform']);
+    assert.deepStrictEqual(ownersOf(owners, 'src/a.ts', root), ['@core']);
+  });
+
+  it('should leave files unowned by a rule without owners', () => {
+    const owners = codeowners('* @core\n/vendor/\n');
+    assert.deepStrictEqual(ownersOf(owners, 'vendor/x.js', root), []);
+  });
+
+  it('should combine owners across GitLab sections', () => {
+    const owners = codeowners('[Frontend]\n*.ts @web\n[Security]\nsrc/auth/ @sec\n');
+    assert.deepStrictEqual(ownersOf(owners, 'src/auth/login.ts', root), ['@web', '@sec']);
+  });
+
+  it('should resolve paths against cwd and ignore files outside the repo', () => {
+    const owners = codeowners('/packages/web/ @web\n');
+    assert.deepStrictEqual(ownersOf(owners, 'src/a.ts', path.join(root, 'packages', 'web')), ['@web']);
+    assert.deepStrictEqual(ownersOf(owners, path.join(root, 'packages', 'web', 'a.ts')), ['@web']);
+    assert.deepStrictEqual(ownersOf(owners, '../elsewhere/a.ts', root), []);
+    assert.deepStrictEqual(ownersOf(owners, 'packages\\web\\a.ts', root), ['@web']);
+  });
+});
+
+describe('assignOwners and filterByOwner', () => {
+  const owners = codeowners('* @core\nsrc/lib/ @platform @core\n');
+
+  it('should set owners on errors in owned files', () => {
+    const errors = assignOwners([{ file: 'src/lib/a.ts' }, { message: 'no file' }], owners, root);
+    assert.deepStrictEqual(errors[0].owners, ['@platform', '@core']);
+    assert.strictEqual(errors[1].owners, undefined);
+  });
+
+  it('should filter case-insensitively', () => {
+    const errors = [{ owners: ['@Core'] }, { owners: ['@platform'] }, {}];
+    assert.strictEqual(filterByOwner(errors, '@core').length, 1);
+    assert.strictEqual(filterByOwner(errors, ['@core', '@platform']).length, 2);
+  });
+
+  it('should require CODEOWNERS to filter by owner', () => {
+    assert.throws(() => applyOwners([], { owner: ['@core'] }), /owner requires a CODEOWNERS file/);
+  });
+});
+
+describe('findCodeowners and loadCodeowners', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'errsum-'));
+    fs.mkdirSync(path.join(dir, '.git'));
+    fs.mkdirSync(path.join(dir, '.github'));
+    fs.mkdirSync(path.join(dir, 'src', 'lib'), { recursive: true });
+    fs.writeFileSync(path.join(dir, '.github', 'CODEOWNERS'), '/src/ @core\n');
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should find the repo CODEOWNERS from a nested directory', () => {
+    assert.strictEqual(findCodeowners(path.join(dir, 'src', 'lib')), path.join(dir, '.github', 'CODEOWNERS'));
+  });
+
+  it('should stop at the repo root', () => {
+    fs.mkdirSync(path.join(dir, 'vendor', 'lib', '.git'), { recursive: true });
+    assert.strictEqual(findCodeowners(path.join(dir, 'vendor', 'lib')), null);
+  });
+
+  it('should resolve patterns against the parent of .github', () => {
+    const loaded = loadCodeowners(path.join(dir, '.github', 'CODEOWNERS'));
+    assert.strictEqual(loaded.root, dir);
+    assert.deepStrictEqual(ownersOf(loaded, 'src/a.ts', dir), ['@core']);
+  });
+
+  it('should report unreadable files', () => {
+    assert.throws(() => loadCodeowners(path.join(dir, 'missing')), /Cannot read CODEOWNERS file/);
+  });
+});
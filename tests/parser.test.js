@@ -2,7 +2,14 @@
 
 const { describe, it } = require('node:test');
 const assert = require('node:assert');
-const { parseErrors, detectType, getErrorSignature } = require('../src/parser.js');
+const {
+  parseErrors,
+  detectType,
+  detectTypes,
+  createCustomPattern,
+  getErrorSignature,
+  PATTERNS,
+} = require('../src/parser.js');
 
 describe('detectType', () => {
   it('should detect TypeScript errors', () => {
@@ -46,6 +53,19 @@ describe('detectType', () => {
   });
 });
 
+describe('detectTypes', () => {
+  it('should detect every format in a mixed log', () => {
+    const input = `src/a.ts(1,2): error TS2304: Cannot find name 'x'.
+10:5  error  Unexpected var  no-var
+main.go:3:1: undefined: y`;
+    assert.deepStrictEqual(detectTypes(input), ['typescript', 'eslint', 'go']);
+  });
+
+  it('should return an empty list for unrecognized input', () => {
+    assert.deepStrictEqual(detectTypes('Something went wrong'), []);
+  });
+});
+
 describe('parseErrors', () => {
   describe('TypeScript', () => {
     it('should parse TypeScript errors with parentheses format', () => {
@@ -94,6 +114,228 @@ NameError: name 'undefined_var' is not defined`;
       assert.strictEqual(errors.length, 1);
       assert.strictEqual(errors[0].code, 'NameError');
     });
+
+    const traceback = `Traceback (most recent call last):
+  File "/app/src/views.py", line 20, in get_user
+    user = load_user(user_id)
+  File "/app/src/models.py", line 12, in load_user
+    return session.get(User, user_id)
+  File "/usr/lib/python3.11/site-packages/sqlalchemy/orm/session.py", line 99, in get
+    raise
+KeyError: 'user'`;
+
+    it('should capture every frame, outermost first', () => {
+      const [error] = parseErrors(traceback, 'python');
+      assert.deepStrictEqual(error.frames.map((f) => [f.file, f.line, f.function]), [
+        ['/app/src/views.py', 20, 'get_user'],
+        ['/app/src/models.py', 12, 'load_user'],
+        ['/usr/lib/python3.11/site-packages/sqlalchemy/orm/session.py', 99, 'get'],
+      ]);
+    });
+
+    it('should attribute the error to the innermost project frame', () => {
+      const [error] = parseErrors(traceback, 'python');
+      assert.strictEqual(error.file, '/app/src/models.py');
+      assert.strictEqual(error.line, 12);
+      assert.strictEqual(error.function, 'load_user');
+      assert.strictEqual(error.message, "'user'");
+    });
+
+    it('should fall back to the innermost frame when all frames are library code', () => {
+      const [error] = parseErrors(`Traceback (most recent call last):
+  File "<frozen runpy>", line 198, in _run_module_as_main
+  File "/usr/lib/python3.11/json/decoder.py", line 355, in raw_decode
+json.decoder.JSONDecodeError: Expecting value: line 1 column 1 (char 0)`, 'python');
+      assert.strictEqual(error.file, '/usr/lib/python3.11/json/decoder.py');
+      assert.strictEqual(error.code, 'json.decoder.JSONDecodeError');
+    });
+
+    it('should parse exception chains as one error', () => {
+      const input = `Traceback (most recent call last):
+  File "app.py", line 3, in parse
+    return int(raw)
+ValueError: bad value
+
+The above exception was the direct cause of the following exception:
+
+Traceback (most recent call last):
+  File "app.py", line 8, in main
+    parse(raw)
+ConfigError: invalid config
+
+During handling of the above exception, another exception occurred:
+
+Traceback (most recent call last):
+  File "app.py", line 12, in <module>
+    log(err)
+KeyboardInterrupt`;
+      const errors = parseErrors(input, 'python');
+      assert.strictEqual(errors.length, 1);
+      assert.strictEqual(errors[0].code, 'KeyboardInterrupt');
+      assert.strictEqual(errors[0].message, 'KeyboardInterrupt');
+      assert.deepStrictEqual(errors[0].chain, [
+        { code: 'ValueError', message: 'bad value', relation: 'cause' },
+        { code: 'ConfigError', message: 'invalid config', relation: 'context' },
+      ]);
+    });
+
+    it('should parse syntax errors without a traceback header', () => {
+      const [error] = parseErrors(`  File "app.py", line 3
+    x = (
+        ^
+SyntaxError: '(' was never closed`, 'python');
+      assert.strictEqual(error.code, 'SyntaxError');
+      assert.strictEqual(error.line, 3);
+      assert.strictEqual(error.function, undefined);
+    });
+
+    it('should ignore error-like lines outside tracebacks', () => {
+      assert.strictEqual(detectType('ValueError: not from python\nall done'), 'generic');
+      assert.deepStrictEqual(parseErrors(`${traceback}\nValueError: stray line`, 'python').length, 1);
+    });
+
+    it('should keep the traceback as the body', () => {
+      const [error] = parseErrors(traceback, 'python');
+      assert.strictEqual(error.body[0], 'Traceback (most recent call last):');
+      assert.strictEqual(error.body.length, 7);
+    });
+
+    // Each frame line used to match many ways, taking minutes on these
+    // inputs: the timeouts are the bound
+    const frames = (count, indent) => Array.from({ length: count }, (_, i) => (
+      `${indent}File "/app/m${i}.py", line ${i + 1}, in f${i}\n${indent}    x = f${i + 1}()\n`
+    )).join('');
+
+    it('should give up quickly on an indented traceback', { timeout: 5000 }, () => {
+      const input = `    Traceback (most recent call last):\n${frames(6, '        ')}    ValueError: bad\n`;
+      assert.deepStrictEqual(parseErrors(input), []);
+      assert.deepStrictEqual(parseErrors(input, 'python'), []);
+    });
+
+    it('should give up quickly on a traceback without an exception line', { timeout: 5000 }, () => {
+      const input = `Traceback (most recent call last):\n${frames(12, '  ')}    still indented\n`;
+      assert.deepStrictEqual(parseErrors(input, 'python'), []);
+      const [error] = parseErrors(`${input}ValueError: bad`, 'python');
+      assert.strictEqual(error.frames.length, 12);
+    });
+  });
+
+  describe('Jest', () => {
+    const jestLog = `FAIL src/math.test.ts (5.2 s)
+  math
+    ✓ adds (2 ms)
+    ✕ subtracts (3 ms)
+    ✕ divides (1 ms)
+
+  ● math › subtracts
+
+    expect(received).toBe(expected) // Object.is equality
+
+    Expected: 1
+    Received: 2
+
+    > 4 |   expect(2 - 1).toBe(2);
+        |                 ^
+
+      at Object.<anonymous> (src/math.test.ts:4:17)
+
+  ● math › divides
+
+    TypeError: Cannot read properties of undefined (reading 'x')
+
+      at divide (src/math.ts:10:3)
+      at Object.<anonymous> (src/math.test.ts:8:5)
+      at processTicksAndRejections (node:internal/process/task_queues:95:5)
+
+FAIL src/api.test.ts
+  ● Console
+
+    console.log
+      fetching
+
+      at log (src/api.test.ts:3:11)
+
+  ● api › client › fetches
+
+    expect(jest.fn()).not.toHaveBeenCalled()
+
+      at Object.<anonymous> (src/api.test.ts:12:20)
+
+Summary of all failing tests
+FAIL src/math.test.ts
+  ● math › subtracts
+
+    expect(received).toBe(expected) // Object.is equality
+
+Test Suites: 2 failed, 2 total
+Tests:       3 failed, 1 passed, 4 total`;
+
+    it('should parse one error per failing test', () => {
+      const errors = parseErrors(jestLog, 'jest');
+      assert.deepStrictEqual(errors.map((e) => e.test), ['math › subtracts', 'math › divides', 'api › client › fetches']);
+    });
+
+    it('should capture the suite file, test path, matcher and stack location', () => {
+      const [error] = parseErrors(jestLog, 'jest');
+      assert.strictEqual(error.suite, 'src/math.test.ts');
+      assert.strictEqual(error.file, 'src/math.test.ts');
+      assert.deepStrictEqual(error.testPath, ['math', 'subtracts']);
+      assert.strictEqual(error.matcher, 'toBe');
+      assert.strictEqual(error.code, 'toBe');
+      assert.strictEqual(error.message, 'expect(received).toBe(expected) // Object.is equality');
+      assert.deepStrictEqual([error.line, error.column], [4, 17]);
+    });
+
+    it('should keep modifiers in the matcher', () => {
+      const errors = parseErrors(jestLog, 'jest');
+      assert.strictEqual(errors[2].matcher, 'not.toHaveBeenCalled');
+      assert.strictEqual(errors[2].suite, 'src/api.test.ts');
+    });
+
+    it('should locate thrown errors at the test file frame', () => {
+      const error = parseErrors(jestLog, 'jest')[1];
+      assert.strictEqual(error.code, 'TypeError');
+      assert.strictEqual(error.message, "Cannot read properties of undefined (reading 'x')");
+      assert.deepStrictEqual(error.stack.map((f) => f.file), ['src/math.ts', 'src/math.test.ts']);
+      assert.strictEqual(error.line, 8);
+    });
+
+    it('should parse Vitest failures', () => {
+      const errors = parseErrors(` ❯ src/math.test.ts (2 tests | 1 failed) 4ms
+   × math > subtracts 3ms
+
+ FAIL  src/math.test.ts > math > subtracts
+AssertionError: expected 1 to be 2 // Object.is equality
+
+ ❯ src/math.test.ts:4:17
+
+⎯⎯⎯⎯⎯⎯⎯⎯⎯⎯⎯⎯[1/1]⎯
+
+ Test Files  1 failed (1)
+      Tests  1 failed | 1 passed (2)`, 'jest');
+      assert.strictEqual(errors.length, 1);
+      assert.strictEqual(errors[0].suite, 'src/math.test.ts');
+      assert.deepStrictEqual(errors[0].testPath, ['math', 'subtracts']);
+      assert.strictEqual(errors[0].matcher, undefined);
+      assert.strictEqual(errors[0].code, 'AssertionError');
+      assert.strictEqual(errors[0].line, 4);
+    });
+
+    it('should keep listed tests without a failure block', () => {
+      const errors = parseErrors('FAIL src/a.test.ts\n  ✕ loads (2 ms)\n', 'jest');
+      assert.strictEqual(errors.length, 1);
+      assert.strictEqual(errors[0].test, 'loads');
+      assert.strictEqual(errors[0].file, 'src/a.test.ts');
+    });
+
+    it('should warn when the run summary disagrees with the tests found', () => {
+      const errors = parseErrors(jestLog.replace('Tests:       3 failed', 'Tests:       5 failed'), 'jest');
+      const warning = errors[errors.length - 1];
+      assert.strictEqual(errors.length, 4);
+      assert.strictEqual(warning.code, 'summary-mismatch');
+      assert.strictEqual(warning.severity, 'warning');
+      assert.ok(warning.message.includes('reports 5 failed tests, but 3 were found'));
+    });
   });
 
   describe('Rust', () => {
@@ -132,6 +374,95 @@ error: lowercase error`;
     });
   });
 
+  describe('Mixed', () => {
+    const input = `> tsc --noEmit
+src/a.ts(1,2): error TS2304: Cannot find name 'x'.
+src/b.ts:4:7 - error TS2339: Property 'y' does not exist.
+> eslint .
+/repo/src/c.js
+10:5  error  Unexpected var  no-var
+error[E0425]: cannot find value \`z\` in this scope
+ --> src/main.rs:5:13`;
+
+    it('should parse errors from every detected tool', () => {
+      const errors = parseErrors(input, 'mixed');
+      assert.deepStrictEqual(
+        errors.map((e) => e.type),
+        ['typescript', 'typescript', 'eslint', 'rust']
+      );
+    });
+
+    it('should keep errors in input order', () => {
+      const errors = parseErrors(input, 'mixed');
+      const positions = errors.map((e) => e.position);
+      assert.deepStrictEqual(positions, [...positions].sort((a, b) => a - b));
+    });
+
+    it('should attribute each line to a single parser', () => {
+      // A python frame can't span the TypeScript line, which typescript claims
+      const errors = parseErrors(`  File "app.py", line 3, in main
+src/a.ts(1,2): error TS2304: Cannot find name 'x'.
+ValueError: bad value`, 'mixed');
+      assert.strictEqual(errors.length, 1);
+      assert.strictEqual(errors[0].type, 'typescript');
+    });
+
+    it('should end a Jest failure block at another tool\'s output', () => {
+      const errors = parseErrors(`  ● math › adds
+
+    expect(received).toBe(expected) // Object.is equality
+
+      at Object.<anonymous> (src/math.test.ts:4:17)
+
+src/a.ts(1,2): error TS2304: Cannot find name 'x'.
+src/b.ts(3,4): error TS2304: Cannot find name 'y'.`, 'mixed');
+      assert.deepStrictEqual(errors.map((e) => [e.type, e.code]), [['jest', 'toBe'], ['typescript', 'TS2304'], ['typescript', 'TS2304']]);
+    });
+
+    it('should fall back to generic when no tool matches', () => {
+      const errors = parseErrors('[ERROR] Something broke', 'mixed');
+      assert.strictEqual(errors.length, 1);
+      assert.strictEqual(errors[0].type, 'generic');
+    });
+  });
+
+  describe('Monorepo prefixes', () => {
+    const turboLog = [
+      '@acme/web:build: cache miss, executing 1a2b3c',
+      "@acme/web:build: src/a.ts(3,4): error TS2304: Cannot find name 'foo'.",
+      '@acme/api:build: error[E0425]: cannot find value `x` in this scope',
+      "@acme/web:build: src/b.ts(5,1): error TS2304: Cannot find name 'foo'.",
+      '@acme/api:build:  --> src/main.rs:5:13',
+      '@acme/api:build:   |',
+      '@acme/api:build: 5 |     let y = x;',
+      '@acme/api:build:   |             ^ not found in this scope',
+      '@acme/api:build:',
+      ' Tasks:    0 successful, 2 total',
+    ].join('\n');
+
+    it('should parse each package on its own and record the package', () => {
+      const errors = parseErrors(turboLog);
+
+      assert.deepStrictEqual(errors.map((e) => [e.package, e.type, e.file]), [
+        ['@acme/web', 'typescript', 'src/a.ts'],
+        ['@acme/api', 'rust', 'src/main.rs'],
+        ['@acme/web', 'typescript', 'src/b.ts'],
+      ]);
+      assert.strictEqual(errors[1].line, 5);
+    });
+
+    it('should keep positions in the original log', () => {
+      for (const error of parseErrors(turboLog, 'mixed')) {
+        assert.strictEqual(turboLog.slice(error.position, error.position + error.raw.split('\n')[0].length), error.raw.split('\n')[0]);
+      }
+    });
+
+    it('should leave errors without a prefix unattributed', () => {
+      const errors = parseErrors('web-1  | [ERROR] Connection refused\n[ERROR] Orchestrator failed\n', 'generic');
+      assert.deepStrictEqual(errors.map((e) => e.package), ['web', undefined]);
+    });
+  });
+
   describe('Auto-detection', () => {
     it('should auto-detect TypeScript', () => {
       const input = 'src/file.ts(10,5): error TS2304: Cannot find name \'x\'.';
@@ -147,9 +478,175 @@ error: lowercase error`;
       assert.strictEqual(errors[0].type, 'generic');
     });
   });
+
+  describe('Error bodies', () => {
+    it('should capture Rust notes up to the blank line', () => {
+      const input = [
+        'error[E0425]: cannot find value `x` in this scope',
+        ' --> src/main.rs:5:13',
+        '  |',
+        '5 |     let y = x + 1;',
+        '  |             ^ not found in this scope',
+        '  = help: consider importing this function',
+        '',
+        'error: could not compile `app`',
+      ].join('\n');
+      const [error] = parseErrors(input, 'rust');
+      assert.deepStrictEqual(error.body, [
+        '  |',
+        '5 |     let y = x + 1;',
+        '  |             ^ not found in this scope',
+        '  = help: consider importing this function',
+      ]);
+    });
+
+    it('should capture a Jest failure diff up to the summary', () => {
+      const input = [
+        'FAIL src/math.test.ts',
+        '  ● math › subtracts',
+        '',
+        '    expect(received).toBe(expected)',
+        '',
+        '    Expected: 1',
+        '    Received: 2',
+        '',
+        'Test Suites: 1 failed, 1 total',
+      ].join('\n');
+      const errors = parseErrors(input, 'jest');
+      assert.strictEqual(errors.length, 1);
+      assert.deepStrictEqual(errors[0].body, [
+        '    expect(received).toBe(expected)',
+        '',
+        '    Expected: 1',
+        '    Received: 2',
+      ]);
+    });
+
+    it('should capture the GCC note chain', () => {
+      const input = [
+        "main.c:8:3: error: too few arguments to function 'f'",
+        '    8 |   f();',
+        '      |   ^',
+        'main.c:1:6: note: declared here',
+        '1 error generated.',
+      ].join('\n');
+      const [error] = parseErrors(input, 'gcc');
+      assert.strictEqual(error.body.length, 3);
+      assert.strictEqual(error.body[2], 'main.c:1:6: note: declared here');
+    });
+
+    it('should capture indented TypeScript elaborations and stack frames', () => {
+      const ts = parseErrors([
+        "src/a.ts(1,7): error TS2322: Type 'string' is not assignable to type 'number'.",
+        "  Type 'x' is not assignable to type 'y'.",
+        'Found 1 error.',
+      ].join('\n'), 'typescript');
+      assert.deepStrictEqual(ts[0].body, ["  Type 'x' is not assignable to type 'y'."]);
+
+      const generic = parseErrors('Error: boom\n    at run (a.js:1:1)\n    at main (a.js:5:1)\ndone\n', 'generic');
+      assert.strictEqual(generic[0].body.length, 2);
+    });
+
+    it('should not run into the next error', () => {
+      const input = [
+        'main.c:1:1: error: first',
+        'main.c:2:1: note: about first',
+        'main.c:3:1: error: second',
+        '    3 | x',
+      ].join('\n');
+      const errors = parseErrors(input, 'gcc');
+      assert.deepStrictEqual(errors.map((e) => e.body), [['main.c:2:1: note: about first'], ['    3 | x']]);
+    });
+
+    it('should attach bodies in mixed parsing', () => {
+      const input = 'src/a.ts(1,7): error TS2322: Bad.\n  Detail.\nmain.go:3:1: cannot use x\n\thave (int)\n';
+      const errors = parseErrors(input, 'mixed');
+      assert.deepStrictEqual(errors.map((e) => e.body), [['  Detail.'], ['\thave (int)']]);
+    });
+
+    it('should leave errors without continuation lines bodiless', () => {
+      const errors = parseErrors('src/a.ts(1,7): error TS2322: Bad.\nsrc/b.ts(1,7): error TS2322: Bad.', 'typescript');
+      assert.ok(errors.every((e) => e.body === undefined));
+    });
+  });
+});
+
+describe('createCustomPattern', () => {
+  const acme = createCustomPattern('acme', {
+    regex: '^ACME (?<severity>ERROR|WARN) (?<code>AC\\d+) (?<path>[^:]+):(?<line>\\d+) (?<message>.+)$',
+    detect: '^ACME (ERROR|WARN)',
+    fields: { file: 'path' },
+  });
+  const parsers = { acme };
+  const input = `ACME ERROR AC101 src/x.c:4 Forbidden call 'gets'
+src/a.ts(1,2): error TS2304: Cannot find name 'x'.
+ACME WARN AC200 src/y.c:9 Magic number 42`;
+
+  it('should map named groups to error fields', () => {
+    const errors = parseErrors(input, 'acme', { parsers });
+    assert.strictEqual(errors.length, 2);
+    assert.deepStrictEqual(
+      { ...errors[0], raw: undefined, position: undefined },
+      { message: "Forbidden call 'gets'", type: 'acme', file: 'src/x.c', line: 4, code: 'AC101', severity: 'error', raw: undefined, position: undefined }
+    );
+  });
+
+  it('should take part in detection ahead of built-in types', () => {
+    assert.deepStrictEqual(detectTypes(input, { ...parsers, ...PATTERNS }).slice(0, 2), ['acme', 'typescript']);
+    assert.strictEqual(parseErrors(input, 'auto', { parsers })[0].type, 'acme');
+  });
+
+  it('should take part in mixed parsing', () => {
+    const errors = parseErrors(input, 'mixed', { parsers });
+    assert.deepStrictEqual(errors.map((e) => e.type), ['acme', 'typescript', 'acme']);
+  });
+
+  it('should not affect parsing without the parser', () => {
+    assert.strictEqual(parseErrors(input, 'auto')[0].type, 'typescript');
+  });
+
+  it('should default detection to the regex itself', () => {
+    const pattern = createCustomPattern('simple', { regex: '^OOPS (?<message>.+)$' });
+    assert.ok(pattern.detect('x\nOOPS broke'));
+    assert.ok(!pattern.detect('all good'));
+  });
+
+  it('should reject invalid definitions', () => {
+    assert.throws(() => createCustomPattern('bad name', { regex: '(?<message>.+)' }), /Invalid parser name/);
+    assert.throws(() => createCustomPattern('eslint', { regex: '(?<message>.+)' }), /reserved/);
+    assert.throws(() => createCustomPattern('x', { regex: '(?<message>.+' }), /"regex" is not a valid regex/);
+    assert.throws(() => createCustomPattern('x', { regex: '(?<message>.+)', detect: '[' }), /"detect" is not a valid regex/);
+    assert.throws(() => createCustomPattern('x', { regex: '(?<msg>.+)' }), /"message" named group/);
+    assert.throws(() => createCustomPattern('x', { regex: '(?<message>.+)', fields: { file: 'path' } }), /missing named group "path"/);
+    assert.throws(() => createCustomPattern('x', { regex: '(?<message>.+)', fields: { rule: 'message' } }), /unknown field "rule"/);
+    assert.throws(() => createCustomPattern('x', { regex: '(?<message>.+)', flags: 'y' }), /"flags"/);
+    assert.throws(() => createCustomPattern('x', { regex: '(?<message>.+)', pattern: 'x' }), /unknown option "pattern"/);
+  });
+
+  it('should not loop on regexes that can match empty strings', () => {
+    const pattern = createCustomPattern('loose', { regex: '(?<message>x*)' });
+    const errors = parseErrors('aaa\nxx\n', 'loose', { parsers: { loose: pattern } });
+    assert.strictEqual(errors.length, 1);
+  });
 });
 
 describe('getErrorSignature', () => {
+  it('should sign Jest assertions by matcher', () => {
+    const sig = (line) => getErrorSignature(parseErrors(`  ● a › b\n\n    ${line}\n`, 'jest')[0]);
+
+    assert.strictEqual(sig('expect(received).toEqual(expected)'), '[toEqual] expect(received).toEqual(expected)');
+    assert.strictEqual(sig('AssertionError: expected 1 to deeply equal 2\n    > expect(x).toEqual(2)'), sig('expect(received).toEqual(expected)'));
+  });
+
+  it('should sign Python tracebacks by exception type and frame', () => {
+    const sig = (message) => getErrorSignature(parseErrors(`Traceback (most recent call last):
+  File "app.py", line 4, in load
+KeyError: ${message}`, 'python')[0]);
+
+    assert.strictEqual(sig("'a'"), '[KeyError] app.py in load');
+    assert.strictEqual(sig("'b'"), sig("'a'"));
+  });
+
   it('should normalize file paths', () => {
     const error1 = { message: "Cannot find '/path/to/file.ts'" };
     const error2 = { message: "Cannot find '/other/path/file.ts'" };
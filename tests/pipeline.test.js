@@ -0,0 +1,88 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createPipeline } = require('../src/pipeline.js');
+const { parseErrors } = require('../src/parser.js');
+const { groupErrors } = require('../src/grouper.js');
+const { parseCodeowners } = require('../src/owners.js');
+
+const log = `src/a.ts(1,5): error TS2304: Cannot find name 'foo'.
+src/b.ts(2,5): error TS2304: Cannot find name 'bar'.
+Traceback (most recent call last):
+  File "app.py", line 3, in run
+ValueError: bad value
+src/c.ts(3,5): error TS2339: Property 'x' does not exist on type 'Y'.
+`;
+
+function run(input, opts = {}, size = 16) {
+  const pipeline = createPipeline(opts);
+  for (let i = 0; i < input.length; i += size) {
+    pipeline.push(input.slice(i, i + size));
+  }
+  return pipeline.end();
+}
+
+const summary = (groups) => groups.map((g) => [g.signature, g.count]);
+
+describe('createPipeline', () => {
+  it('should group like parsing and grouping the whole log', () => {
+    const result = run(log);
+    assert.deepStrictEqual(summary(result.groups), summary(groupErrors(parseErrors(log, 'mixed'))));
+    assert.strictEqual(result.tally.totalErrors, 4);
+    assert.strictEqual(result.parsed, 4);
+  });
+
+  it('should keep only a sample of each group', () => {
+    const result = run(log, { samples: 1 });
+    assert.strictEqual(result.groups[0].count, 2);
+    assert.strictEqual(result.groups[0].errors.length, 1);
+  });
+
+  it('should count generic matches only for packages without tool errors', () => {
+    const input = [
+      'web-1  | [ERROR] Connection refused',
+      "web-1  | src/a.ts(1,5): error TS2304: Cannot find name 'foo'.",
+      'api-1  | [ERROR] Connection refused',
+      '',
+    ].join('\n');
+    const result = run(input, {}, 7);
+    assert.deepStrictEqual(result.groups.map((g) => [g.type, [...g.packages]]), [['typescript', ['web']], ['generic', ['api']]]);
+    assert.strictEqual(result.parsed, 2);
+  });
+
+  it('should attribute errors to owners and keep those of owner', () => {
+    const codeowners = { root: '/repo', rules: parseCodeowners('*.ts @core\nsrc/c.ts @types\n') };
+    const result = run(log, { codeowners, owner: ['@types'], cwd: '/repo' });
+    assert.deepStrictEqual(summary(result.groups), [["[TS2339] Property '<name>' does not exist on type '<name>'.", 1]]);
+    assert.strictEqual(result.parsed, 4);
+    assert.throws(() => createPipeline({ owner: ['@core'] }), /owner requires a CODEOWNERS file/);
+  });
+
+  it('should group by signature for the history whatever the grouping', () => {
+    const result = run(log, { groupBy: 'file', history: true });
+    assert.strictEqual(result.groups.length, 4);
+    assert.deepStrictEqual(summary(result.signatures), summary(groupErrors(parseErrors(log, 'mixed'))));
+    const plain = run(log);
+    assert.strictEqual(plain.signatures, plain.groups);
+  });
+
+  it('should parse several inputs each on its own, tagged with their source', () => {
+    const pipeline = createPipeline({ context: 1 });
+    pipeline.source('shard-1.log');
+    pipeline.push('[ERROR] Out of memory\nall good');
+    pipeline.source('shard-2.log');
+    pipeline.push("src/a.ts(1,5): error TS2304: Cannot find name 'foo'.\n[ERROR] Out of memory\n");
+    const { groups, input } = pipeline.end();
+
+    // The generic match only counts in the input without tool errors
+    assert.deepStrictEqual(groups.map((g) => [g.type, g.errors.map((e) => e.source)]), [['typescript', ['shard-2.log']], ['generic', ['shard-1.log']]]);
+    const [error] = groups[0].errors;
+    assert.strictEqual(input.slice(error.position, error.position + error.raw.length), error.raw);
+  });
+
+  it('should keep the log only when context needs it', () => {
+    assert.strictEqual(run(log).input, '');
+    assert.strictEqual(run(log, { context: 2 }).input, log);
+  });
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { evaluatePolicy, commandExitCode } = require('../src/policy.js');
+const { groupErrors } = require('../src/grouper.js');
+const { compareBaseline } = require('../src/baseline.js');
+
+const errors = [
+  { message: 'unused variable', severity: 'warning', code: 'W1' },
+  { message: 'unused variable', severity: 'warning', code: 'W1' },
+  { message: 'type mismatch', severity: 'error', code: 'E1' },
+  { message: 'consider renaming', severity: 'note', code: 'N1' },
+];
+
+function evaluate(opts, list = errors) {
+  return evaluatePolicy(groupErrors(list), list, opts);
+}
+
+describe('evaluatePolicy', () => {
+  it('should fail on errors only by default', () => {
+    assert.deepStrictEqual(evaluate({}), { failed: true, exitCode: 1, reasons: ['1 error found (--fail-on error)'] });
+    assert.strictEqual(evaluate({}, errors.filter((e) => e.severity !== 'error')).failed, false);
+  });
+
+  it('should count errors without a severity', () => {
+    assert.strictEqual(evaluate({}, [{ message: 'boom' }]).failed, true);
+  });
+
+  it('should count warnings with failOn warning', () => {
+    assert.deepStrictEqual(evaluate({ failOn: 'warning' }).reasons, ['3 errors and warnings found (--fail-on warning)']);
+    assert.deepStrictEqual(evaluate({ failOn: 'warning' }, errors.slice(0, 1)).reasons, ['1 error or warning found (--fail-on warning)']);
+  });
+
+  it('should never fail with failOn never', () => {
+    assert.deepStrictEqual(evaluate({ failOn: 'never', maxErrors: 0 }), { failed: false, exitCode: 0, reasons: [] });
+  });
+
+  it('should allow up to maxErrors', () => {
+    assert.strictEqual(evaluate({ failOn: 'warning', maxErrors: 3 }).failed, false);
+    assert.deepStrictEqual(evaluate({ failOn: 'warning', maxErrors: 2 }).reasons, ['3 errors and warnings, more than --max-errors 2']);
+  });
+
+  it('should only count new errors against a baseline', () => {
+    const groups = groupErrors(errors);
+    const baseline = compareBaseline(groups, { groups: [{ signature: groups.find((g) => g.code === 'W1').signature, count: 2 }] });
+
+    assert.deepStrictEqual(evaluatePolicy(groups, errors, { baseline }).reasons, ['1 new error since the baseline']);
+    assert.strictEqual(evaluatePolicy(groups, errors, { baseline, maxNew: 1 }).failed, false);
+    assert.deepStrictEqual(evaluatePolicy(groups, errors, { baseline, maxNew: 1, failOn: 'warning', maxErrors: 2 }).reasons, [
+      '3 errors and warnings, more than --max-errors 2',
+    ]);
+  });
+
+  it('should exit with the command status with exitStatus', () => {
+    assert.deepStrictEqual(evaluate({ exitStatus: true, command: { status: 0 } }), { failed: false, exitCode: 0, reasons: [] });
+    assert.deepStrictEqual(evaluate({ exitStatus: true, command: { status: 3 } }), {
+      failed: true,
+      exitCode: 3,
+      reasons: ['command exited with status 3'],
+    });
+    assert.strictEqual(evaluate({ exitStatus: true, command: null }).exitCode, 1);
+  });
+
+  it('should exit with the first failing status of several commands', () => {
+    const commands = [
+      { command: 'tsc --noEmit', status: 0, signal: null },
+      { command: 'eslint .', status: 1, signal: null },
+      { command: 'vitest run', status: null, signal: 'SIGTERM' },
+    ];
+    assert.deepStrictEqual(evaluate({ exitStatus: true, commands }), {
+      failed: true,
+      exitCode: 1,
+      reasons: ["'eslint .' exited with status 1", "'vitest run' was killed by SIGTERM"],
+    });
+    assert.strictEqual(evaluate({ exitStatus: true, commands: commands.slice(0, 1) }).failed, false);
+  });
+
+  it('should reject invalid options', () => {
+    assert.throws(() => evaluate({ failOn: 'info' }), /failOn must be one of error, warning, never/);
+    assert.throws(() => evaluate({ maxNew: 1 }), /maxNew requires a baseline/);
+  });
+});
+
+describe('commandExitCode', () => {
+  it('should use 128 plus the signal number for killed commands', () => {
+    assert.strictEqual(commandExitCode(2, null), 2);
+    assert.strictEqual(commandExitCode(null, 'SIGTERM'), 143);
+    assert.strictEqual(commandExitCode(null, null), 1);
+  });
+});
@@ -0,0 +1,129 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createPrefixSplitter, createLane, splitLanes } = require('../src/prefixes.js');
+
+/**
+ * Classify lines in order, returning [package, stripped text] pairs
+ */
+function classify(lines) {
+  const split = createPrefixSplitter();
+  return lines.map((line) => {
+    const { package: name, offset } = split(line);
+    return [name, line.slice(offset)];
+  });
+}
+
+describe('createPrefixSplitter', () => {
+  it('should recognize turbo prefixes', () => {
+    assert.deepStrictEqual(classify([
+      "@acme/web:build: src/a.ts(3,4): error TS2304: Cannot find name 'x'.",
+      'docs:lint: ok',
+      'api:test:',
+    ]), [
+      ['@acme/web', "src/a.ts(3,4): error TS2304: Cannot find name 'x'."],
+      ['docs', 'ok'],
+      ['api', ''],
+    ]);
+  });
+
+  it('should recognize pnpm -r prefixes', () => {
+    assert.deepStrictEqual(classify([
+      'packages/web build$ tsc',
+      "packages/web build: src/a.ts(3,4): error TS2304: Cannot find name 'x'.",
+      '. lint: done',
+    ]), [
+      ['packages/web', 'tsc'],
+      ['packages/web', "src/a.ts(3,4): error TS2304: Cannot find name 'x'."],
+      ['.', 'done'],
+    ]);
+  });
+
+  it('should recognize docker compose prefixes and merge replicas', () => {
+    assert.deepStrictEqual(classify([
+      'web-1  | Error: boom',
+      'web-2  | Error: boom',
+      'worker_1  | ready',
+    ]), [
+      ['web', 'Error: boom'],
+      ['web', 'Error: boom'],
+      ['worker', 'ready'],
+    ]);
+  });
+
+  it('should recognize scoped lerna prefixes', () => {
+    assert.deepStrictEqual(classify(['@acme/web: Error: boom']), [['@acme/web', 'Error: boom']]);
+  });
+
+  it('should recognize unscoped prefixes only after a lerna or nx banner', () => {
+    assert.deepStrictEqual(classify(['web: Error: boom']), [[null, 'web: Error: boom']]);
+    assert.deepStrictEqual(classify([
+      'lerna notice cli v6.6.2',
+      'web: Error: boom',
+      'error: could not compile',
+    ]), [
+      [null, 'lerna notice cli v6.6.2'],
+      ['web', 'Error: boom'],
+      [null, 'error: could not compile'],
+    ]);
+  });
+
+  it('should attribute nx task sections', () => {
+    assert.deepStrictEqual(classify([
+      '> nx run web:build',
+      'Error: boom',
+      ' ———————————————',
+      'done',
+    ]).map(([name]) => name), ['web', 'web', null, null]);
+  });
+
+  it('should leave diagnostics alone', () => {
+    const lines = [
+      'main.go:10:5: undefined: x',
+      'ERROR:root:Something failed: details',
+      'error[E0425]: cannot find value `x` in this scope',
+      '5 |     let y = x;',
+      'File      | % Stmts | % Branch |',
+      'src/a.js: line 3, col 4, Error - Unexpected var',
+      'TypeError: Cannot read properties of undefined',
+    ];
+    assert.deepStrictEqual(classify(lines), lines.map((line) => [null, line]));
+  });
+});
+
+describe('splitLanes', () => {
+  it('should return null without prefixes', () => {
+    assert.strictEqual(splitLanes('a\nb\n'), null);
+  });
+
+  it('should split lines per package and map positions back', () => {
+    const input = 'start\nweb-1  | one\napi-1  | two\nweb-1  | three\nend';
+    const lanes = splitLanes(input);
+
+    assert.deepStrictEqual(lanes.map((lane) => [lane.package, lane.text]), [
+      [null, 'start\nend'],
+      ['web', 'one\nthree\n'],
+      ['api', 'two\n'],
+    ]);
+    for (const lane of lanes) {
+      for (const word of lane.text.split('\n').filter(Boolean)) {
+        const position = lane.toOriginal(lane.text.indexOf(word));
+        assert.strictEqual(input.slice(position, position + word.length), word);
+      }
+    }
+  });
+});
+
+describe('createLane', () => {
+  it('should keep mapping later positions after forgetting earlier ones', () => {
+    const lane = createLane('web');
+    lane.add('one\n', 0, 9);
+    lane.add('two\n', 20, 9);
+    lane.add('three\n', 40, 9);
+
+    lane.forget(5);
+    assert.strictEqual(lane.toOriginal(5), 30);
+    assert.strictEqual(lane.toOriginal(8), 49);
+  });
+});
@@ -0,0 +1,75 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+  runCommands,
+  parseCommandOutputs,
+  commandSummaries,
+  formatDuration,
+  formatExit,
+} = require('../src/runner.js');
+
+// Commands run through the shell; use this node to print and exit
+function node(script) {
+  return `"${process.execPath}" -e "${script}"`;
+}
+
+describe('runCommands', () => {
+  it('should run commands concurrently and report each in order', async () => {
+    const ended = [];
+    const results = await runCommands([
+      node("setTimeout(() => { console.log('slow'); process.exit(2); }, 300)"),
+      node("console.error('fast')"),
+    ], { onExit: (result) => ended.push(result.text.trim()) });
+
+    assert.deepStrictEqual(ended, ['fast', 'slow']);
+    assert.deepStrictEqual(results.map((r) => [r.text, r.status]), [['slow\n', 2], ['fast\n', 0]]);
+    assert.strictEqual(results[1].stderr.toString(), 'fast\n');
+    assert.strictEqual(results[1].stdout.length, 0);
+    assert.ok(results[0].duration >= 250);
+  });
+});
+
+describe('parseCommandOutputs', () => {
+  const results = [
+    { command: 'tsc', text: "src/a.ts(3,5): error TS2304: Cannot find name 'foo'." },
+    { command: 'pytest', text: '\x1b[31mTraceback (most recent call last):\x1b[0m\n  File "app.py", line 2, in <module>\n    run()\nValueError: bad value\n' },
+  ];
+
+  it('should parse each output on its own and tag errors with their command', () => {
+    const { input, errors } = parseCommandOutputs(results);
+    assert.deepStrictEqual(errors.map((e) => [e.type, e.command]), [['typescript', 'tsc'], ['python', 'pytest']]);
+    assert.ok(input.startsWith("src/a.ts(3,5): error TS2304: Cannot find name 'foo'.\nTraceback"));
+  });
+
+  it('should give positions into the combined input', () => {
+    const { input, errors } = parseCommandOutputs(results);
+    for (const error of errors) {
+      assert.strictEqual(input.slice(error.position, error.position + error.raw.length), error.raw);
+    }
+  });
+});
+
+describe('commandSummaries', () => {
+  it('should count errors per command', () => {
+    const commands = [{ command: 'a', status: 1, duration: 5 }, { command: 'b', status: null, signal: 'SIGKILL', duration: 7 }];
+    assert.deepStrictEqual(commandSummaries(commands, [{ command: 'a' }, { command: 'a' }, {}]), [
+      { command: 'a', status: 1, signal: null, exitCode: 1, duration: 5, errors: 2 },
+      { command: 'b', status: null, signal: 'SIGKILL', exitCode: 137, duration: 7, errors: 0 },
+    ]);
+  });
+});
+
+describe('formatting', () => {
+  it('should format durations', () => {
+    assert.strictEqual(formatDuration(850), '850ms');
+    assert.strictEqual(formatDuration(3249), '3.2s');
+    assert.strictEqual(formatDuration(125000), '2m 05s');
+  });
+
+  it('should describe how a command ended', () => {
+    assert.strictEqual(formatExit({ status: 2 }), 'exit 2');
+    assert.strictEqual(formatExit({ status: null, signal: 'SIGTERM' }), 'killed by SIGTERM');
+  });
+});
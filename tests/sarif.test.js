@@ -0,0 +1,107 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const path = require('node:path');
+const { formatSarif, toLevel } = require('../src/sarif.js');
+const { formatOutput } = require('../src/formatter.js');
+const { groupErrors } = require('../src/grouper.js');
+
+const errors = [
+  { file: 'src/a.ts', line: 10, column: 5, code: 'TS2304', message: "Cannot find name 'x'", type: 'typescript' },
+  { file: 'src/b.ts', line: 3, column: 1, code: 'TS2304', message: "Cannot find name 'y'", type: 'typescript' },
+  { file: 'src/c.js', line: 7, column: 2, code: 'no-var', message: 'Unexpected var', severity: 'warning', type: 'eslint' },
+  { message: 'Something broke', severity: 'fatal', type: 'generic' },
+];
+
+function parse(opts = {}) {
+  return JSON.parse(formatSarif(groupErrors(errors), errors, opts));
+}
+
+describe('formatSarif', () => {
+  it('should produce a SARIF 2.1.0 log', () => {
+    const sarif = parse();
+    assert.strictEqual(sarif.version, '2.1.0');
+    assert.ok(sarif.$schema.includes('sarif-2.1.0'));
+  });
+
+  it('should emit one run per tool type', () => {
+    const sarif = parse();
+    assert.deepStrictEqual(
+      sarif.runs.map((run) => run.tool.driver.name),
+      ['TypeScript', 'ESLint', 'errsum']
+    );
+  });
+
+  it('should create a rule per code and a result per error', () => {
+    const [ts] = parse().runs;
+    assert.strictEqual(ts.tool.driver.rules.length, 1);
+    assert.strictEqual(ts.tool.driver.rules[0].id, 'TS2304');
+    assert.strictEqual(ts.results.length, 2);
+    assert.strictEqual(ts.results[0].ruleIndex, 0);
+  });
+
+  it('should derive a rule id from the signature when there is no code', () => {
+    const generic = parse().runs[2];
+    assert.match(generic.tool.driver.rules[0].id, /^errsum-[0-9a-f]{8}$/);
+    assert.strictEqual(generic.results[0].ruleId, generic.tool.driver.rules[0].id);
+  });
+
+  it('should include physical locations', () => {
+    const [result] = parse().runs[0].results;
+    assert.deepStrictEqual(result.locations[0].physicalLocation, {
+      artifactLocation: { uri: 'src/a.ts', uriBaseId: '%SRCROOT%' },
+      region: { startLine: 10, startColumn: 5 },
+    });
+  });
+
+  it('should omit locations for errors without a file', () => {
+    const [result] = parse().runs[2].results;
+    assert.strictEqual(result.locations, undefined);
+  });
+
+  it('should make absolute paths relative to cwd', () => {
+    const cwd = path.resolve('/repo');
+    const abs = [{ file: path.join(cwd, 'src', 'a.ts'), line: 1, message: 'x', type: 'typescript' }];
+    const sarif = JSON.parse(formatSarif(groupErrors(abs), abs, { cwd }));
+    assert.strictEqual(sarif.runs[0].results[0].locations[0].physicalLocation.artifactLocation.uri, 'src/a.ts');
+  });
+
+  it('should map severities to levels', () => {
+    const sarif = parse();
+    assert.strictEqual(sarif.runs[1].results[0].level, 'warning');
+    assert.strictEqual(sarif.runs[2].results[0].level, 'error');
+  });
+
+  it('should keep rules per signature and tag results with their groups', () => {
+    const sarif = JSON.parse(formatSarif(groupErrors(errors, { groupBy: 'file' }), errors, {}));
+    const [ts] = sarif.runs;
+    assert.strictEqual(ts.tool.driver.rules.length, 1);
+    assert.deepStrictEqual(ts.results.map((r) => r.properties.groups), [['src/a.ts'], ['src/b.ts']]);
+    assert.strictEqual(parse().runs[0].results[0].properties, undefined);
+  });
+
+  it('should give a single run without results when there are no errors', () => {
+    const sarif = JSON.parse(formatSarif([], [], {}));
+    assert.strictEqual(sarif.runs.length, 1);
+    assert.strictEqual(sarif.runs[0].tool.driver.name, 'errsum');
+    assert.deepStrictEqual(sarif.runs[0].results, []);
+  });
+
+  it('should be selectable through formatOutput', () => {
+    const output = formatOutput(groupErrors(errors), errors, { format: 'sarif' });
+    assert.strictEqual(JSON.parse(output).version, '2.1.0');
+  });
+});
+
+describe('toLevel', () => {
+  it('should default to error', () => {
+    assert.strictEqual(toLevel(undefined), 'error');
+    assert.strictEqual(toLevel('bogus'), 'error');
+  });
+
+  it('should map informational severities to note', () => {
+    assert.strictEqual(toLevel('info'), 'note');
+    assert.strictEqual(toLevel('hint'), 'note');
+  });
+});
@@ -0,0 +1,216 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createStreamParser } = require('../src/stream.js');
+const { parseErrors } = require('../src/parser.js');
+
+function feed(input, type, size) {
+  const parser = createStreamParser(type);
+  for (let i = 0; i < input.length; i += size) {
+    parser.push(input.slice(i, i + size));
+  }
+  return parser.end();
+}
+
+function summary(errors) {
+  return errors.map((e) => ({ type: e.type, file: e.file, line: e.line, code: e.code, position: e.position }));
+}
+
+const rustLog = `   Compiling app v0.1.0
+error[E0425]: cannot find value \`x\` in this scope
+ --> src/main.rs:5:13
+  |
+warning[E0001]: unused thing
+ --> src/lib.rs:1:1
+error: could not compile \`app\`
+`;
+
+const pythonLog = `Traceback (most recent call last):
+  File "app.py", line 10, in main
+    run()
+  File "app.py", line 3, in run
+    boom()
+NameError: name 'boom' is not defined
+`;
+
+const chainedLog = `Traceback (most recent call last):
+  File "app.py", line 3, in parse
+ValueError: bad value
+
+During handling of the above exception, another exception occurred:
+
+Traceback (most recent call last):
+  File "app.py", line 8, in main
+ConfigError: invalid config
+done
+`;
+
+describe('createStreamParser', () => {
+  it('should match buffered parsing for Rust across any chunk size', () => {
+    const expected = summary(parseErrors(rustLog, 'rust'));
+    for (const size of [1, 2, 5, 17, rustLog.length]) {
+      assert.deepStrictEqual(summary(feed(rustLog, 'rust', size)), expected, `chunk size ${size}`);
+    }
+  });
+
+  it('should match buffered parsing for Python tracebacks across chunks', () => {
+    const expected = summary(parseErrors(pythonLog, 'python'));
+    for (const size of [1, 3, 11]) {
+      assert.deepStrictEqual(summary(feed(pythonLog, 'python', size)), expected, `chunk size ${size}`);
+    }
+  });
+
+  // Re-matching a long unfinished traceback used to take minutes: the
+  // timeout is the bound
+  it('should keep up with a traceback that has no exception line yet', { timeout: 5000 }, () => {
+    const frames = Array.from({ length: 12 }, (_, i) => `  File "m${i}.py", line ${i + 1}, in f${i}\n    x = f${i + 1}()\n`).join('');
+    const input = `Traceback (most recent call last):\n${frames}    still indented\nValueError: bad\n`;
+    const errors = feed(input, 'python', 40);
+    assert.deepStrictEqual(errors.map((e) => [e.code, e.frames.length]), [['ValueError', 12]]);
+  });
+
+  it('should match buffered parsing for Jest across chunks', () => {
+    const jestLog = 'FAIL src/a.test.ts\n  ✕ adds (2 ms)\n\n  ● math › adds\n\n    expect(received).toBe(expected)\n\n' +
+      '      at Object.<anonymous> (src/a.test.ts:4:17)\n\nTests:       1 failed, 1 total\n';
+    const expected = parseErrors(jestLog, 'jest');
+    for (const size of [1, 6, 19]) {
+      const errors = feed(jestLog, 'jest', size);
+      assert.deepStrictEqual(errors.map((e) => [e.test, e.file, e.line, e.matcher]), expected.map((e) => [e.test, e.file, e.line, e.matcher]), `chunk size ${size}`);
+      assert.strictEqual(errors.length, 1);
+    }
+  });
+
+  it('should keep chained Python tracebacks together across chunks', () => {
+    for (const size of [1, 5, 23]) {
+      const errors = feed(chainedLog, 'python', size);
+      assert.deepStrictEqual(errors.map((e) => e.code), ['ConfigError'], `chunk size ${size}`);
+      assert.strictEqual(errors[0].chain.length, 1);
+    }
+  });
+
+  it('should hold back an open Rust headline until its location arrives', () => {
+    const parser = createStreamParser('rust');
+    assert.deepStrictEqual(parser.push('error[E0425]: cannot find value `x`\n'), []);
+    const committed = parser.push(' --> src/main.rs:5:13\n\nnext\n');
+    assert.strictEqual(committed.length, 1);
+    assert.strictEqual(committed[0].file, 'src/main.rs');
+  });
+
+  it('should commit single-line errors once the next line ends their block', () => {
+    const parser = createStreamParser('auto');
+    assert.deepStrictEqual(parser.push("src/a.ts(1,2): error TS2304: Cannot find name 'x'."), []);
+    assert.deepStrictEqual(parser.push('\n'), []);
+    assert.strictEqual(parser.push('Found 1 error.\n').length, 1);
+    assert.strictEqual(parser.errors().length, 1);
+  });
+
+  it('should hold back an error until its body ends', () => {
+    const parser = createStreamParser('gcc');
+    assert.deepStrictEqual(parser.push('main.c:3:5: error: too few arguments\n    3 |   f();\n'), []);
+    assert.deepStrictEqual(parser.push('main.c:1:6: note: declared here\n'), []);
+    const [error] = parser.push('1 error generated.\n');
+    assert.deepStrictEqual(error.body, ['    3 |   f();', 'main.c:1:6: note: declared here']);
+  });
+
+  it('should match buffered bodies across any chunk size', () => {
+    const expected = parseErrors(rustLog, 'rust').map((e) => e.body);
+    for (const size of [1, 4, 13]) {
+      assert.deepStrictEqual(feed(rustLog, 'rust', size).map((e) => e.body), expected, `chunk size ${size}`);
+    }
+  });
+
+  it('should parse every detected tool in auto mode', () => {
+    const input = "src/a.ts(1,2): error TS2304: Cannot find name 'x'.\nmain.go:3:1: undefined: y\n";
+    const errors = feed(input, 'auto', 7);
+    assert.deepStrictEqual(errors.map((e) => e.type), ['typescript', 'go']);
+  });
+
+  it('should fall back to generic errors when no tool matches', () => {
+    const errors = feed('[ERROR] Something broke\nall good\n', 'auto', 4);
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].type, 'generic');
+  });
+
+  it('should keep absolute positions', () => {
+    const input = "ok\nsrc/a.ts(1,2): error TS2304: Cannot find name 'x'.\n";
+    const [error] = feed(input, 'typescript', 3);
+    assert.strictEqual(error.position, 3);
+  });
+
+  it('should parse interleaved package output like parseErrors', () => {
+    const input = [
+      'web-1  | Traceback (most recent call last):',
+      'api-1  | [ERROR] Connection refused',
+      'web-1  |   File "/app/main.py", line 3, in <module>',
+      'web-1  |     run()',
+      'web-1  | ValueError: bad config',
+      '',
+    ].join('\n');
+    const packages = (errors) => errors.map((e) => [e.package, e.message]);
+    const expected = parseErrors(input, 'mixed');
+
+    assert.deepStrictEqual(packages(expected), [['web', 'bad config'], ['api', 'Connection refused']]);
+    for (const size of [1, 5, 64]) {
+      const errors = feed(input, 'auto', size);
+      assert.deepStrictEqual(summary(errors), summary(expected), `chunk size ${size}`);
+      assert.deepStrictEqual(packages(errors), packages(expected), `chunk size ${size}`);
+    }
+  });
+
+  it('should commit a test failure block that never ends within its line limit', () => {
+    // Each block is re-parsed while it is pending, so pending input must
+    // not grow with the log
+    for (const [title, line] of [['  ● suite › test', (i) => `    at step (src/a.ts:${i}:1)`], [' FAIL  src/a.test.ts > suite > test', (i) => `noise ${i}`]]) {
+      const parser = createStreamParser('jest');
+      let committed = parser.push(`${title}\n`);
+      let lines = 0;
+      while (committed.length === 0 && lines < 1000) {
+        committed = parser.push(`${line(lines)}\n`);
+        lines++;
+      }
+      assert.strictEqual(committed.length, 1, title);
+      assert.ok(lines <= 201, `${title}: committed after ${lines} lines`);
+    }
+  });
+
+  it('should parse a final line without a trailing newline', () => {
+    const errors = feed('main.go:3:1: undefined: y', 'go', 4);
+    assert.strictEqual(errors.length, 1);
+  });
+});
+
+describe('createStreamParser with onError', () => {
+  function emitted(input, type, size) {
+    const errors = [];
+    const parser = createStreamParser(type, { onError: (error, fallback) => errors.push({ error, fallback }) });
+    for (let i = 0; i < input.length; i += size) {
+      parser.push(input.slice(i, i + size));
+    }
+    assert.deepStrictEqual(parser.end(), []);
+    return errors;
+  }
+
+  it('should pass on every error instead of keeping them', () => {
+    const input = rustLog + pythonLog;
+    const expected = summary(parseErrors(input, 'mixed'));
+    for (const size of [1, 7, 64]) {
+      const errors = emitted(input, 'auto', size);
+      assert.deepStrictEqual(summary(errors.map((e) => e.error)), expected, `chunk size ${size}`);
+      assert.ok(errors.every((e) => !e.fallback));
+    }
+  });
+
+  it('should pass generic matches as fallbacks', () => {
+    const errors = emitted('[ERROR] Something broke\nall good\n', 'auto', 4);
+    assert.deepStrictEqual(errors.map((e) => [e.error.type, e.fallback]), [['generic', true]]);
+  });
+
+  it('should pass Jest failures on at end, once finalized', () => {
+    const jestLog = 'FAIL src/a.test.ts\n  ● math › adds\n\n    expect(received).toBe(expected)\n\n' +
+      '      at Object.<anonymous> (src/a.test.ts:4:17)\n\n';
+    const expected = parseErrors(jestLog, 'jest');
+    const errors = emitted(jestLog, 'jest', 5);
+    assert.deepStrictEqual(errors.map((e) => [e.error.test, e.error.line]), expected.map((e) => [e.test, e.line]));
+  });
+});